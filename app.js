@@ -0,0 +1,72 @@
+/**
+ * TextQuest Express app: shared middleware plus one router per feature area.
+ * The app is returned without listening so it can be exercised in-process.
+ */
+
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+
+const createContext = require('./lib/context');
+const { requestLogger, identifyUser, notFound } = require('./routes/middleware');
+const createSystemRouter = require('./routes/system');
+const createIngestRouter = require('./routes/ingest');
+const createDocumentsRouter = require('./routes/documents');
+const createBlueprintRouter = require('./routes/blueprint');
+const createNarrativeRouter = require('./routes/narrative');
+const createGraphsRouter = require('./routes/graphs');
+const createEmbeddingsRouter = require('./routes/embeddings');
+const createJobsRouter = require('./routes/jobs');
+const createPromptsRouter = require('./routes/prompts');
+const createUsageRouter = require('./routes/usage');
+const createSearchRouter = require('./routes/search');
+
+const ROUTERS = [
+  createSystemRouter,
+  createIngestRouter,
+  createDocumentsRouter,
+  createBlueprintRouter,
+  createNarrativeRouter,
+  createGraphsRouter,
+  createEmbeddingsRouter,
+  createJobsRouter,
+  createPromptsRouter,
+  createUsageRouter,
+  createSearchRouter,
+];
+
+/**
+ * Options are passed to `createContext` (config, dataDir, uploadsDir, llmClient).
+ * The shared context is available as `app.locals.context`.
+ */
+function createApp(options = {}) {
+  const context = createContext(options);
+  const app = express();
+  app.locals.context = context;
+  if (context.config.TRUST_PROXY) {
+    app.set('trust proxy', parseTrustProxy(context.config.TRUST_PROXY));
+  }
+
+  app.use(cors());
+  app.use(express.json({ limit: '5mb' }));
+  app.use(express.static(path.join(__dirname, 'public')));
+  app.use(requestLogger);
+  app.use(identifyUser(context.config));
+
+  ROUTERS.forEach((createRouter) => app.use(createRouter(context)));
+
+  app.use(notFound);
+
+  return app;
+}
+
+/**
+ * `TRUST_PROXY`: "true", a number of proxy hops, or addresses/subnets as Express accepts them.
+ */
+function parseTrustProxy(value) {
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
+
+module.exports = createApp;
@@ -0,0 +1,91 @@
+/**
+ * Offline blueprint evaluation: runs the corpus under two configurations and writes a
+ * comparison report.
+ *
+ *   node evaluate.js --baseline eval/configs/baseline.json --candidate eval/configs/small-chunks.json
+ *
+ * Options:
+ *   --baseline <file>   configuration to compare against (default eval/configs/baseline.json)
+ *   --candidate <file>  configuration under test (default: the baseline, i.e. a self-check)
+ *   --corpus <file>     documents and key terms (default eval/corpus.json)
+ *   --record            call the configured providers and save their responses as recordings
+ *   --out <dir>         report directory (default output/eval)
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { EvaluationHarness, compare, toMarkdown } = require('./lib/evaluation');
+
+const ROOT = __dirname;
+
+function parseArgs(argv) {
+  const args = {
+    baseline: 'eval/configs/baseline.json',
+    candidate: null,
+    corpus: 'eval/corpus.json',
+    out: 'output/eval',
+    record: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--record') {
+      args.record = true;
+      continue;
+    }
+    const name = flag.replace(/^--/, '');
+    if (!flag.startsWith('--') || !(name in args) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${flag}`);
+    }
+    args[name] = argv[++i];
+  }
+  args.candidate = args.candidate || args.baseline;
+  return args;
+}
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(ROOT, file), 'utf8'));
+}
+
+function loadConfig(file) {
+  const config = readJSON(file);
+  if (!config.name || !/^[\w.-]+$/.test(config.name)) {
+    throw new Error(`${file}: "name" is required and may only contain letters, digits, ".", "_" and "-"`);
+  }
+  return config;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const corpus = readJSON(args.corpus);
+  const baseline = loadConfig(args.baseline);
+  const candidate = loadConfig(args.candidate);
+
+  const harness = new EvaluationHarness({
+    rootDir: ROOT,
+    recordingsDir: path.join(ROOT, 'eval', 'recordings'),
+    record: args.record,
+  });
+
+  const baselineRun = await harness.run(baseline, corpus);
+  const candidateRun = candidate.name === baseline.name ? baselineRun : await harness.run(candidate, corpus);
+  const report = compare(baselineRun, candidateRun);
+
+  const outDir = path.resolve(ROOT, args.out);
+  fs.mkdirSync(outDir, { recursive: true });
+  const basename = `${baseline.name}-vs-${candidate.name}`;
+  fs.writeFileSync(path.join(outDir, `${basename}.json`), `${JSON.stringify(report, null, 2)}\n`);
+  fs.writeFileSync(path.join(outDir, `${basename}.md`), toMarkdown(report));
+
+  console.log(toMarkdown(report));
+  console.log(`Report written to ${path.relative(ROOT, outDir)}/${basename}.{json,md}`);
+
+  const failed = [...baselineRun.documents, ...candidateRun.documents].filter((document) => document.error);
+  if (failed.length) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error('[eval]', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,82 @@
+/**
+ * Maps generation failures to the HTTP status and JSON body the API reports.
+ * Shared by the synchronous routes and by failed background jobs.
+ */
+
+const { GroqError } = require('./llm');
+const { ExtractionError } = require('./extractors/errors');
+const { QuotaExceededError } = require('./usageLedger');
+const { EmbeddingsError } = require('./embeddings');
+
+const ERROR_MESSAGES = {
+  process: {
+    rateLimit: 'TextQuest is temporarily rate limited by the AI provider. Please wait a moment and try again.',
+    parse: 'We had trouble understanding the AI response. Please try again.',
+    upstream: 'The AI service is currently unavailable. Please try again.',
+    quota: 'You have used your daily AI token quota. It resets at midnight UTC.',
+    embeddings: 'The embeddings service is currently unavailable. Please try again.',
+    unknown: 'Failed to build RPG structure',
+  },
+  narrative: {
+    rateLimit: 'Narrative generation is temporarily rate limited. Please wait a moment and try again.',
+    parse: 'We had trouble understanding the AI response for narrative. Please try again.',
+    upstream: 'The AI narrative service is currently unavailable. Please try again.',
+    unknown: 'Failed to craft narrative content',
+  },
+  graph: {
+    unknown: 'Failed to generate graph',
+  },
+  extract: {
+    unknown: 'Failed to extract document content.',
+  },
+  documents: {
+    unknown: 'Failed to access the document library.',
+  },
+  usage: {
+    unknown: 'Failed to read usage records.',
+  },
+  search: {
+    unknown: 'Failed to search saved graphs.',
+  },
+};
+
+function describeError(error, scope) {
+  const messages = { ...ERROR_MESSAGES.process, ...ERROR_MESSAGES[scope] };
+
+  if (error instanceof GroqError) {
+    console.error(`[${scope}] GroqError`, { type: error.type, status: error.status });
+
+    if (error.type === 'RATE_LIMIT' || error.status === 429) {
+      return { status: 503, body: { error: messages.rateLimit, code: 'GROQ_RATE_LIMIT', status: error.status } };
+    }
+
+    if (error.type === 'PARSE_ERROR') {
+      return { status: 502, body: { error: messages.parse, code: 'GROQ_PARSE_ERROR', status: error.status } };
+    }
+
+    return { status: 502, body: { error: messages.upstream, code: 'GROQ_UPSTREAM_ERROR', status: error.status } };
+  }
+
+  if (error instanceof QuotaExceededError) {
+    console.warn(`[${scope}] ${error.code}: ${error.message}`);
+    return {
+      status: 429,
+      body: { error: messages.quota, code: error.code, scope: error.scope, limit: error.limit, used: error.used, resetsAt: error.resetsAt },
+    };
+  }
+
+  if (error instanceof EmbeddingsError) {
+    console.error(`[${scope}] ${error.code}: ${error.message}`);
+    return { status: 502, body: { error: messages.embeddings, code: error.code, status: error.status } };
+  }
+
+  if (error instanceof ExtractionError) {
+    console.warn(`[${scope}] ${error.code}: ${error.message}`);
+    return { status: error.status, body: { error: error.message, code: error.code } };
+  }
+
+  console.error(`[${scope}] Failed`, error);
+  return { status: 500, body: { error: messages.unknown, code: 'UNKNOWN_SERVER_ERROR' } };
+}
+
+module.exports = { describeError, ERROR_MESSAGES };
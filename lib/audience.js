@@ -0,0 +1,88 @@
+/**
+ * Audience model for generated content: a grade band, a target reading level (US grade, as
+ * measured by Flesch-Kincaid) and English proficiency. It picks the prompt instructions and
+ * the readability target that generated descriptions are checked against.
+ */
+
+const GRADE_BANDS = {
+  elementary: { label: 'elementary school (grades 3-5)', readingLevel: 4 },
+  middle: { label: 'middle school (grades 6-8)', readingLevel: 7 },
+  high: { label: 'high school (grades 9-12)', readingLevel: 10 },
+  college: { label: 'college / university', readingLevel: 13 },
+};
+
+// English learners read below their grade band; the target drops by this many grades.
+const PROFICIENCY = {
+  native: { label: null, readingOffset: 0 },
+  advanced: { label: 'advanced English learners', readingOffset: -1 },
+  intermediate: { label: 'intermediate English learners', readingOffset: -2 },
+  beginner: { label: 'beginning English learners', readingOffset: -4 },
+};
+
+const MIN_READING_LEVEL = 2;
+const MAX_READING_LEVEL = 16;
+
+/**
+ * Error message for an invalid `audience` request field, or null.
+ */
+function validateAudience(audience) {
+  if (audience === undefined) return null;
+  if (!audience || typeof audience !== 'object' || Array.isArray(audience)) return 'audience must be an object';
+  if (audience.gradeBand !== undefined && !Object.hasOwn(GRADE_BANDS, audience.gradeBand)) {
+    return `audience.gradeBand must be one of: ${Object.keys(GRADE_BANDS).join(', ')}`;
+  }
+  if (audience.proficiency !== undefined && !Object.hasOwn(PROFICIENCY, audience.proficiency)) {
+    return `audience.proficiency must be one of: ${Object.keys(PROFICIENCY).join(', ')}`;
+  }
+  if (audience.readingLevel !== undefined) {
+    const level = Number(audience.readingLevel);
+    if (!Number.isFinite(level) || level < MIN_READING_LEVEL || level > MAX_READING_LEVEL) {
+      return `audience.readingLevel must be a grade between ${MIN_READING_LEVEL} and ${MAX_READING_LEVEL}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fill in defaults: `{ gradeBand, proficiency, readingLevel }`, where `readingLevel` is the
+ * target grade (given explicitly, or the band's default lowered for English learners).
+ * Returns null when no audience was requested.
+ */
+function resolveAudience(audience) {
+  if (!audience) return null;
+  const gradeBand = audience.gradeBand || 'high';
+  const proficiency = audience.proficiency || 'native';
+  const readingLevel = audience.readingLevel !== undefined
+    ? Number(audience.readingLevel)
+    : Math.max(MIN_READING_LEVEL, GRADE_BANDS[gradeBand].readingLevel + PROFICIENCY[proficiency].readingOffset);
+
+  return { gradeBand, proficiency, readingLevel };
+}
+
+/**
+ * Prompt instructions for writing to this audience.
+ */
+function describeAudience(audience) {
+  if (!audience) return '';
+  const band = GRADE_BANDS[audience.gradeBand];
+  const learners = PROFICIENCY[audience.proficiency].label;
+  const level = Math.round(audience.readingLevel);
+
+  const lines = [
+    `Audience: ${band.label}${learners ? `, ${learners}` : ''}.`,
+    `Write every overview, description and success condition at about a US grade ${level} reading level (Flesch-Kincaid).`,
+  ];
+  if (level <= 5) {
+    lines.push('Use short sentences (under 12 words) and everyday words; explain any science word the first time it appears.');
+  } else if (level <= 8) {
+    lines.push('Keep sentences under 18 words and define technical terms in plain language.');
+  } else if (level >= 13) {
+    lines.push('Use precise academic vocabulary; complex sentences are fine.');
+  }
+  if (learners) {
+    lines.push('Prefer common words, avoid idioms and phrasal verbs, and keep one idea per sentence.');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { GRADE_BANDS, PROFICIENCY, validateAudience, resolveAudience, describeAudience };
@@ -0,0 +1,18 @@
+/**
+ * Retry timing shared by the LLM client and the embeddings requests.
+ */
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Exponential delay before retry number `attemptIndex + 1`, plus up to `jitterMs` of jitter.
+ */
+function getBackoffDelayMs(attemptIndex, baseMs = 500, factor = 2, jitterMs = 250) {
+  const exp = baseMs * Math.pow(factor, attemptIndex);
+  const jitter = Math.random() * jitterMs;
+  return Math.round(exp + jitter);
+}
+
+module.exports = { sleep, getBackoffDelayMs };
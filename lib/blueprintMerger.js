@@ -0,0 +1,120 @@
+/**
+ * Merges per-chunk RPG blueprints into a single deduplicated blueprint.
+ */
+
+class BlueprintMerger {
+  /**
+   * Merge blueprints produced from consecutive text chunks.
+   * Each part is `{ structured, chunk }` where chunk carries the source `start`/`end` offsets.
+   * Levels record the source ranges that contributed to them in `sourceRanges`.
+   */
+  static merge(parts) {
+    const levels = new Map();
+    const questTitles = new Set();
+    const vocabulary = new Map();
+    const assessments = new Map();
+
+    parts.forEach(({ structured, chunk }) => {
+      if (!structured || typeof structured !== 'object') return;
+      const range = chunk ? { chunk: chunk.index, start: chunk.start, end: chunk.end } : null;
+
+      this.asArray(structured.levels).forEach((level) => {
+        if (!level || typeof level !== 'object') return;
+        const key = this.normalize(level.name) || `level-${levels.size}`;
+
+        if (!levels.has(key)) {
+          levels.set(key, { ...level, quests: [], sourceRanges: [] });
+        }
+
+        const target = levels.get(key);
+        if (!target.overview && level.overview) {
+          target.overview = level.overview;
+        }
+        if (range && !target.sourceRanges.some((r) => r.chunk === range.chunk)) {
+          target.sourceRanges.push(range);
+        }
+
+        this.asArray(level.quests).forEach((quest) => {
+          const questKey = this.normalize(quest?.title);
+          if (!questKey) {
+            target.quests.push(quest);
+            return;
+          }
+          if (questTitles.has(questKey)) {
+            this.mergeQuestInto(this.findQuest(levels, questKey), quest);
+            return;
+          }
+          questTitles.add(questKey);
+          target.quests.push({ ...quest });
+        });
+      });
+
+      this.asArray(structured.vocabulary).forEach((entry) => {
+        const key = this.normalize(entry?.term);
+        if (!key) return;
+        if (vocabulary.has(key)) this.mergeSourcesInto(vocabulary.get(key), entry);
+        else vocabulary.set(key, { ...entry });
+      });
+
+      this.asArray(structured.assessments).forEach((assessment) => {
+        const key = this.normalize(assessment?.name);
+        if (!key) return;
+        if (assessments.has(key)) this.mergeSourcesInto(assessments.get(key), assessment);
+        else assessments.set(key, { ...assessment });
+      });
+    });
+
+    return {
+      levels: Array.from(levels.values()),
+      vocabulary: Array.from(vocabulary.values()),
+      assessments: Array.from(assessments.values()),
+    };
+  }
+
+  static findQuest(levels, questKey) {
+    for (const level of levels.values()) {
+      const quest = level.quests.find((q) => this.normalize(q?.title) === questKey);
+      if (quest) return quest;
+    }
+    return null;
+  }
+
+  static mergeQuestInto(target, quest) {
+    if (!target || !quest) return;
+    ['items', 'abilities', 'dependencies'].forEach((field) => {
+      const seen = new Set();
+      target[field] = [...this.asArray(target[field]), ...this.asArray(quest[field])].filter((value) => {
+        const key = this.normalize(value) || value;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    });
+    if (!target.description && quest.description) {
+      target.description = quest.description;
+    }
+    this.mergeSourcesInto(target, quest);
+  }
+
+  /**
+   * Collect the citation spans (see lib/citations.js) of a duplicate entry, once per offset.
+   */
+  static mergeSourcesInto(target, entry) {
+    if (!target || !Array.isArray(entry?.sources)) return;
+    const sources = [...this.asArray(target.sources)];
+    entry.sources.forEach((source) => {
+      if (!sources.some((existing) => existing.start === source.start)) sources.push(source);
+    });
+    target.sources = sources;
+  }
+
+  static asArray(value) {
+    return Array.isArray(value) ? value : [];
+  }
+
+  static normalize(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase().replace(/\s+/g, ' ') : '';
+  }
+}
+
+module.exports = BlueprintMerger;
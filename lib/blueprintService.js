@@ -0,0 +1,387 @@
+/**
+ * Turns textbook text into an RPG blueprint: chunk, prompt per chunk, validate, merge.
+ */
+
+const TextChunker = require('./chunker');
+const BlueprintMerger = require('./blueprintMerger');
+const SchemaValidator = require('./schemaValidator');
+const SourceLocator = require('./citations');
+const Readability = require('./readability');
+const { validateAudience, resolveAudience, describeAudience } = require('./audience');
+const { validateLanguage, resolveLanguage, isTranslated, describeBlueprintLanguage, LANGUAGES, DEFAULT_LANGUAGE } = require('./languages');
+const { isMissingKeyError, emptyUsage, addUsage, safeJSON, validateNoCache } = require('./llm');
+const { PromptRegistry } = require('./promptRegistry');
+const { sampleStructure } = require('./samples');
+
+class BlueprintService {
+  constructor({ llmClient, prompts = new PromptRegistry(), chunkSize = 5000, groundingVerifier = null }) {
+    this.llmClient = llmClient;
+    this.prompts = prompts;
+    this.chunkSize = chunkSize;
+    this.groundingVerifier = groundingVerifier;
+  }
+
+  validate(input) {
+    if (typeof input.text !== 'string' || !input.text.trim()) return 'Text is required';
+    if (input.outline !== undefined && !Array.isArray(input.outline)) return 'outline must be an array of headings';
+    return validateAudience(input.audience)
+      || validateLanguage(input)
+      || validateNoCache(input)
+      || this.prompts.validateVersion('blueprint', input.promptVersion);
+  }
+
+  validateAdapt(input) {
+    if (!input.structured || !Array.isArray(input.structured.levels)) return 'Structured RPG data with levels is required';
+    if (!input.audience) return 'audience is required';
+    return validateAudience(input.audience)
+      || validateLanguage(input)
+      || validateNoCache(input)
+      || this.prompts.validateVersion('adapt', input.promptVersion);
+  }
+
+  /**
+   * `outline` is an optional list of `{ level, text }` headings (e.g. from OCR layout analysis);
+   * without it, markdown headings in the text are used. Headings seed the level split.
+   * `audience` (see lib/audience.js) sets the reading level the prose is written and checked for.
+   * `language`, `sourceLanguage` and `bilingualVocabulary` (see lib/languages.js) set the output language.
+   * `promptVersion` selects a version of the `blueprint` prompt template (see lib/promptRegistry.js).
+   * `noCache` asks the model again instead of reusing cached responses for the same prompt.
+   * `checkQuota(usage, next)` (see UsageLedger#guard) runs before each chunk with the usage so
+   * far and the average cost of a chunk; it throws to stop the request.
+   */
+  async generate(
+    { text, title = 'Untitled Textbook', focus = 'biology', outline, audience: requestedAudience, promptVersion, noCache = false, ...options },
+    { reportProgress = () => {}, checkQuota = () => {} } = {}
+  ) {
+    const audience = resolveAudience(requestedAudience);
+    const languageSettings = resolveLanguage(options);
+    const seeds = this.resolveOutline(text, outline);
+    const chunks = TextChunker.split(text, { maxChars: this.chunkSize, headings: seeds.map((heading) => heading.text) });
+    const topLevel = seeds.length ? Math.min(...seeds.map((heading) => heading.level)) : null;
+    const locator = new SourceLocator(text);
+    let section = null;
+    const parts = [];
+    const warnings = new Set();
+    const usage = emptyUsage();
+    let lastContent = null;
+    let lastError = null;
+    const { id: promptId, version: resolvedVersion } = this.prompts.get('blueprint', promptVersion);
+
+    for (const chunk of chunks) {
+      checkQuota(usage, chunk.index && usage.total_tokens / chunk.index);
+      reportProgress(chunk.index / chunks.length, `Analysing chunk ${chunk.index + 1}/${chunks.length}`, {
+        stage: 'analysis',
+        current: chunk.index + 1,
+        total: chunks.length,
+      });
+      const headings = this.headingsIn(chunk, seeds);
+      const outline = { headings, topLevel, section };
+      section = [...headings].reverse().find((heading) => heading.level === topLevel)?.text ?? section;
+
+      try {
+        const { messages } = this.buildMessages({
+          title, focus, chunk, totalChunks: chunks.length, outline, audience, languageSettings, promptVersion: resolvedVersion,
+        });
+        const { content, usage: chunkUsage } = await this.llmClient.complete(messages, {
+          responseFormat: 'json_object',
+          retry: { maxRetries: 3 },
+          cache: !noCache,
+        });
+        addUsage(usage, chunkUsage);
+        lastContent = content;
+
+        const parsed = safeJSON(content);
+        if (!parsed) {
+          chunk.status = 'parse_error';
+          warnings.add('GROQ_PARSE_ERROR');
+          continue;
+        }
+
+        const checked = await SchemaValidator.repairWithModel(parsed, 'blueprint', {
+          llmClient: this.llmClient, messages, content, cache: !noCache,
+        });
+        addUsage(usage, checked.usage);
+        checked.warnings.forEach((warning) => warnings.add(chunks.length > 1 ? `${warning} (chunk ${chunk.index + 1})` : warning));
+
+        chunk.status = 'ok';
+        parts.push({ structured: locator.cite(checked.value, chunk), chunk });
+      } catch (error) {
+        if (isMissingKeyError(error)) {
+          return {
+            title,
+            structured: sampleStructure,
+            via: 'mock',
+            chunks: this.summarizeChunks(chunks),
+            message: 'Set GROQ_API_KEY to replace mock data.',
+          };
+        }
+        console.error(`[process] Chunk ${chunk.index + 1}/${chunks.length} failed`, error.message);
+        chunk.status = 'failed';
+        warnings.add('CHUNK_FAILED');
+        lastError = error;
+      }
+    }
+
+    if (parts.length === 0 && lastError) {
+      throw lastError;
+    }
+
+    const structured = parts.length ? BlueprintMerger.merge(parts) : { raw: lastContent };
+    const responsePayload = {
+      title,
+      structured,
+      usage,
+      via: 'groq',
+      prompt: { id: promptId, version: resolvedVersion },
+      chunks: this.summarizeChunks(chunks),
+      citations: locator.summarize(structured),
+      language: languageSettings,
+      ...(audience && { audience }),
+    };
+    // Flesch-Kincaid is calibrated for English only.
+    if (languageSettings.language === DEFAULT_LANGUAGE) {
+      responsePayload.readability = Readability.assessBlueprint(structured, audience?.readingLevel ?? null);
+      if (audience && !responsePayload.readability.withinTarget) warnings.add('READING_LEVEL_ABOVE_TARGET');
+    }
+
+    if (parts.length && this.groundingVerifier) {
+      reportProgress(0.95, 'Checking content against the text', { stage: 'grounding' });
+      responsePayload.grounding = await this.checkGrounding(structured, text, { lexical: !isTranslated(languageSettings) });
+      if (responsePayload.grounding?.flagged) warnings.add('LOW_GROUNDING');
+    }
+
+    if (warnings.size) { responsePayload.warnings = [...warnings]; }
+
+    return responsePayload;
+  }
+
+  /**
+   * Rewrite the prose of an existing blueprint for another audience, keeping its levels,
+   * quests, terms, citations and grounding as they are. Each level is rewritten in one call
+   * and the vocabulary and assessments in another; a part still above the target reading level
+   * is sent back once to be simplified. Parts that fail keep their original wording.
+   * `checkQuota` runs before each part, as in generate().
+   */
+  async adapt(
+    { structured, audience: requestedAudience, title = 'Untitled Textbook', language = DEFAULT_LANGUAGE, promptVersion, noCache = false },
+    { reportProgress = () => {}, checkQuota = () => {} } = {}
+  ) {
+    const audience = resolveAudience(requestedAudience);
+    const adapted = JSON.parse(JSON.stringify(structured));
+    const levels = adapted.levels.filter((level) => level && typeof level === 'object');
+    const usage = emptyUsage();
+    const warnings = new Set();
+    const total = levels.length + 1;
+    let failures = 0;
+    let lastError = null;
+    const { id: promptId, version: resolvedVersion } = this.prompts.get('adapt', promptVersion);
+
+    const parts = [
+      ...levels.map((level) => ({
+        label: `level "${level.name}"`,
+        payload: {
+          overview: level.overview || '',
+          quests: (level.quests || []).map((quest) => ({ title: quest?.title, description: quest?.description || '' })),
+        },
+        apply: (rewritten) => {
+          if (isText(rewritten.overview)) level.overview = rewritten.overview;
+          (level.quests || []).forEach((quest, index) => {
+            const description = rewritten.quests?.[index]?.description;
+            if (quest && isText(description)) quest.description = description;
+          });
+        },
+      })),
+      {
+        label: 'vocabulary and assessments',
+        payload: {
+          vocabulary: (adapted.vocabulary || []).map((entry) => ({ term: entry?.term, description: entry?.description || '' })),
+          assessments: (adapted.assessments || []).map((entry) => ({ name: entry?.name, success_condition: entry?.success_condition || '' })),
+        },
+        apply: (rewritten) => {
+          (adapted.vocabulary || []).forEach((entry, index) => {
+            const description = rewritten.vocabulary?.[index]?.description;
+            if (entry && isText(description)) entry.description = description;
+          });
+          (adapted.assessments || []).forEach((entry, index) => {
+            const condition = rewritten.assessments?.[index]?.success_condition;
+            if (entry && isText(condition)) entry.success_condition = condition;
+          });
+        },
+      },
+    ];
+
+    for (const [index, part] of parts.entries()) {
+      checkQuota(usage, index && usage.total_tokens / index);
+      reportProgress(index / total, `Rewriting ${part.label}`, { stage: 'adapt', current: index + 1, total });
+      try {
+        const rewritten = await this.rewriteForAudience(part.payload, {
+          title, audience, language, promptVersion: resolvedVersion, usage, cache: !noCache,
+        });
+        if (rewritten) part.apply(rewritten);
+        else warnings.add('GROQ_PARSE_ERROR');
+      } catch (error) {
+        if (isMissingKeyError(error)) {
+          return { title, structured, audience, via: 'mock', message: 'Set GROQ_API_KEY to adapt blueprints.' };
+        }
+        console.error(`[adapt] Rewriting ${part.label} failed`, error.message);
+        warnings.add('ADAPT_PARTIAL');
+        failures++;
+        lastError = error;
+      }
+    }
+
+    if (failures === parts.length && lastError) {
+      throw lastError;
+    }
+
+    const responsePayload = {
+      title,
+      structured: adapted,
+      audience,
+      usage,
+      via: 'groq',
+      prompt: { id: promptId, version: resolvedVersion },
+    };
+    if (language === DEFAULT_LANGUAGE) {
+      responsePayload.readability = Readability.assessBlueprint(adapted, audience.readingLevel);
+      if (!responsePayload.readability.withinTarget) warnings.add('READING_LEVEL_ABOVE_TARGET');
+    }
+    if (warnings.size) { responsePayload.warnings = [...warnings]; }
+
+    return responsePayload;
+  }
+
+  /**
+   * One rewrite call (plus one simplification round when the result reads above the target).
+   * Resolves the rewritten JSON, or null when the model's reply could not be parsed.
+   */
+  async rewriteForAudience(payload, { title, audience, language, promptVersion, usage, cache = true }) {
+    const { messages, followUps } = this.prompts.render('adapt', {
+      title,
+      audienceNote: describeAudience(audience),
+      languageNote: language === DEFAULT_LANGUAGE ? '' : `Write the rewritten texts in ${LANGUAGES[language]}.\n`,
+      payload: JSON.stringify(payload),
+    }, { version: promptVersion });
+
+    const { content, usage: callUsage } = await this.llmClient.complete(messages, { responseFormat: 'json_object', retry: { maxRetries: 3 }, cache });
+    addUsage(usage, callUsage);
+    const rewritten = safeJSON(content);
+    if (!rewritten || language !== DEFAULT_LANGUAGE) return rewritten;
+
+    const { grade } = Readability.combine(proseOf(rewritten).map((text) => Readability.analyze(text)));
+    if (!Readability.exceeds(grade, audience.readingLevel)) return rewritten;
+
+    const retry = await this.llmClient.complete(
+      [
+        ...messages,
+        { role: 'assistant', content },
+        followUps.simplify({ grade, targetGrade: audience.readingLevel }),
+      ],
+      { responseFormat: 'json_object', retry: { maxRetries: 1 }, cache }
+    );
+    addUsage(usage, retry.usage);
+    return safeJSON(retry.content) || rewritten;
+  }
+
+  /**
+   * The grounding report, or null when the check itself fails (e.g. the embeddings API is down);
+   * a failed check never fails the blueprint.
+   */
+  async checkGrounding(structured, text, options) {
+    try {
+      return await this.groundingVerifier.verify(structured, text, options);
+    } catch (error) {
+      console.warn('[process] Grounding check failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * The rendered `blueprint` prompt for one chunk: `{ messages, prompt: { id, version } }`.
+   */
+  buildMessages({ title, focus, chunk, totalChunks, outline = null, audience = null, languageSettings = resolveLanguage(), promptVersion = null }) {
+    const partNote = totalChunks > 1
+      ? `This excerpt is part ${chunk.index + 1} of ${totalChunks}${chunk.heading ? ` (section: ${chunk.heading})` : ''}. Only cover material in this part.\n`
+      : '';
+
+    return this.prompts.render('blueprint', {
+      title,
+      focus,
+      audienceNote: describeAudience(audience),
+      languageNote: describeBlueprintLanguage(languageSettings),
+      partNote,
+      outlineNote: outline ? this.describeOutline(outline) : '',
+      vocabularyShape: languageSettings.bilingualVocabulary ? '{term, translation, type, description, source}' : '{term, type, description, source}',
+      excerpt: chunk.text,
+    }, { version: promptVersion });
+  }
+
+  resolveOutline(text, outline) {
+    const entries = Array.isArray(outline) ? outline : TextChunker.outline(text);
+    return entries
+      .filter((entry) => entry && typeof entry.text === 'string' && entry.text.trim())
+      .map((entry) => ({ level: Number(entry.level) || 1, text: entry.text.trim() }));
+  }
+
+  /**
+   * Outline headings that occur as a line of this chunk, in outline order.
+   */
+  headingsIn(chunk, seeds) {
+    if (!seeds.length) return [];
+    const lines = new Set(chunk.text.split('\n').map((line) => TextChunker.normalizeHeading(line)));
+    return seeds.filter((heading) => lines.has(TextChunker.normalizeHeading(heading.text)));
+  }
+
+  /**
+   * Top-level headings become level names and the next depth anchors quests. A chunk that opens
+   * mid-section is told to keep the enclosing level name so the merge folds it into that level.
+   */
+  describeOutline({ headings, topLevel, section }) {
+    const levelNames = headings.filter((heading) => heading.level === topLevel).map((heading) => `- ${heading.text}`);
+    const questNames = headings.filter((heading) => heading.level === topLevel + 1).map((heading) => `- ${heading.text}`);
+
+    let note = '';
+    if (section && headings[0]?.level !== topLevel) {
+      note += `This excerpt continues the section "${section}"; use that as the level name for material before the next section heading.\n`;
+    }
+    if (levelNames.length) {
+      note += `Create one level per section heading below, in this order, using the heading as the level name:\n${levelNames.join('\n')}\n`;
+    }
+    if (questNames.length) {
+      note += `Subsection headings that should anchor quests:\n${questNames.join('\n')}\n`;
+    }
+    return note;
+  }
+
+  summarizeChunks(chunks) {
+    return {
+      total: chunks.length,
+      processed: chunks.filter((chunk) => chunk.status === 'ok').length,
+      ranges: chunks.map(({ index, start, end, heading, status }) => ({ index, start, end, heading, status: status ?? null })),
+    };
+  }
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// The rewritable strings of an adapt payload.
+function proseOf(value) {
+  const texts = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) node.forEach(visit);
+    else if (node && typeof node === 'object') {
+      ['overview', 'description', 'success_condition'].forEach((key) => {
+        if (isText(node[key])) texts.push(node[key]);
+      });
+      Object.values(node).forEach((child) => {
+        if (child && typeof child === 'object') visit(child);
+      });
+    }
+  };
+  visit(value);
+  return texts;
+}
+
+module.exports = BlueprintService;
@@ -0,0 +1,137 @@
+/**
+ * Splits long textbook text into prompt-sized chunks on heading and paragraph boundaries.
+ */
+
+const HEADING_PATTERNS = [
+  /^#{1,6}\s+\S/,
+  /^(chapter|unit|section|part|lesson)\s+[\divxlc]+\b/i,
+  /^\d+(\.\d+)*\.?\s+[A-Z]/,
+];
+
+class TextChunker {
+  /**
+   * Split text into chunks of at most `maxChars` characters.
+   * Each chunk records its [start, end) offsets into the original text and the heading it opens with.
+   * Lines listed in `headings` (e.g. from an OCR outline) are treated as headings too.
+   */
+  static split(text, { maxChars = 5000, minChars = Math.floor(maxChars * 0.4), headings = [] } = {}) {
+    if (!text || !text.trim()) return [];
+
+    const knownHeadings = new Set(headings.map((heading) => this.normalizeHeading(heading)));
+    const blocks = this.splitBlocks(text, knownHeadings).flatMap((block) => this.splitOversized(text, block, maxChars));
+    const chunks = [];
+    let current = null;
+
+    blocks.forEach((block) => {
+      const startsSection = block.heading && current && current.end - current.start >= minChars;
+      const overflows = current && block.end - current.start > maxChars;
+
+      if (!current || startsSection || overflows) {
+        current = { start: block.start, end: block.end, heading: block.heading ? block.text.split('\n')[0].replace(/^#{1,6}\s+/, '').trim() : null };
+        chunks.push(current);
+        return;
+      }
+
+      current.end = block.end;
+    });
+
+    let lastHeading = null;
+    return chunks.map((chunk, index) => {
+      lastHeading = chunk.heading || lastHeading;
+      return {
+        index,
+        start: chunk.start,
+        end: chunk.end,
+        heading: chunk.heading || lastHeading,
+        text: text.slice(chunk.start, chunk.end),
+      };
+    });
+  }
+
+  /**
+   * Break text into paragraph blocks separated by blank lines, keeping original offsets.
+   */
+  static splitBlocks(text, knownHeadings = new Set()) {
+    const blocks = [];
+    const separator = /\n[ \t]*\n+/g;
+    let cursor = 0;
+    let match;
+
+    const pushBlock = (start, end) => {
+      const raw = text.slice(start, end);
+      const leading = raw.length - raw.trimStart().length;
+      const trimmed = raw.trim();
+      if (!trimmed) return;
+      const blockStart = start + leading;
+      blocks.push({
+        start: blockStart,
+        end: blockStart + trimmed.length,
+        text: trimmed,
+        heading: this.isHeading(trimmed.split('\n')[0]) || knownHeadings.has(this.normalizeHeading(trimmed.split('\n')[0])),
+      });
+    };
+
+    while ((match = separator.exec(text)) !== null) {
+      pushBlock(cursor, match.index);
+      cursor = match.index + match[0].length;
+    }
+    pushBlock(cursor, text.length);
+
+    return blocks;
+  }
+
+  /**
+   * Split a block that alone exceeds the budget, preferring sentence then whitespace boundaries.
+   */
+  static splitOversized(text, block, maxChars) {
+    if (block.end - block.start <= maxChars) return [block];
+
+    const parts = [];
+    let start = block.start;
+
+    while (block.end - start > maxChars) {
+      const window = text.slice(start, start + maxChars);
+      const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('.\n'), window.lastIndexOf('? '), window.lastIndexOf('! '));
+      const spaceEnd = window.search(/\s\S*$/);
+      const cut = sentenceEnd > maxChars / 2 ? sentenceEnd + 1 : spaceEnd > maxChars / 2 ? spaceEnd : maxChars;
+
+      parts.push({ start, end: start + cut, text: text.slice(start, start + cut), heading: parts.length === 0 && block.heading });
+      start += cut;
+      while (start < block.end && /\s/.test(text[start])) start++;
+    }
+
+    if (start < block.end) {
+      parts.push({ start, end: block.end, text: text.slice(start, block.end), heading: false });
+    }
+
+    return parts;
+  }
+
+  /**
+   * Markdown headings (`# Title`) in the text, as `{ level, text }` in document order.
+   */
+  static outline(text) {
+    const headings = [];
+    const pattern = /^(#{1,6})\s+(.+?)\s*#*\s*$/gm;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+      headings.push({ level: match[1].length, text: match[2] });
+    }
+    return headings;
+  }
+
+  static normalizeHeading(line) {
+    return (line || '').replace(/^#{1,6}\s+/, '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  static isHeading(line) {
+    const trimmed = (line || '').trim();
+    if (!trimmed || trimmed.length > 80) return false;
+    if (HEADING_PATTERNS.some((pattern) => pattern.test(trimmed))) return true;
+
+    const letters = trimmed.replace(/[^A-Za-z]/g, '');
+    return letters.length >= 4 && letters === letters.toUpperCase() && !/[.!?]$/.test(trimmed);
+  }
+}
+
+module.exports = TextChunker;
@@ -0,0 +1,213 @@
+/**
+ * Ties blueprint entries back to the source text. The model quotes the sentence behind each
+ * quest, vocabulary term and assessment; the quote is located in the input (ignoring case,
+ * punctuation and whitespace) and replaced by `sources: [{ start, end, page, snippet, match }]`
+ * spans, so every snippet shown to users is copied from the textbook rather than the model.
+ */
+
+const PAGE_MARKER = /^--- Page (\d+) ---$/gm;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+const MIN_QUOTE_WORDS = 3;
+const MIN_PARTIAL_WORDS = 6;
+const MAX_SNIPPET_CHARS = 300;
+
+// Entry collections of a blueprint and the field naming each entry.
+const CITED_ENTRIES = {
+  quests: 'title',
+  vocabulary: 'term',
+  assessments: 'name',
+};
+
+class SourceLocator {
+  constructor(text) {
+    this.text = text;
+    this.index = normalizeWithOffsets(text);
+    this.pages = Array.from(text.matchAll(PAGE_MARKER), (match) => ({
+      offset: match.index,
+      page: Number(match[1]),
+    }));
+  }
+
+  /**
+   * Replace the model's `source` quote on every quest, vocabulary entry and assessment of a
+   * chunk's blueprint with located spans. Quotes are searched in the chunk first, then anywhere.
+   */
+  cite(structured, chunk = null) {
+    const range = chunk ? { start: chunk.start, end: chunk.end } : { start: 0, end: this.text.length };
+
+    this.entries(structured).forEach(({ entry, key }) => {
+      const span = this.locate(typeof entry.source === 'string' ? entry.source : '', entry[key], range);
+      delete entry.source;
+      entry.sources = span ? [span] : [];
+    });
+
+    return structured;
+  }
+
+  /**
+   * Find `quote` (or, failing that, the entry's name) in the text. `match` is `exact` for the
+   * whole quote, `partial` when only a run of its words was found and `term` when only the
+   * name occurs; the latter two cite the surrounding sentence. Returns null when nothing matches.
+   */
+  locate(quote, name, range) {
+    const words = normalize(quote).split(' ').filter(Boolean);
+    const exact = words.length >= MIN_QUOTE_WORDS && this.find(words.join(' '), range, { anywhere: true });
+    if (exact) return this.span(exact.start, exact.end, 'exact');
+
+    for (let size = Math.min(words.length - 1, 12); size >= MIN_PARTIAL_WORDS; size--) {
+      for (let from = 0; from + size <= words.length; from++) {
+        const found = this.find(words.slice(from, from + size).join(' '), range);
+        if (found) return this.sentenceSpan(found.start, found.end, 'partial');
+      }
+    }
+
+    const term = this.find(normalize(name), range);
+    return term ? this.sentenceSpan(term.start, term.end, 'term') : null;
+  }
+
+  /**
+   * Original-text offsets of a normalized whole-word phrase inside `range`; with `anywhere`,
+   * a match elsewhere in the text is accepted when the range has none.
+   */
+  find(phrase, range, { anywhere = false } = {}) {
+    if (!phrase) return null;
+    const { normalized, offsets } = this.index;
+    const from = lowerBound(offsets, range.start);
+    const to = lowerBound(offsets, range.end);
+
+    let position = indexOfWord(normalized.slice(from, to), phrase);
+    if (position !== -1) {
+      position += from;
+    } else if (anywhere) {
+      position = indexOfWord(normalized, phrase);
+    }
+    if (position === -1) return null;
+
+    return { start: offsets[position], end: offsets[position + phrase.length - 1] + 1 };
+  }
+
+  /**
+   * Widen a match to its sentence (bounded by `.`, `!`, `?` or a line break), within
+   * MAX_SNIPPET_CHARS on either side.
+   */
+  sentenceSpan(start, end, match) {
+    const windowStart = Math.max(0, start - MAX_SNIPPET_CHARS);
+    const boundaries = /[.!?](?=\s)|\n/g;
+    let sentenceStart = windowStart;
+    let boundary;
+    while ((boundary = boundaries.exec(this.text.slice(windowStart, start))) !== null) {
+      sentenceStart = windowStart + boundary.index + 1;
+    }
+    while (sentenceStart < start && /\s/.test(this.text[sentenceStart])) sentenceStart++;
+
+    const after = /[.!?](?=\s|$)|\n/.exec(this.text.slice(end, end + MAX_SNIPPET_CHARS));
+    const sentenceEnd = after
+      ? end + after.index + (after[0] === '\n' ? 0 : 1)
+      : Math.min(this.text.length, end + MAX_SNIPPET_CHARS);
+
+    return this.span(sentenceStart, sentenceEnd, match);
+  }
+
+  span(start, end, match) {
+    const snippet = this.text.slice(start, end).replace(/\s+/g, ' ').trim();
+    const page = this.pageAt(start);
+    return {
+      start,
+      end,
+      ...(page !== null && { page }),
+      snippet: snippet.length > MAX_SNIPPET_CHARS ? `${snippet.slice(0, MAX_SNIPPET_CHARS - 3)}...` : snippet,
+      match,
+    };
+  }
+
+  pageAt(offset) {
+    let page = null;
+    for (const marker of this.pages) {
+      if (marker.offset > offset) break;
+      page = marker.page;
+    }
+    return page;
+  }
+
+  /**
+   * Counts of cited entries by match kind, plus `missing` for entries without any source.
+   */
+  summarize(structured) {
+    const summary = { total: 0, exact: 0, partial: 0, term: 0, missing: 0 };
+    this.entries(structured).forEach(({ entry }) => {
+      summary.total++;
+      const match = entry.sources?.[0]?.match;
+      summary[match && match in summary ? match : 'missing']++;
+    });
+    return summary;
+  }
+
+  entries(structured) {
+    if (!structured || typeof structured !== 'object') return [];
+    const asArray = (value) => (Array.isArray(value) ? value.filter((entry) => entry && typeof entry === 'object') : []);
+    const withKey = (key) => (entry) => ({ entry, key });
+
+    return [
+      ...asArray(structured.levels).flatMap((level) => asArray(level.quests)).map(withKey(CITED_ENTRIES.quests)),
+      ...asArray(structured.vocabulary).map(withKey(CITED_ENTRIES.vocabulary)),
+      ...asArray(structured.assessments).map(withKey(CITED_ENTRIES.assessments)),
+    ];
+  }
+}
+
+/**
+ * Lowercased words separated by single spaces; everything else (punctuation, markdown,
+ * line breaks) is dropped. `offsets[i]` is the original offset of normalized character i.
+ */
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let pendingSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (WORD_CHAR.test(char)) {
+      if (pendingSpace && normalized) {
+        normalized += ' ';
+        offsets.push(i);
+      }
+      pendingSpace = false;
+      const lower = char.toLowerCase();
+      normalized += lower.length === 1 ? lower : char;
+      offsets.push(i);
+    } else {
+      pendingSpace = true;
+    }
+  }
+
+  return { normalized, offsets };
+}
+
+function normalize(text) {
+  return typeof text === 'string' ? normalizeWithOffsets(text).normalized : '';
+}
+
+// indexOf that skips matches starting or ending inside a word.
+function indexOfWord(haystack, phrase) {
+  let position = haystack.indexOf(phrase);
+  while (position !== -1) {
+    const startsWord = position === 0 || haystack[position - 1] === ' ';
+    const endsWord = position + phrase.length === haystack.length || haystack[position + phrase.length] === ' ';
+    if (startsWord && endsWord) return position;
+    position = haystack.indexOf(phrase, position + 1);
+  }
+  return -1;
+}
+
+function lowerBound(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+module.exports = SourceLocator;
@@ -1,21 +1,115 @@
 /**
- * Topic clustering helpers using a lightweight k-means implementation.
+ * Topic clustering helpers using a lightweight k-means implementation. Runs are seeded, so the
+ * same embeddings always give the same clusters; each k-means call keeps the best of several
+ * restarts (lowest inertia), and `cluster` picks the number of clusters by silhouette score.
+ * The work is bounded, so that large graphs still cluster in about a second.
  */
 
+const DEFAULT_SEED = 42;
+const DEFAULT_RESTARTS = 10;
+const DEFAULT_MAX_ITERATIONS = 100;
+const DEFAULT_MAX_K = 10;
+// Bounds on cluster(): restarts per candidate k, points scored by the silhouette, and k-means
+// work, counted as n·(k+1)·dim per iteration (distances to k centroids, then the update).
+const SEARCH_RESTARTS = 3;
+const SILHOUETTE_SAMPLE = 500;
+const MAX_WORK = 3e8;
+
 class TopicClusterer {
   /**
-   * Run k-means over an embedding matrix.
+   * Cluster embeddings into an automatically chosen number of clusters: every k from 2 to
+   * `maxK` (default at most 10 and half the points) is tried and the k with the highest mean
+   * silhouette wins, the smaller k on ties. Returns the kmeans() result plus `k`, `silhouette`
+   * ({ mean, perCluster }), `candidates` ([{ k, requested, inertia, silhouette }], also usable
+   * for an elbow plot), `seed` and `restarts`. Fewer than three points cannot be scored and are
+   * each their own cluster. k-means may leave clusters empty (e.g. for duplicate embeddings), so
+   * `k` is the number of non-empty clusters actually returned; `requested` is the k that was run.
+   *
+   * Candidates are run with at most SEARCH_RESTARTS restarts; the chosen k is then run with all
+   * `restarts`, kept when that lowers the inertia. The silhouette is computed on a seeded sample of `silhouetteSample` points.
+   * k-means gets `maxWork` (see kmeans()) in all: half is shared equally by the candidates and
+   * the rest goes to the chosen k.
+   */
+  static cluster(embeddings, {
+    minK = 2, maxK = null, seed = DEFAULT_SEED, restarts = DEFAULT_RESTARTS,
+    silhouetteSample = SILHOUETTE_SAMPLE, maxWork = MAX_WORK,
+  } = {}) {
+    const n = embeddings.length;
+    if (n < 3) {
+      const result = this.kmeans(embeddings, n, { seed, restarts });
+      return { ...result, k: result.clusters.length, silhouette: null, candidates: [], seed, restarts };
+    }
+
+    const sample = sampleIndices(n, silhouetteSample, seed);
+    const distances = this.distanceMatrix(sample.map((index) => embeddings[index]));
+    const score = (result) => this.silhouette(distances, sample.map((index) => result.assignments[index]), result.clusters.length);
+
+    const upper = Math.min(n - 1, maxK ?? Math.min(DEFAULT_MAX_K, Math.ceil(n / 2)));
+    const lower = Math.max(2, Math.min(minK, upper));
+    const budget = { remaining: maxWork };
+    const share = maxWork / 2 / (upper - lower + 1);
+
+    let best = null;
+    const candidates = [];
+    const searchRestarts = Math.min(restarts, SEARCH_RESTARTS);
+    for (let k = lower; k <= upper; k++) {
+      const searchBudget = { remaining: share };
+      const result = this.kmeans(embeddings, k, { seed, restarts: searchRestarts, budget: searchBudget });
+      budget.remaining -= share - searchBudget.remaining;
+      const silhouette = score(result);
+      candidates.push({ k: result.clusters.length, requested: k, inertia: round(result.inertia), silhouette: round(silhouette.mean) });
+      if (!best || silhouette.mean > best.silhouette.mean) {
+        best = { ...result, k: result.clusters.length, silhouette, candidate: candidates.length - 1 };
+      }
+    }
+
+    const { candidate, ...chosen } = best;
+    if (restarts > searchRestarts) {
+      const { requested } = candidates[candidate];
+      const refined = this.kmeans(embeddings, requested, { seed, restarts, budget });
+      if (refined.inertia < chosen.inertia) {
+        const silhouette = score(refined);
+        Object.assign(chosen, refined, { k: refined.clusters.length, silhouette });
+        candidates[candidate] = { k: chosen.k, requested, inertia: round(refined.inertia), silhouette: round(silhouette.mean) };
+      }
+    }
+    return { ...chosen, candidates, seed, restarts };
+  }
+
+  /**
+   * Run k-means over an embedding matrix `restarts` times from k-means++ seeds drawn from one
+   * seeded generator, and keep the run with the lowest inertia (sum of squared distances to the
+   * assigned centroids). Empty clusters are dropped, so `assignments` index into `clusters`.
+   * With a `budget` ({ remaining }), every iteration takes n·(k+1)·dim from it; once it is used up,
+   * the current run stops iterating and no further restarts are made.
    */
-  static kmeans(embeddings, k = 5, maxIterations = 10) {
-    if (embeddings.length === 0) return { clusters: [], centroids: [] };
+  static kmeans(embeddings, k = 5, {
+    maxIterations = DEFAULT_MAX_ITERATIONS, seed = DEFAULT_SEED, restarts = DEFAULT_RESTARTS, budget = null,
+  } = {}) {
+    if (embeddings.length === 0) return { clusters: [], assignments: [], centroids: [], inertia: 0 };
     if (k > embeddings.length) k = embeddings.length;
 
+    const random = seededRandom(seed);
+    let best = null;
+    for (let run = 0; run < Math.max(1, restarts); run++) {
+      if (best && budget && budget.remaining <= 0) break;
+      const result = this.runKmeans(embeddings, k, maxIterations, random, budget);
+      if (!best || result.inertia < best.inertia) best = result;
+    }
+    return best;
+  }
+
+  static runKmeans(embeddings, k, maxIterations, random, budget = null) {
     const dim = embeddings[0].length;
-    let centroids = this.initializeCentroids(embeddings, k);
-    let clusters = [];
-    let assignments = new Array(embeddings.length).fill(0);
+    let centroids = this.initializeCentroids(embeddings, k, random);
+    let assignments = null;
+    if (budget) budget.remaining -= embeddings.length * k * dim;
 
     for (let iter = 0; iter < maxIterations; iter++) {
+      if (budget) {
+        if (assignments && budget.remaining <= 0) break;
+        budget.remaining -= embeddings.length * (k + 1) * dim;
+      }
       const newAssignments = embeddings.map((emb) => {
         let minDist = Infinity;
         let bestCluster = 0;
@@ -31,8 +125,7 @@ class TopicClusterer {
         return bestCluster;
       });
 
-      if (this.assignmentsEqual(assignments, newAssignments)) {
-        assignments = newAssignments;
+      if (assignments && this.assignmentsEqual(assignments, newAssignments)) {
         break;
       }
 
@@ -45,64 +138,113 @@ class TopicClusterer {
 
       embeddings.forEach((emb, idx) => {
         const cluster = assignments[idx];
+        const sum = newCentroids[cluster];
         counts[cluster]++;
-        emb.forEach((val, d) => {
-          newCentroids[cluster][d] += val;
-        });
+        for (let d = 0; d < dim; d++) sum[d] += emb[d];
       });
 
       centroids = newCentroids.map((centroid, c) => {
-        if (counts[c] === 0) return centroid;
+        if (counts[c] === 0) return centroids[c];
         return centroid.map((val) => val / counts[c]);
       });
     }
 
-    clusters = Array(k)
-      .fill(null)
-      .map(() => []);
-    assignments.forEach((cluster, idx) => {
+    // Renumber the non-empty clusters 0..n-1.
+    const used = [...new Set(assignments)].sort((a, b) => a - b);
+    const renumbered = assignments.map((cluster) => used.indexOf(cluster));
+    const clusters = used.map(() => []);
+    renumbered.forEach((cluster, idx) => {
       clusters[cluster].push(idx);
     });
+    const keptCentroids = used.map((cluster) => centroids[cluster]);
+    const inertia = embeddings.reduce(
+      (sum, emb, idx) => sum + this.euclideanDistance(emb, keptCentroids[renumbered[idx]]) ** 2,
+      0
+    );
 
-    return {
-      clusters: clusters.filter((c) => c.length > 0),
-      assignments,
-      centroids,
-    };
+    return { clusters, assignments: renumbered, centroids: keptCentroids, inertia };
   }
 
   /**
-   * Initialize centroids using a k-means++ style strategy.
+   * Initialize centroids using a k-means++ style strategy, drawing from `random`.
    */
-  static initializeCentroids(embeddings, k) {
+  static initializeCentroids(embeddings, k, random = Math.random) {
     const centroids = [];
-    centroids.push(embeddings[Math.floor(Math.random() * embeddings.length)]);
+    centroids.push(embeddings[Math.floor(random() * embeddings.length)]);
 
+    // Squared distance from each point to its nearest centroid so far, updated with each new one.
+    const distances = embeddings.map(() => Infinity);
     for (let i = 1; i < k; i++) {
-      const distances = embeddings.map((emb) => {
-        let minDist = Infinity;
-        centroids.forEach((centroid) => {
-          const dist = this.euclideanDistance(emb, centroid);
-          minDist = Math.min(minDist, dist);
-        });
-        return minDist * minDist;
+      const latest = centroids[i - 1];
+      embeddings.forEach((emb, j) => {
+        const dist = this.euclideanDistance(emb, latest);
+        distances[j] = Math.min(distances[j], dist * dist);
       });
 
       const totalDist = distances.reduce((a, b) => a + b, 0);
-      let random = Math.random() * totalDist;
+      let remaining = random() * totalDist;
+      // Rounding can leave `remaining` above zero after the last point.
+      let chosen = embeddings.length - 1;
 
       for (let j = 0; j < embeddings.length; j++) {
-        random -= distances[j];
-        if (random <= 0) {
-          centroids.push(embeddings[j]);
+        remaining -= distances[j];
+        if (remaining <= 0) {
+          chosen = j;
           break;
         }
       }
+      centroids.push(embeddings[chosen]);
     }
 
     return centroids;
   }
 
+  /**
+   * Pairwise euclidean distances, computed once and shared by the silhouette of every k.
+   */
+  static distanceMatrix(embeddings) {
+    const matrix = embeddings.map(() => new Array(embeddings.length).fill(0));
+    for (let i = 0; i < embeddings.length; i++) {
+      for (let j = i + 1; j < embeddings.length; j++) {
+        matrix[i][j] = this.euclideanDistance(embeddings[i], embeddings[j]);
+        matrix[j][i] = matrix[i][j];
+      }
+    }
+    return matrix;
+  }
+
+  /**
+   * Silhouette of a clustering, from -1 (points closer to another cluster) to 1 (compact and
+   * well separated): `{ mean, perCluster }`. Points alone in their cluster score 0, and so do
+   * clusters with no points among `assignments` (when scoring a sample).
+   */
+  static silhouette(distances, assignments, clusterCount = Math.max(...assignments) + 1) {
+    const scores = assignments.map((own, i) => {
+      const sums = new Array(clusterCount).fill(0);
+      const sizes = new Array(clusterCount).fill(0);
+      assignments.forEach((cluster, j) => {
+        if (i === j) return;
+        sums[cluster] += distances[i][j];
+        sizes[cluster]++;
+      });
+      if (!sizes[own]) return 0;
+
+      const a = sums[own] / sizes[own];
+      let b = Infinity;
+      for (let c = 0; c < clusterCount; c++) {
+        if (c !== own && sizes[c]) b = Math.min(b, sums[c] / sizes[c]);
+      }
+      if (b === Infinity || Math.max(a, b) === 0) return 0;
+      return (b - a) / Math.max(a, b);
+    });
+
+    const perCluster = Array.from({ length: clusterCount }, (_, c) => {
+      const members = scores.filter((_score, i) => assignments[i] === c);
+      return members.length ? members.reduce((sum, score) => sum + score, 0) / members.length : 0;
+    });
+    return { mean: scores.reduce((sum, score) => sum + score, 0) / scores.length, perCluster };
+  }
+
   static euclideanDistance(vecA, vecB) {
     let sum = 0;
     for (let i = 0; i < vecA.length; i++) {
@@ -121,7 +263,7 @@ class TopicClusterer {
   }
 
   /**
-   * Average intra-cluster similarity (optional diagnostic).
+   * Average pairwise cosine similarity within each cluster (1 for a single concept).
    */
   static calculateClusterCoherence(embeddings, clusters, embeddingsManager) {
     return clusters.map((cluster) => {
@@ -143,4 +285,38 @@ class TopicClusterer {
   }
 }
 
+/**
+ * Deterministic generator of numbers in [0, 1) (mulberry32).
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Up to `size` distinct indices below `n` in ascending order, drawn from `seed`; all of them
+ * when `n` is not larger than `size`.
+ */
+function sampleIndices(n, size, seed) {
+  const indices = Array.from({ length: n }, (_, index) => index);
+  if (n <= size) return indices;
+
+  const random = seededRandom(seed);
+  for (let i = 0; i < size; i++) {
+    const j = i + Math.floor(random() * (n - i));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return indices.slice(0, size).sort((a, b) => a - b);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
 module.exports = TopicClusterer;
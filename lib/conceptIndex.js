@@ -0,0 +1,155 @@
+/**
+ * In-process vector index over the concepts of saved graphs (data/graphs). It is built from
+ * the graph files on first use and kept current through GraphPersistence's `saved` and
+ * `deleted` events. Queries are embedded with the EmbeddingsManager and ranked by cosine
+ * similarity against the concepts embedded by the same model; concepts of other models are
+ * counted as `incompatible` instead of being compared. Matches below a minimum score are
+ * dropped, so a query unrelated to every saved graph returns no results rather than noise.
+ */
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 500;
+const DEFAULT_MIN_SCORE = 0.2;
+
+class ConceptIndex {
+  /**
+   * `minScore` is the default cosine similarity a concept needs to be returned.
+   */
+  constructor({ persistence, embeddingsManager, minScore = DEFAULT_MIN_SCORE }) {
+    this.persistence = persistence;
+    this.embeddingsManager = embeddingsManager;
+    this.minScore = minScore;
+    // filename -> { title, concepts }
+    this.graphs = new Map();
+    this.ready = null;
+    // Filenames deleted while a rebuild is reading the graph files.
+    this.deletedDuringRebuild = null;
+
+    persistence.on('saved', ({ filename, graph }) => this.graphs.set(filename, ConceptIndex.entry(graph)));
+    persistence.on('deleted', ({ filename }) => {
+      this.graphs.delete(filename);
+      this.deletedDuringRebuild?.add(filename);
+    });
+  }
+
+  /**
+   * Build the index once; later calls wait for the same build.
+   */
+  initialize() {
+    if (!this.ready) {
+      this.ready = this.rebuild().catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Re-read every saved graph. Saves and deletes that happen meanwhile win over what the
+   * rebuild read: a graph the `saved` event indexed is kept as is, and one deleted while its
+   * file was being read is not added back.
+   */
+  async rebuild() {
+    this.graphs.clear();
+    const deleted = new Set();
+    this.deletedDuringRebuild = deleted;
+
+    try {
+      for (const filename of await this.persistence.listFilenames()) {
+        if (this.graphs.has(filename) || deleted.has(filename)) continue;
+        try {
+          const entry = ConceptIndex.entry(await this.persistence.loadGraph(filename));
+          if (!this.graphs.has(filename) && !deleted.has(filename)) {
+            this.graphs.set(filename, entry);
+          }
+        } catch (error) {
+          if (!deleted.has(filename)) console.warn(`[search] Skipping unreadable graph ${filename}:`, error.message);
+        }
+      }
+    } finally {
+      if (this.deletedDuringRebuild === deleted) this.deletedDuringRebuild = null;
+    }
+    return this.size();
+  }
+
+  /**
+   * Indexed form of a saved graph: its title and the nodes that have an embedding.
+   */
+  static entry(graph) {
+    const graphModel = graph.metadata?.embeddings?.model || null;
+    const concepts = (Array.isArray(graph.nodes) ? graph.nodes : [])
+      .filter((node) => Array.isArray(node.embedding) && node.embedding.length)
+      .map((node) => ({
+        id: node.id,
+        name: node.name,
+        type: node.type,
+        difficulty: node.difficulty,
+        topic: node.topic,
+        description: node.description || '',
+        // Graphs saved before provenance was recorded have no model.
+        model: node.embeddingProvenance?.model || graphModel,
+        embedding: node.embedding,
+      }));
+    return { title: graph.persistenceMetadata?.title || 'Unknown', concepts };
+  }
+
+  size() {
+    return Array.from(this.graphs.values()).reduce((sum, { concepts }) => sum + concepts.length, 0);
+  }
+
+  /**
+   * Error message for a search query (`q`, optional `limit` and `minScore`), or null.
+   */
+  validateQuery({ q, limit, minScore }) {
+    if (typeof q !== 'string' || !q.trim()) return 'q is required';
+    if (q.length > MAX_QUERY_LENGTH) return `q must be at most ${MAX_QUERY_LENGTH} characters`;
+    if (limit !== undefined && !(/^\d+$/.test(limit) && Number(limit) >= 1 && Number(limit) <= MAX_LIMIT)) {
+      return `limit must be an integer between 1 and ${MAX_LIMIT}`;
+    }
+    if (minScore !== undefined && !(/^-?\d*\.?\d+$/.test(minScore) && Math.abs(Number(minScore)) <= 1)) {
+      return 'minScore must be a number between -1 and 1';
+    }
+    return null;
+  }
+
+  /**
+   * The `limit` concepts nearest to `query` across all saved graphs, best first, among those
+   * scoring at least `minScore` (default: the index's `minScore`).
+   */
+  async search(query, { limit = DEFAULT_LIMIT, minScore = this.minScore } = {}) {
+    await this.initialize();
+    const { embeddings: [vector], method, model } = await this.embeddingsManager.embed([query.trim()]);
+
+    const matches = [];
+    let searched = 0;
+    let incompatible = 0;
+    this.graphs.forEach(({ title, concepts }, filename) => {
+      concepts.forEach(({ embedding, model: conceptModel, ...concept }) => {
+        // Without a recorded model the vector size still tells most backends apart.
+        if (embedding.length !== vector.length || (conceptModel && conceptModel !== model)) {
+          incompatible++;
+          return;
+        }
+        searched++;
+        const score = this.embeddingsManager.cosineSimilarity(vector, embedding);
+        if (score < Number(minScore)) return;
+        matches.push({ ...concept, score: Math.round(score * 1000) / 1000, graph: { filename, title } });
+      });
+    });
+    matches.sort((a, b) => b.score - a.score);
+
+    return {
+      query,
+      method,
+      model,
+      searched,
+      incompatible,
+      minScore: Number(minScore),
+      results: matches.slice(0, Number(limit)),
+    };
+  }
+}
+
+module.exports = ConceptIndex;
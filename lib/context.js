@@ -0,0 +1,173 @@
+/**
+ * Builds the shared services every route module works with.
+ */
+
+const path = require('path');
+const GraphPersistence = require('./persistence');
+const ConceptIndex = require('./conceptIndex');
+const { EmbeddingsManager } = require('./embeddings');
+const EmbeddingCache = require('./embeddingCache');
+const JobQueue = require('./jobQueue');
+const BlueprintService = require('./blueprintService');
+const GroundingVerifier = require('./groundingVerifier');
+const NarrativeService = require('./narrativeService');
+const GraphService = require('./graphService');
+const DocumentIngestor = require('./ingestion');
+const DocumentStore = require('./documentStore');
+const DocumentLibrary = require('./documentLibrary');
+const { PromptRegistry, parsePromptVersions } = require('./promptRegistry');
+const { UsageLedger, parseUserLimits } = require('./usageLedger');
+const { createLLMClient, createResponseCache } = require('./llm');
+const { createOCRPool } = require('./ocr');
+const { describeError } = require('./apiErrors');
+
+function createContext({
+  config = process.env,
+  dataDir = path.join(__dirname, '..', 'data'),
+  uploadsDir = path.join(__dirname, '..', 'uploads'),
+  llmClient = null,
+} = {}) {
+  const client = llmClient || createLLMClient(config, { cache: createResponseCache(config, path.join(dataDir, 'llm-cache')) });
+  const persistence = new GraphPersistence(path.join(dataDir, 'graphs'));
+  const documents = new DocumentLibrary(path.join(dataDir, 'documents'));
+  const embeddingsManager = new EmbeddingsManager(config.OPENAI_API_KEY, config.EMBEDDINGS_METHOD || null, {
+    cache: new EmbeddingCache(path.join(dataDir, 'embeddings-cache'), {
+      maxEntries: Number(config.EMBEDDINGS_CACHE_MAX_ENTRIES) || undefined,
+    }),
+    batchSize: Number(config.EMBEDDINGS_BATCH_SIZE) || undefined,
+    concurrency: Number(config.EMBEDDINGS_CONCURRENCY) || undefined,
+    baseUrl: config.EMBEDDINGS_BASE_URL || undefined,
+    strict: ['true', '1'].includes(String(config.EMBEDDINGS_STRICT || '').toLowerCase()),
+    retry: { maxRetries: config.EMBEDDINGS_MAX_RETRIES ? Number(config.EMBEDDINGS_MAX_RETRIES) : undefined },
+  });
+  const conceptIndex = new ConceptIndex({
+    persistence,
+    embeddingsManager,
+    minScore: config.SEARCH_MIN_SCORE ? Number(config.SEARCH_MIN_SCORE) : undefined,
+  });
+  const ocrPool = createOCRPool(config);
+  const documentStore = new DocumentStore(uploadsDir, { maxBytes: Number(config.UPLOAD_MAX_BYTES) || undefined });
+  const prompts = new PromptRegistry({ defaults: parsePromptVersions(config.PROMPT_VERSIONS) });
+  const usageLedger = new UsageLedger(path.join(dataDir, 'usage'), {
+    dailyTokenLimit: Number(config.USAGE_DAILY_TOKEN_LIMIT) || 0,
+    userLimits: parseUserLimits(config.USAGE_USER_LIMITS),
+    ipDailyTokenLimit: Number(config.USAGE_IP_DAILY_TOKEN_LIMIT) || 0,
+  });
+
+  const services = {
+    blueprint: new BlueprintService({
+      llmClient: client,
+      prompts,
+      chunkSize: Number(config.PROCESS_CHUNK_SIZE) || 5000,
+      groundingVerifier: new GroundingVerifier({
+        embeddingsManager,
+        threshold: config.GROUNDING_THRESHOLD ? Number(config.GROUNDING_THRESHOLD) : undefined,
+      }),
+    }),
+    narrative: new NarrativeService({ llmClient: client, prompts }),
+    graphs: new GraphService({
+      llmClient: client,
+      embeddingsManager,
+      persistence,
+      prompts,
+      clustering: {
+        seed: config.CLUSTERING_SEED ? Number(config.CLUSTERING_SEED) : undefined,
+        restarts: Number(config.CLUSTERING_RESTARTS) || undefined,
+      },
+    }),
+    ingestion: new DocumentIngestor({ ocrPool, documentStore }),
+  };
+
+  // Work that may be submitted through POST /api/jobs, keyed by job type. Types that call the
+  // LLM are `metered`: they count towards the submitting user's quota.
+  const jobTypes = {
+    process: {
+      metered: true,
+      validate: (input) => services.blueprint.validate(input),
+      run: (input, options) => services.blueprint.generate(input, options),
+    },
+    adapt: {
+      metered: true,
+      validate: (input) => services.blueprint.validateAdapt(input),
+      run: (input, options) => services.blueprint.adapt(input, options),
+    },
+    narrative: {
+      metered: true,
+      validate: (input) => services.narrative.validate(input),
+      run: (input, options) => services.narrative.generate(input, options),
+    },
+    graph: {
+      validate: (input) => services.graphs.validateStructure(input),
+      run: (input, options) => services.graphs.fromStructure(input, options),
+    },
+  };
+
+  const jobQueue = new JobQueue(path.join(dataDir, 'jobs'), {
+    describeError: (error, job) => describeError(error, job.type).body,
+  });
+  Object.entries(jobTypes).forEach(([type, { run, metered }]) => {
+    if (!metered) {
+      jobQueue.register(type, run);
+      return;
+    }
+    jobQueue.register(type, async (input, options) => {
+      // Jobs resumed from before usage tracking have no user.
+      const userId = options.userId || 'anonymous';
+      const entry = { userId, ip: options.ip, endpoint: `job:${type}`, model: client.model };
+      try {
+        const result = await run(input, { ...options, checkQuota: usageLedger.guard(userId, options.ip) });
+        await usageLedger.recordResult(entry, result);
+        return result;
+      } catch (error) {
+        if (error.usage) await usageLedger.recordResult(entry, error);
+        throw error;
+      }
+    });
+  });
+  // Upload extraction is only submitted by /upload?async=1, never through /api/jobs.
+  jobQueue.register('extract', (input, options) => (input.documentId
+    ? services.ingestion.extractStored(input.documentId, input, options)
+    : services.ingestion.extract(input, options)));
+
+  const ready = Promise.all([
+    persistence.initializeDirectory().catch((error) => {
+      console.error('Failed to initialize graph data directory', error);
+    }),
+    documentStore.initialize().catch((error) => {
+      console.error('Failed to initialize document store', error);
+    }),
+    documents.initialize().catch((error) => {
+      console.error('Failed to initialize document library', error);
+    }),
+    usageLedger.initialize().catch((error) => {
+      console.error('Failed to initialize usage ledger', error);
+    }),
+    jobQueue.initialize()
+      .then((resumed) => {
+        if (resumed) console.log(`[jobs] Resumed ${resumed} interrupted job(s)`);
+      })
+      .catch((error) => {
+        console.error('Failed to initialize job queue', error);
+      }),
+  ]);
+
+  return {
+    config,
+    dataDir,
+    llmClient: client,
+    persistence,
+    documents,
+    embeddingsManager,
+    conceptIndex,
+    ocrPool,
+    documentStore,
+    prompts,
+    usageLedger,
+    jobQueue,
+    jobTypes,
+    services,
+    ready,
+  };
+}
+
+module.exports = createContext;
@@ -0,0 +1,171 @@
+/**
+ * Saved source texts: the extracted (or pasted) text of a document with its outline and
+ * provenance, so blueprints and graphs can be regenerated from a `documentId`. Pasted texts
+ * get a random id; an upload's id is derived from its content hash, so it is saved only once.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const DOCUMENT_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+class DocumentLibrary {
+  constructor(dataDir = path.join(__dirname, '..', 'data', 'documents')) {
+    this.dataDir = dataDir;
+  }
+
+  async initialize() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+  }
+
+  validate(input) {
+    if (input.uploadId !== undefined) {
+      return typeof input.uploadId === 'string' ? null : 'uploadId must be a string';
+    }
+    if (typeof input.text !== 'string' || !input.text.trim()) return 'Text is required';
+    if (input.title !== undefined && typeof input.title !== 'string') return 'title must be a string';
+    if (input.outline !== undefined && !Array.isArray(input.outline)) return 'outline must be an array of headings';
+    if (input.source !== undefined && (typeof input.source !== 'object' || Array.isArray(input.source))) {
+      return 'source must be an object';
+    }
+    return null;
+  }
+
+  /**
+   * Save `{ text, title?, outline?, source? }`; `source` records where the text came from
+   * (upload id, original file name, format, OCR engine...).
+   */
+  async create({ text, title, outline = [], source = {} }) {
+    await this.initialize();
+    const document = this.build(crypto.randomUUID(), { text, title, outline, source });
+    await fs.writeFile(this.filePath(document.id), JSON.stringify(document, null, 2));
+    return document;
+  }
+
+  /**
+   * The library entry saved for the upload `uploadId` (its content hash), or null.
+   */
+  findUpload(uploadId) {
+    return this.get(DocumentLibrary.idForUpload(uploadId));
+  }
+
+  /**
+   * Save the extraction of an upload unless it is already in the library. Resolves with
+   * `{ document, created }`; when another request saved it first, that document is returned.
+   */
+  async saveUpload(uploadId, { text, title, outline = [], source = {} }) {
+    await this.initialize();
+    const document = this.build(DocumentLibrary.idForUpload(uploadId), { text, title, outline, source: { ...source, uploadId } });
+    try {
+      await fs.writeFile(this.filePath(document.id), JSON.stringify(document, null, 2), { flag: 'wx' });
+      return { document, created: true };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      return { document: await this.get(document.id), created: false };
+    }
+  }
+
+  /**
+   * A UUID-shaped id derived from an upload's content hash.
+   */
+  static idForUpload(uploadId) {
+    const hex = crypto.createHash('sha256').update(`upload:${uploadId}`).digest('hex');
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+  }
+
+  build(id, { text, title, outline, source }) {
+    const now = new Date().toISOString();
+    return {
+      id,
+      title: (title || '').trim() || 'Untitled document',
+      text,
+      outline: outline
+        .filter((entry) => entry && typeof entry.text === 'string' && entry.text.trim())
+        .map(({ level, text: heading, offset, page }) => ({
+          level: Number(level) || 1,
+          text: heading.trim(),
+          ...(Number.isInteger(offset) && { offset }),
+          ...(Number.isInteger(page) && { page }),
+        })),
+      source: { kind: 'text', ...source },
+      characters: text.length,
+      createdAt: now,
+      updatedAt: now,
+    };
+  }
+
+  /**
+   * The stored document, or null when the id is unknown.
+   */
+  async get(id) {
+    if (!this.isValidId(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Summaries without the text, newest first.
+   */
+  async list() {
+    await this.initialize();
+    const files = await fs.readdir(this.dataDir);
+
+    const documents = await Promise.all(
+      files
+        .filter((f) => f.endsWith('.json'))
+        .map((f) => this.get(path.basename(f, '.json')).catch(() => null))
+    );
+
+    return documents
+      .filter(Boolean)
+      .map((document) => this.summarize(document))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async delete(id) {
+    if (!this.isValidId(id)) return false;
+    try {
+      await fs.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Fill `text`, `outline` and `title` of a generation request from its `documentId`.
+   * Values given in the request win over the stored ones. Returns null for unknown ids.
+   */
+  async resolve(input) {
+    const document = await this.get(input.documentId);
+    if (!document) return null;
+
+    return {
+      ...input,
+      text: document.text,
+      outline: input.outline ?? document.outline,
+      title: input.title ?? document.title,
+    };
+  }
+
+  summarize({ text: _text, outline, ...document }) {
+    return { ...document, headings: outline.length };
+  }
+
+  isValidId(id) {
+    return typeof id === 'string' && DOCUMENT_ID.test(id);
+  }
+
+  filePath(id) {
+    return path.join(this.dataDir, `${id}.json`);
+  }
+}
+
+module.exports = DocumentLibrary;
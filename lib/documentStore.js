@@ -0,0 +1,162 @@
+/**
+ * Content-addressed storage for uploads. Each file is kept once under its SHA-256 in
+ * `<rootDir>/documents/<hash>/`, next to a `meta.json` (original names, size, format, upload
+ * history) and cached extraction results, so re-uploading a file reuses earlier OCR work.
+ */
+
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { detectFormat } = require('./extractors');
+
+const DOCUMENT_ID = /^[a-f0-9]{64}$/;
+const FILE_EXTENSIONS = { pdf: 'pdf', text: 'txt', markdown: 'md', html: 'html', docx: 'docx', epub: 'epub' };
+const MAX_RECORDED_NAMES = 20;
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+class DocumentStore {
+  constructor(rootDir = path.join(__dirname, '..', 'uploads'), { maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    this.rootDir = rootDir;
+    this.maxBytes = maxBytes;
+    this.documentsDir = path.join(rootDir, 'documents');
+    this.tmpDir = path.join(rootDir, 'tmp');
+    this.writes = new Map();
+  }
+
+  async initialize() {
+    await fsp.mkdir(this.documentsDir, { recursive: true });
+    await fsp.mkdir(this.tmpDir, { recursive: true });
+  }
+
+  isValidId(id) {
+    return typeof id === 'string' && DOCUMENT_ID.test(id);
+  }
+
+  /**
+   * Move a freshly uploaded temp file into the store. The format is detected from the content
+   * (an ExtractionError is thrown for unsupported files). Returns `{ document, duplicate }`.
+   */
+  async add(tmpPath, { originalName = 'upload', mimeType = null } = {}) {
+    try {
+      const buffer = await fsp.readFile(tmpPath);
+      const format = await detectFormat(buffer, originalName);
+      const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+      const dir = this.dirFor(hash);
+      const filename = `${hash}.${FILE_EXTENSIONS[format]}`;
+      const now = new Date().toISOString();
+
+      // Identical content, so a concurrent first upload renaming over this file changes nothing.
+      if (!(await this.get(hash))) {
+        await fsp.mkdir(dir, { recursive: true });
+        await fsp.rename(tmpPath, path.join(dir, filename));
+      }
+
+      // Decided inside the meta.json chain, so of two concurrent first uploads the second one
+      // sees the first one's metadata and counts as a duplicate.
+      let duplicate = false;
+      const document = await this.updateMeta(hash, (meta) => {
+        if (meta) {
+          duplicate = true;
+          return {
+            ...meta,
+            names: recordName(meta.names, originalName),
+            uploadCount: (meta.uploadCount || 1) + 1,
+            lastUploadedAt: now,
+          };
+        }
+        return {
+          id: hash,
+          sha256: hash,
+          filename,
+          originalName,
+          names: [originalName],
+          mimeType,
+          format,
+          size: buffer.length,
+          uploadCount: 1,
+          createdAt: now,
+          lastUploadedAt: now,
+        };
+      });
+      return { document, duplicate };
+    } finally {
+      await fsp.unlink(tmpPath).catch(() => {});
+    }
+  }
+
+  async get(id) {
+    if (!this.isValidId(id)) return null;
+    try {
+      return JSON.parse(await fsp.readFile(path.join(this.dirFor(id), 'meta.json'), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  filePath(document) {
+    return path.join(this.dirFor(document.id), document.filename);
+  }
+
+  /**
+   * Cached extraction result for `key` (e.g. `auto`, `ocr-all`), or null.
+   */
+  async readExtraction(id, key) {
+    if (!this.isValidId(id)) return null;
+    try {
+      return JSON.parse(await fsp.readFile(this.extractionPath(id, key), 'utf-8'));
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  async saveExtraction(id, key, result) {
+    await writeJSON(this.extractionPath(id, key), { savedAt: new Date().toISOString(), result });
+  }
+
+  dirFor(id) {
+    if (!this.isValidId(id)) {
+      throw new Error(`Invalid document id: ${id}`);
+    }
+    return path.join(this.documentsDir, id);
+  }
+
+  extractionPath(id, key) {
+    return path.join(this.dirFor(id), `extraction-${key.replace(/[^a-z0-9-]/gi, '')}.json`);
+  }
+
+  /**
+   * Read-modify-write of meta.json; updates for the same document are chained so concurrent
+   * uploads of one file never lose a name or count.
+   */
+  updateMeta(id, change) {
+    const metaPath = path.join(this.dirFor(id), 'meta.json');
+    const previous = this.writes.get(id) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(async () => {
+        const current = await this.get(id);
+        const updated = change(current);
+        await writeJSON(metaPath, updated);
+        return updated;
+      });
+
+    this.writes.set(id, next);
+    next.finally(() => {
+      if (this.writes.get(id) === next) this.writes.delete(id);
+    }).catch(() => {});
+    return next;
+  }
+}
+
+function recordName(names = [], name) {
+  return names.includes(name) ? names : [...names, name].slice(-MAX_RECORDED_NAMES);
+}
+
+async function writeJSON(filePath, value) {
+  const tmpPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+  await fsp.writeFile(tmpPath, JSON.stringify(value, null, 2));
+  await fsp.rename(tmpPath, filePath);
+}
+
+module.exports = DocumentStore;
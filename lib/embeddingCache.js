@@ -0,0 +1,161 @@
+/**
+ * Persistent embedding cache: one JSON file per vector under data/embeddings-cache/, named by
+ * a hash of the model and the text, with the most recently used vectors also kept in memory.
+ * Once the cache holds more than `maxEntries` vectors, the least recently used files are
+ * deleted. Disk failures are logged and treated as misses.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MAX_ENTRIES = 20000;
+const DEFAULT_MAX_MEMORY_ENTRIES = 2000;
+
+class EmbeddingCache {
+  constructor(dir, { maxEntries = DEFAULT_MAX_ENTRIES, maxMemoryEntries = DEFAULT_MAX_MEMORY_ENTRIES } = {}) {
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    this.maxMemoryEntries = maxMemoryEntries;
+    // key -> vector, in least-recently-used-first order.
+    this.memory = new Map();
+    // key -> { size, usedAt } for every file on disk, in least-recently-used-first order.
+    this.index = new Map();
+    this.ready = null;
+    this.counters = { memoryHits: 0, diskHits: 0, misses: 0, writes: 0, evictions: 0 };
+  }
+
+  /**
+   * Index the files already on disk (oldest use first). Called lazily by get/set.
+   */
+  initialize() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await fs.mkdir(this.dir, { recursive: true });
+        const names = (await fs.readdir(this.dir)).filter((name) => name.endsWith('.json'));
+        const entries = await Promise.all(names.map(async (name) => {
+          const stat = await fs.stat(path.join(this.dir, name)).catch(() => null);
+          return stat && { key: name.slice(0, -'.json'.length), size: stat.size, usedAt: stat.mtimeMs };
+        }));
+        entries
+          .filter(Boolean)
+          .sort((a, b) => a.usedAt - b.usedAt)
+          .forEach(({ key, size, usedAt }) => this.index.set(key, { size, usedAt }));
+      })().catch((error) => {
+        console.warn('[embeddings-cache] Could not index cache directory', error.message);
+      });
+    }
+    return this.ready;
+  }
+
+  static keyFor(model, text) {
+    return crypto.createHash('sha256').update(`${model}\n${text}`).digest('hex');
+  }
+
+  /**
+   * Cached vectors for `texts` as a Map of text -> vector; texts not cached are absent.
+   */
+  async getMany(model, texts) {
+    await this.initialize();
+    const found = new Map();
+
+    for (const text of texts) {
+      const key = EmbeddingCache.keyFor(model, text);
+      if (this.memory.has(key)) {
+        found.set(text, this.touch(key, this.memory.get(key)));
+        this.counters.memoryHits++;
+        continue;
+      }
+      if (!this.index.has(key)) {
+        this.counters.misses++;
+        continue;
+      }
+      try {
+        const { embedding } = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+        found.set(text, this.touch(key, embedding));
+        this.counters.diskHits++;
+      } catch (error) {
+        console.warn('[embeddings-cache] Unreadable entry', key, error.message);
+        this.index.delete(key);
+        this.counters.misses++;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Store vectors given as a Map of text -> vector, then evict beyond `maxEntries`.
+   */
+  async setMany(model, vectors) {
+    await this.initialize();
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      for (const [text, embedding] of vectors) {
+        const key = EmbeddingCache.keyFor(model, text);
+        const content = JSON.stringify({ model, embedding });
+        await fs.writeFile(this.filePath(key), content);
+        this.index.delete(key);
+        this.index.set(key, { size: Buffer.byteLength(content), usedAt: Date.now() });
+        this.remember(key, embedding);
+        this.counters.writes++;
+      }
+      await this.evict();
+    } catch (error) {
+      console.warn('[embeddings-cache] Failed to store embeddings', error.message);
+    }
+  }
+
+  /**
+   * Mark an entry as just used, in memory and on disk (the file's mtime orders eviction
+   * across restarts).
+   */
+  touch(key, embedding) {
+    this.remember(key, embedding);
+    const entry = this.index.get(key);
+    if (entry) {
+      this.index.delete(key);
+      this.index.set(key, { ...entry, usedAt: Date.now() });
+      const now = new Date();
+      fs.utimes(this.filePath(key), now, now).catch(() => {});
+    }
+    return embedding;
+  }
+
+  remember(key, embedding) {
+    this.memory.delete(key);
+    this.memory.set(key, embedding);
+    while (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  async evict() {
+    const excess = this.index.size - this.maxEntries;
+    if (excess <= 0) return;
+    const victims = Array.from(this.index.keys()).slice(0, excess);
+    victims.forEach((key) => {
+      this.index.delete(key);
+      this.memory.delete(key);
+    });
+    await Promise.all(victims.map((key) => fs.rm(this.filePath(key), { force: true })));
+    this.counters.evictions += victims.length;
+  }
+
+  stats() {
+    const lookups = this.counters.memoryHits + this.counters.diskHits + this.counters.misses;
+    return {
+      entries: this.index.size,
+      maxEntries: this.maxEntries,
+      bytes: Array.from(this.index.values()).reduce((sum, entry) => sum + entry.size, 0),
+      inMemory: this.memory.size,
+      ...this.counters,
+      hitRate: lookups ? Math.round(((this.counters.memoryHits + this.counters.diskHits) / lookups) * 1000) / 1000 : null,
+    };
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+}
+
+module.exports = EmbeddingCache;
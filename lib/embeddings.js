@@ -1,52 +1,202 @@
 /**
  * Embeddings Manager
- * Provides similarity helpers with optional OpenAI-backed embeddings.
+ * Provides similarity helpers over one of three embedding methods:
+ *   - openai: text-embedding-3-small (needs OPENAI_API_KEY)
+ *   - local: hashed character n-grams computed offline (see lib/localEmbeddings.js)
+ *   - mock: pseudo-random vectors seeded by a hash of the text, with no meaning
+ *
+ * Every call embeds all of its texts with one backend, so vectors of different models or
+ * dimensions are never compared. When the OpenAI API still fails after retries, the whole call
+ * is re-embedded locally (flagged as a fallback in its provenance) or, in strict mode, fails.
  */
 
+const LocalEmbedder = require('./localEmbeddings');
+const { sleep, getBackoffDelayMs } = require('./backoff');
+
 const fetch = (...args) => import('node-fetch').then(({ default: fetchFn }) => fetchFn(...args));
 
+const METHODS = ['openai', 'local', 'mock'];
+const OPENAI_MODEL = 'text-embedding-3-small';
+const MOCK_MODEL = 'mock-hash-96';
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Raised when embeddings cannot be produced with the configured backend and strict mode
+ * forbids falling back to another one.
+ */
+class EmbeddingsError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message);
+    this.name = 'EmbeddingsError';
+    this.code = 'EMBEDDINGS_UNAVAILABLE';
+    this.status = status;
+  }
+}
+
 class EmbeddingsManager {
-  constructor(apiKey = null, method = 'openai') {
+  /**
+   * `method` defaults to openai when an API key is available and to local otherwise;
+   * asking for openai without a key also falls back to local. OpenAI texts are sent
+   * `batchSize` per request with at most `concurrency` requests in flight, and vectors are
+   * kept in `cache` (an EmbeddingCache) when one is given. Failed requests are retried with
+   * backoff (`retry`: maxRetries, baseDelayMs, backoffFactor, jitterMs); `strict` makes calls
+   * fail instead of falling back to local embeddings.
+   */
+  constructor(
+    apiKey = null,
+    method = null,
+    { cache = null, batchSize = 100, concurrency = 2, baseUrl = DEFAULT_BASE_URL, strict = false, retry = {} } = {}
+  ) {
     this.apiKey = apiKey || process.env.OPENAI_API_KEY;
-    this.method = this.apiKey ? method : 'mock';
-    this.embeddingsCache = new Map();
+    if (method && !METHODS.includes(method)) {
+      throw new Error(`Unknown embeddings method: ${method}. Expected one of: ${METHODS.join(', ')}`);
+    }
+    const requested = method || (this.apiKey ? 'openai' : 'local');
+    this.method = requested === 'openai' && !this.apiKey ? 'local' : requested;
+    this.localEmbedder = new LocalEmbedder();
+    this.cache = cache;
+    this.batchSize = batchSize;
+    this.concurrency = concurrency;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.strict = strict;
+    this.retry = retry;
+    this.requests = { batches: 0, texts: 0, retries: 0, fallbacks: 0 };
+  }
+
+  /**
+   * Embed `texts` with a single backend. Resolves `{ embeddings, provenance, method, model,
+   * dimensions, fallback }`: `provenance[i]` is `{ method, model, dimensions, cached, fallback }`
+   * for `embeddings[i]`, and `fallback` is the reason OpenAI was replaced by local embeddings
+   * (null when it was not). With `strict`, an OpenAI failure throws an EmbeddingsError instead.
+   */
+  async embed(texts, { strict = this.strict } = {}) {
+    if (this.method === 'openai') {
+      try {
+        const { embeddings, cached } = await this.getOpenAIEmbeddings(texts);
+        return describe('openai', OPENAI_MODEL, embeddings, { cached });
+      } catch (error) {
+        if (strict) {
+          throw error instanceof EmbeddingsError ? error : new EmbeddingsError(error.message);
+        }
+        console.warn(`[embeddings] OpenAI embeddings failed (${error.message}); embedding all ${texts.length} texts locally`);
+        this.requests.fallbacks++;
+        const embeddings = texts.map((text) => this.localEmbedder.embed(text));
+        return describe('local', this.localEmbedder.model, embeddings, { fallback: error.message });
+      }
+    }
+    if (this.method === 'local') {
+      return describe('local', this.localEmbedder.model, texts.map((text) => this.localEmbedder.embed(text)));
+    }
+    return describe('mock', MOCK_MODEL, texts.map((text) => this.generateMockEmbedding(text)));
   }
 
-  async getOpenAIEmbedding(text) {
-    if (this.embeddingsCache.has(text)) {
-      return this.embeddingsCache.get(text);
+  /**
+   * Embed texts with OpenAI: cached vectors are reused, the rest are requested in batches.
+   * Duplicate texts are embedded once. Resolves `{ embeddings, cached }` (per-text cache hits);
+   * throws when any batch fails, so no text is left without a vector of this model.
+   */
+  async getOpenAIEmbeddings(texts) {
+    const unique = [...new Set(texts)];
+    const vectors = this.cache ? await this.cache.getMany(OPENAI_MODEL, unique) : new Map();
+    const fromCache = new Set(vectors.keys());
+    const missing = unique.filter((text) => !vectors.has(text));
+
+    const batches = [];
+    for (let i = 0; i < missing.length; i += this.batchSize) {
+      batches.push(missing.slice(i, i + this.batchSize));
     }
 
-    try {
-      const response = await fetch('https://api.openai.com/v1/embeddings', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${this.apiKey}`,
-        },
-        body: JSON.stringify({
-          input: text,
-          model: 'text-embedding-3-small',
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.statusText}`);
-      }
+    await runWithConcurrency(batches, this.concurrency, async (batch) => {
+      const embeddings = await this.requestWithRetry(batch);
+      const fresh = new Map(batch.map((text, index) => [text, embeddings[index]]));
+      fresh.forEach((embedding, text) => vectors.set(text, embedding));
+      if (this.cache) await this.cache.setMany(OPENAI_MODEL, fresh);
+    });
 
-      const data = await response.json();
-      const embedding = data?.data?.[0]?.embedding;
-      if (!embedding) {
-        throw new Error('OpenAI returned no embedding');
+    const embeddings = texts.map((text) => vectors.get(text));
+    // A cache filled through another EMBEDDINGS_BASE_URL may hold vectors of another size.
+    const dimensions = new Set(embeddings.map((embedding) => embedding.length));
+    if (dimensions.size > 1) {
+      throw new EmbeddingsError(`OpenAI embeddings have inconsistent dimensions (${[...dimensions].join(', ')})`);
+    }
+    return { embeddings, cached: texts.map((text) => fromCache.has(text)) };
+  }
+
+  /**
+   * requestOpenAIEmbeddings, retrying rate limits, 5xx responses and network failures with
+   * jittered backoff.
+   */
+  async requestWithRetry(batch) {
+    const maxRetries = this.retry.maxRetries ?? 3;
+    const baseDelayMs = this.retry.baseDelayMs ?? 500;
+    const backoffFactor = this.retry.backoffFactor ?? 2;
+    const jitterMs = this.retry.jitterMs ?? 250;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.requestOpenAIEmbeddings(batch);
+      } catch (error) {
+        const status = error instanceof EmbeddingsError ? error.status : null;
+        const retryable = status === null || status === 429 || (status >= 500 && status < 600);
+        if (!retryable || attempt >= maxRetries) {
+          throw error;
+        }
+        const delay = getBackoffDelayMs(attempt, baseDelayMs, backoffFactor, jitterMs);
+        console.warn(`[embeddings] Attempt ${attempt + 1} failed (status=${status}). Retrying in ${delay}ms`);
+        this.requests.retries++;
+        await sleep(delay);
       }
-      this.embeddingsCache.set(text, embedding);
-      return embedding;
-    } catch (error) {
-      console.warn('Falling back to mock embedding:', error.message);
-      return this.generateMockEmbedding(text);
     }
   }
 
+  /**
+   * One embeddings API call for a batch of texts; resolves vectors in input order.
+   */
+  async requestOpenAIEmbeddings(batch) {
+    this.requests.batches++;
+    this.requests.texts += batch.length;
+
+    const response = await fetch(`${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.apiKey}`,
+      },
+      body: JSON.stringify({
+        input: batch,
+        model: OPENAI_MODEL,
+      }),
+    });
+
+    if (!response.ok) {
+      throw new EmbeddingsError(`OpenAI API error: ${response.status} ${response.statusText}`, { status: response.status });
+    }
+
+    const data = await response.json();
+    const embeddings = [];
+    (data?.data || []).forEach((item) => {
+      embeddings[item.index] = item.embedding;
+    });
+    if (batch.some((_text, index) => !Array.isArray(embeddings[index]))) {
+      throw new EmbeddingsError('OpenAI returned fewer embeddings than requested', { status: response.status });
+    }
+    return embeddings;
+  }
+
+  /**
+   * Cache and batching statistics for /api/health.
+   */
+  cacheStats() {
+    return {
+      enabled: Boolean(this.cache),
+      ...(this.cache && this.cache.stats()),
+      batchSize: this.batchSize,
+      concurrency: this.concurrency,
+      strict: this.strict,
+      requests: { ...this.requests },
+    };
+  }
+
   generateMockEmbedding(text) {
     const hash = this.simpleHash(text);
     const dim = 96;
@@ -71,14 +221,25 @@ class EmbeddingsManager {
     return Math.abs(hash);
   }
 
-  async getEmbeddings(texts) {
-    if (this.method === 'openai') {
-      return Promise.all(texts.map((text) => this.getOpenAIEmbedding(text)));
-    }
-    return texts.map((text) => this.generateMockEmbedding(text));
+  /**
+   * Vectors only; see embed() for their provenance.
+   */
+  async getEmbeddings(texts, options = {}) {
+    return (await this.embed(texts, options)).embeddings;
+  }
+
+  /**
+   * Whether vectors capture meaning (synonyms, paraphrases) rather than only spelling.
+   */
+  isSemantic() {
+    return this.method === 'openai';
   }
 
   cosineSimilarity(embA, embB) {
+    if (embA.length !== embB.length) {
+      throw new Error(`Cannot compare embeddings of different dimensions (${embA.length} and ${embB.length})`);
+    }
+
     let dotProduct = 0;
     let normA = 0;
     let normB = 0;
@@ -89,11 +250,17 @@ class EmbeddingsManager {
       normB += embB[i] * embB[i];
     }
 
+    // Local vectors of text without letters or digits are all zeros.
+    if (!normA || !normB) return 0;
     return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
   }
 
-  async getSimilarityMatrix(texts) {
-    const embeddings = await this.getEmbeddings(texts);
+  /**
+   * Pairwise cosine similarities, with the embed() result they were computed from.
+   */
+  async getSimilarityMatrix(texts, options = {}) {
+    const result = await this.embed(texts, options);
+    const { embeddings } = result;
     const matrix = [];
 
     for (let i = 0; i < embeddings.length; i++) {
@@ -104,8 +271,43 @@ class EmbeddingsManager {
       matrix.push(row);
     }
 
-    return { embeddings, matrix };
+    return { ...result, matrix };
   }
 }
 
-module.exports = EmbeddingsManager;
+/**
+ * embed() result for vectors from one backend.
+ */
+function describe(method, model, embeddings, { cached = [], fallback = null } = {}) {
+  const dimensions = embeddings[0]?.length ?? 0;
+  return {
+    embeddings,
+    provenance: embeddings.map((_embedding, index) => ({
+      method,
+      model,
+      dimensions,
+      cached: Boolean(cached[index]),
+      fallback: Boolean(fallback),
+    })),
+    method,
+    model,
+    dimensions,
+    fallback,
+  };
+}
+
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight.
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+module.exports = { EmbeddingsManager, EmbeddingsError };
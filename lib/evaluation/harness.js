@@ -0,0 +1,140 @@
+/**
+ * Runs a fixed corpus through the blueprint pipeline under one configuration (model settings,
+ * prompt versions, chunk size) and scores each result with lib/evaluation/metrics.js.
+ *
+ * Model responses are replayed from recordings (eval/recordings/<config>/), so runs are
+ * offline and repeatable; `record: true` calls the configured provider and saves what it says.
+ */
+
+const path = require('path');
+const BlueprintService = require('../blueprintService');
+const GroundingVerifier = require('../groundingVerifier');
+const DocumentIngestor = require('../ingestion');
+const { PromptRegistry } = require('../promptRegistry');
+const { createOCRPool } = require('../ocr');
+const { createProvider, LLMClient, FixtureProvider, RecordingProvider } = require('../llm');
+const { evaluateBlueprint } = require('./metrics');
+
+class EvaluationHarness {
+  constructor({ rootDir, recordingsDir, record = false }) {
+    this.rootDir = rootDir;
+    this.recordingsDir = recordingsDir;
+    this.record = record;
+    // The corpus is text-layer PDFs and plain text; OCR would make runs machine-dependent.
+    this.ingestor = new DocumentIngestor({ ocrPool: createOCRPool({ OCR_ENGINE: 'none' }) });
+    this.texts = new Map();
+  }
+
+  /**
+   * Evaluate every corpus document under `config`. Documents that fail (e.g. a response was
+   * never recorded) are reported with an `error` instead of metrics.
+   */
+  async run(config, corpus) {
+    const client = this.createClient(config);
+    const service = new BlueprintService({
+      llmClient: client,
+      prompts: new PromptRegistry({ defaults: config.promptVersions || {} }),
+      chunkSize: config.chunkSize || 5000,
+      groundingVerifier: new GroundingVerifier(),
+    });
+
+    const documents = [];
+    for (const entry of corpus) {
+      console.log(`[eval] ${config.name}: ${entry.id}`);
+      documents.push(await this.evaluateDocument(service, client, entry, config));
+    }
+    return { config: describeConfig(config), model: client.model, documents };
+  }
+
+  async evaluateDocument(service, client, entry, config) {
+    const { text, outline } = await this.readDocument(entry);
+    client.startCapture();
+
+    try {
+      const response = await service.generate({
+        text,
+        outline,
+        title: entry.title,
+        focus: entry.focus,
+        ...(config.options || {}),
+      });
+      const { replies, missing } = client.stopCapture();
+      if (missing.length) {
+        return { id: entry.id, error: `${missing.length} response(s) not recorded for ${config.name}; run with --record` };
+      }
+
+      return {
+        id: entry.id,
+        prompt: response.prompt,
+        warnings: response.warnings || [],
+        metrics: evaluateBlueprint(response, { keyTerms: entry.keyTerms, replies }),
+      };
+    } catch (error) {
+      const { missing } = client.stopCapture();
+      const message = missing.length ? `Responses not recorded for ${config.name}; run with --record` : error.message;
+      console.error(`[eval] ${config.name}: ${entry.id} failed`, error.message);
+      return { id: entry.id, error: message };
+    }
+  }
+
+  async readDocument(entry) {
+    if (!this.texts.has(entry.id)) {
+      const filePath = path.resolve(this.rootDir, entry.path);
+      const { extractedText, outline } = await this.ingestor.extract({ filePath });
+      this.texts.set(entry.id, { text: extractedText, outline });
+    }
+    return this.texts.get(entry.id);
+  }
+
+  /**
+   * Replaying: a fixture provider reading the config's recordings. Recording: the provider
+   * named in `config.llm` (over process.env), wrapped to save every response.
+   */
+  createClient(config) {
+    const fixturesDir = path.join(this.recordingsDir, config.name);
+    const settings = { ...process.env, ...(config.llm || {}) };
+    const provider = this.record
+      ? new RecordingProvider(createProvider(settings), { fixturesDir })
+      : new FixtureProvider({ model: settings.LLM_MODEL || settings.GROQ_MODEL || 'fixture', fixturesDir });
+
+    return new CapturingClient(provider, { temperature: config.temperature });
+  }
+}
+
+/**
+ * LLMClient that keeps the replies of the current document, for the schema validity metric,
+ * and notes requests that have no recording.
+ */
+class CapturingClient extends LLMClient {
+  startCapture() {
+    this.capture = { replies: [], missing: [] };
+  }
+
+  stopCapture() {
+    const capture = this.capture || { replies: [], missing: [] };
+    this.capture = null;
+    return capture;
+  }
+
+  async complete(messages, options) {
+    try {
+      const result = await super.complete(messages, options);
+      this.capture?.replies.push(result.content);
+      return result;
+    } catch (error) {
+      if (error?.type === 'FIXTURE_MISSING') this.capture?.missing.push(error.message);
+      throw error;
+    }
+  }
+}
+
+function describeConfig(config) {
+  return {
+    name: config.name,
+    description: config.description || '',
+    promptVersions: config.promptVersions || {},
+    chunkSize: config.chunkSize || 5000,
+  };
+}
+
+module.exports = EvaluationHarness;
@@ -0,0 +1,14 @@
+/**
+ * Offline evaluation of blueprint quality (see evaluate.js for the command line).
+ */
+
+const EvaluationHarness = require('./harness');
+const metrics = require('./metrics');
+const { compare, toMarkdown } = require('./report');
+
+module.exports = {
+  EvaluationHarness,
+  compare,
+  toMarkdown,
+  ...metrics,
+};
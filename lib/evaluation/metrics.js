@@ -0,0 +1,235 @@
+/**
+ * Quality metrics for one generated blueprint. Every metric is computed from the merged
+ * blueprint and the /api/process response, plus the raw model replies for schema validity.
+ */
+
+const SchemaValidator = require('../schemaValidator');
+const { safeJSON } = require('../llm');
+
+// Quest titles this similar (token Jaccard) count as near-duplicates.
+const NEAR_DUPLICATE_SIMILARITY = 0.8;
+
+/**
+ * Share of the model's replies that parse and match the blueprint schema without repair, plus
+ * the violations left in the merged blueprint (`SCHEMA_VIOLATION` warnings).
+ */
+function schemaValidity(replies, response) {
+  const checked = replies.map((content) => {
+    const parsed = safeJSON(content);
+    return Boolean(parsed) && SchemaValidator.validate(parsed, 'blueprint').valid;
+  });
+  const valid = checked.filter(Boolean).length;
+  const warnings = Array.isArray(response.warnings) ? response.warnings : [];
+
+  return {
+    replies: replies.length,
+    validReplies: valid,
+    rate: replies.length ? round(valid / replies.length) : null,
+    parseErrors: warnings.filter((warning) => warning.startsWith('GROQ_PARSE_ERROR')).length,
+    remainingViolations: warnings.filter((warning) => warning.startsWith('SCHEMA_VIOLATION')).length,
+  };
+}
+
+/**
+ * How many of the document's key terms appear in the vocabulary. A key term is a string or a
+ * list of synonyms (the first one names it); it is covered when a vocabulary term contains it
+ * or is contained in it, ignoring case, hyphens and plurals.
+ */
+function vocabularyCoverage(structured, keyTerms = []) {
+  const terms = asArray(structured?.vocabulary).map((entry) => normalizeTerm(entry.term)).filter(Boolean);
+  const missing = [];
+
+  keyTerms.forEach((keyTerm) => {
+    const synonyms = (Array.isArray(keyTerm) ? keyTerm : [keyTerm]).map(normalizeTerm).filter(Boolean);
+    const covered = synonyms.some((synonym) => terms.some((term) => containsWords(term, synonym) || containsWords(synonym, term)));
+    if (!covered) missing.push(Array.isArray(keyTerm) ? keyTerm[0] : keyTerm);
+  });
+
+  return {
+    keyTerms: keyTerms.length,
+    covered: keyTerms.length - missing.length,
+    rate: keyTerms.length ? round((keyTerms.length - missing.length) / keyTerms.length) : null,
+    missing,
+    vocabularySize: terms.length,
+  };
+}
+
+/**
+ * Quest dependencies as a graph: whether it is acyclic, the cycles found (as title lists) and
+ * dependencies that name no quest of the blueprint.
+ */
+function dependencyGraph(structured) {
+  const quests = asArray(structured?.levels).flatMap((level) => asArray(level.quests));
+  const byKey = new Map(quests.map((quest) => [normalizeTerm(quest.title), quest]));
+  const edges = new Map();
+  let unresolved = 0;
+
+  quests.forEach((quest) => {
+    const from = normalizeTerm(quest.title);
+    const targets = new Set(edges.get(from) || []);
+    asArray(quest.dependencies, 'string').forEach((dependency) => {
+      const to = normalizeTerm(dependency);
+      if (byKey.has(to)) targets.add(to);
+      else unresolved++;
+    });
+    edges.set(from, targets);
+  });
+
+  const cycles = findCycles(edges).map((cycle) => cycle.map((key) => byKey.get(key)?.title ?? key));
+  return {
+    quests: quests.length,
+    edges: Array.from(edges.values()).reduce((sum, targets) => sum + targets.size, 0),
+    acyclic: cycles.length === 0,
+    cycles,
+    unresolved,
+  };
+}
+
+/**
+ * Average grounding score of quests and vocabulary (see lib/groundingVerifier.js) and the
+ * share of entries flagged as unsupported.
+ */
+function grounding(structured, response) {
+  const entries = [
+    ...asArray(structured?.levels).flatMap((level) => asArray(level.quests)),
+    ...asArray(structured?.vocabulary),
+  ].filter((entry) => entry.grounding && typeof entry.grounding.score === 'number');
+
+  if (!entries.length) {
+    return { method: response.grounding?.method ?? null, checked: 0, meanScore: null, flaggedRate: null };
+  }
+  const flagged = entries.filter((entry) => !entry.grounding.supported).length;
+  return {
+    method: response.grounding?.method ?? null,
+    checked: entries.length,
+    meanScore: round(entries.reduce((sum, entry) => sum + entry.grounding.score, 0) / entries.length),
+    flaggedRate: round(flagged / entries.length),
+  };
+}
+
+/**
+ * Quests whose titles repeat (after normalization) or nearly repeat across the blueprint.
+ */
+function duplicateQuests(structured) {
+  const titles = asArray(structured?.levels)
+    .flatMap((level) => asArray(level.quests))
+    .map((quest) => quest.title)
+    .filter((title) => typeof title === 'string' && title.trim());
+  const tokens = titles.map((title) => new Set(normalizeTerm(title).split(' ')));
+  const pairs = [];
+
+  for (let i = 0; i < titles.length; i++) {
+    for (let j = i + 1; j < titles.length; j++) {
+      const similarity = jaccard(tokens[i], tokens[j]);
+      if (similarity >= NEAR_DUPLICATE_SIMILARITY) pairs.push({ titles: [titles[i], titles[j]], similarity: round(similarity) });
+    }
+  }
+
+  const duplicated = new Set(pairs.flatMap((pair) => pair.titles));
+  return {
+    quests: titles.length,
+    duplicates: duplicated.size,
+    rate: titles.length ? round(duplicated.size / titles.length) : null,
+    pairs,
+  };
+}
+
+/**
+ * Every metric for one document's run.
+ */
+function evaluateBlueprint(response, { keyTerms = [], replies = [] } = {}) {
+  const structured = response.structured;
+  return {
+    counts: {
+      levels: asArray(structured?.levels).length,
+      quests: asArray(structured?.levels).reduce((sum, level) => sum + asArray(level.quests).length, 0),
+      vocabulary: asArray(structured?.vocabulary).length,
+      assessments: asArray(structured?.assessments).length,
+      chunks: response.chunks?.total ?? null,
+      chunksProcessed: response.chunks?.processed ?? null,
+    },
+    schema: schemaValidity(replies, response),
+    vocabulary: vocabularyCoverage(structured, keyTerms),
+    dependencies: dependencyGraph(structured),
+    grounding: grounding(structured, response),
+    duplicates: duplicateQuests(structured),
+    usage: response.usage ?? null,
+  };
+}
+
+/**
+ * Cycles of a directed graph (`Map<node, Set<node>>`), each reported once as a node list.
+ */
+function findCycles(edges) {
+  const cycles = [];
+  const seen = new Set();
+  const state = new Map(); // undefined: unvisited, 1: on the current path, 2: done
+  const stack = [];
+
+  const visit = (node) => {
+    state.set(node, 1);
+    stack.push(node);
+    (edges.get(node) || new Set()).forEach((next) => {
+      if (state.get(next) === 1) {
+        const cycle = stack.slice(stack.indexOf(next));
+        const key = [...cycle].sort().join('|');
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push(cycle);
+        }
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    });
+    stack.pop();
+    state.set(node, 2);
+  };
+
+  edges.forEach((_targets, node) => {
+    if (!state.has(node)) visit(node);
+  });
+  return cycles;
+}
+
+function normalizeTerm(value) {
+  if (typeof value !== 'string') return '';
+  return value
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .map((word) => (word.length > 3 ? word.replace(/([^s])s$/, '$1') : word))
+    .join(' ');
+}
+
+// Whole-word containment of normalized phrases.
+function containsWords(haystack, needle) {
+  return ` ${haystack} `.includes(` ${needle} `);
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  a.forEach((token) => {
+    if (b.has(token)) shared++;
+  });
+  const union = a.size + b.size - shared;
+  return union ? shared / union : 0;
+}
+
+function asArray(value, type = 'object') {
+  return Array.isArray(value) ? value.filter((entry) => entry && typeof entry === type) : [];
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  evaluateBlueprint,
+  schemaValidity,
+  vocabularyCoverage,
+  dependencyGraph,
+  grounding,
+  duplicateQuests,
+  findCycles,
+};
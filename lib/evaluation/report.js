@@ -0,0 +1,138 @@
+/**
+ * Comparison report between two evaluation runs: headline metrics per document and averaged
+ * over the corpus, with candidate − baseline deltas, as JSON and as a markdown table.
+ */
+
+// Headline metrics: [key, label, read from a document's metrics, whether higher is better].
+const HEADLINE = [
+  ['schemaValidRate', 'Schema-valid replies', (m) => m.schema.rate, true],
+  ['schemaViolations', 'Violations after repair', (m) => m.schema.remainingViolations, false],
+  ['vocabularyCoverage', 'Key-term coverage', (m) => m.vocabulary.rate, true],
+  ['dependencyCycles', 'Dependency cycles', (m) => m.dependencies.cycles.length, false],
+  ['unresolvedDependencies', 'Unresolved dependencies', (m) => m.dependencies.unresolved, false],
+  ['groundingScore', 'Mean grounding score', (m) => m.grounding.meanScore, true],
+  ['groundingFlaggedRate', 'Flagged as unsupported', (m) => m.grounding.flaggedRate, false],
+  ['duplicateQuestRate', 'Duplicate quests', (m) => m.duplicates.rate, false],
+  ['quests', 'Quests', (m) => m.counts.quests, null],
+  ['vocabulary', 'Vocabulary entries', (m) => m.counts.vocabulary, null],
+  ['totalTokens', 'Total tokens', (m) => m.usage?.total_tokens ?? null, false],
+];
+
+function headline(metrics) {
+  if (!metrics) return null;
+  return Object.fromEntries(HEADLINE.map(([key, , read]) => [key, read(metrics) ?? null]));
+}
+
+function compare(baseline, candidate) {
+  const ids = [...new Set([...baseline.documents, ...candidate.documents].map((document) => document.id))];
+  const find = (run, id) => run.documents.find((document) => document.id === id) || { id, error: 'Not evaluated' };
+
+  const documents = ids.map((id) => {
+    const before = find(baseline, id);
+    const after = find(candidate, id);
+    const a = headline(before.metrics);
+    const b = headline(after.metrics);
+    return {
+      id,
+      baseline: before.error ? { error: before.error } : a,
+      candidate: after.error ? { error: after.error } : b,
+      delta: a && b ? delta(a, b) : null,
+    };
+  });
+
+  const summaryOf = (side) => average(documents.map((document) => document[side]).filter((values) => values && !values.error));
+  const summary = { baseline: summaryOf('baseline'), candidate: summaryOf('candidate') };
+  summary.delta = summary.baseline && summary.candidate ? delta(summary.baseline, summary.candidate) : null;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    baseline: { ...baseline.config, model: baseline.model },
+    candidate: { ...candidate.config, model: candidate.model },
+    summary,
+    documents,
+    details: { baseline: baseline.documents, candidate: candidate.documents },
+  };
+}
+
+function delta(a, b) {
+  return Object.fromEntries(HEADLINE.map(([key]) => [key, a[key] === null || b[key] === null ? null : round(b[key] - a[key])]));
+}
+
+/**
+ * Mean of each headline metric over the documents that have it.
+ */
+function average(rows) {
+  if (!rows.length) return null;
+  return Object.fromEntries(HEADLINE.map(([key]) => {
+    const values = rows.map((row) => row[key]).filter((value) => value !== null);
+    return [key, values.length ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null];
+  }));
+}
+
+function toMarkdown(report) {
+  const lines = [
+    '# Blueprint evaluation',
+    '',
+    `Generated ${report.generatedAt}.`,
+    '',
+    `- **Baseline:** ${describeSide(report.baseline)}`,
+    `- **Candidate:** ${describeSide(report.candidate)}`,
+    '',
+    '## Corpus average',
+    '',
+    ...table(report.summary),
+  ];
+
+  report.documents.forEach((document) => {
+    lines.push('', `## ${document.id}`, '');
+    if (document.baseline?.error || document.candidate?.error) {
+      if (document.baseline?.error) lines.push(`- Baseline failed: ${document.baseline.error}`);
+      if (document.candidate?.error) lines.push(`- Candidate failed: ${document.candidate.error}`);
+      return;
+    }
+    lines.push(...table(document));
+
+    const missing = (side) => report.details[side].find((entry) => entry.id === document.id)?.metrics?.vocabulary.missing || [];
+    if (missing('baseline').length) lines.push('', `Key terms missing (baseline): ${missing('baseline').join(', ')}`);
+    if (missing('candidate').length) lines.push('', `Key terms missing (candidate): ${missing('candidate').join(', ')}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+function table({ baseline, candidate, delta: change }) {
+  if (!baseline || !candidate) return ['No document was evaluated under both configurations.'];
+  return [
+    '| Metric | Baseline | Candidate | Δ |',
+    '| --- | ---: | ---: | ---: |',
+    ...HEADLINE.map(([key, label, , higherIsBetter]) =>
+      `| ${label} | ${format(baseline[key])} | ${format(candidate[key])} | ${formatDelta(change?.[key], higherIsBetter)} |`
+    ),
+  ];
+}
+
+function describeSide(side) {
+  const prompts = Object.entries(side.promptVersions).map(([id, version]) => `${id}@${version}`).join(', ');
+  return [side.name, side.model && `model ${side.model}`, prompts && `prompts ${prompts}`, `chunk size ${side.chunkSize}`]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+function format(value) {
+  return value === null || value === undefined ? '–' : String(value);
+}
+
+// Deltas in the better direction get a ✓, worse ones a ✗.
+function formatDelta(value, higherIsBetter) {
+  if (value === null || value === undefined) return '–';
+  if (value === 0) return '0';
+  const sign = value > 0 ? `+${value}` : String(value);
+  if (higherIsBetter === null) return sign;
+  return `${sign} ${(value > 0) === higherIsBetter ? '✓' : '✗'}`;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = { compare, toMarkdown, HEADLINE };
@@ -0,0 +1,140 @@
+/**
+ * Shared document model for extractors: a flat list of heading, paragraph and table blocks,
+ * rendered to markdown-flavoured text (headings as `#` lines, tables as pipe rows).
+ */
+
+// The HTML 4 named entities (plus &apos;): Latin-1 U+00A0-U+00FF and the Greek letters in code
+// point order, then the rest by code point.
+const LATIN1_ENTITIES = `
+  nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr deg plusmn sup2 sup3 acute
+  micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest Agrave Aacute Acirc Atilde Auml Aring AElig
+  Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash
+  Ugrave Uacute Ucirc Uuml Yacute THORN szlig agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc
+  euml igrave iacute icirc iuml eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml
+  yacute thorn yuml
+`;
+const GREEK_UPPER_ENTITIES = 'Alpha Beta Gamma Delta Epsilon Zeta Eta Theta Iota Kappa Lambda Mu Nu Xi Omicron Pi Rho';
+const GREEK_UPPER_REST = 'Sigma Tau Upsilon Phi Chi Psi Omega';
+const GREEK_LOWER_ENTITIES = `
+  alpha beta gamma delta epsilon zeta eta theta iota kappa lambda mu nu xi omicron pi rho sigmaf sigma tau upsilon
+  phi chi psi omega
+`;
+const SYMBOL_ENTITIES = {
+  quot: 34, amp: 38, apos: 39, lt: 60, gt: 62, OElig: 338, oelig: 339, Scaron: 352, scaron: 353, Yuml: 376,
+  fnof: 402, circ: 710, tilde: 732, thetasym: 977, upsih: 978, piv: 982, ensp: 8194, emsp: 8195, thinsp: 8201,
+  zwnj: 8204, zwj: 8205, lrm: 8206, rlm: 8207, ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217, sbquo: 8218,
+  ldquo: 8220, rdquo: 8221, bdquo: 8222, dagger: 8224, Dagger: 8225, bull: 8226, hellip: 8230, permil: 8240,
+  prime: 8242, Prime: 8243, lsaquo: 8249, rsaquo: 8250, oline: 8254, frasl: 8260, euro: 8364, image: 8465,
+  weierp: 8472, real: 8476, trade: 8482, alefsym: 8501, larr: 8592, uarr: 8593, rarr: 8594, darr: 8595, harr: 8596,
+  crarr: 8629, lArr: 8656, uArr: 8657, rArr: 8658, dArr: 8659, hArr: 8660, forall: 8704, part: 8706, exist: 8707,
+  empty: 8709, nabla: 8711, isin: 8712, notin: 8713, ni: 8715, prod: 8719, sum: 8721, minus: 8722, lowast: 8727,
+  radic: 8730, prop: 8733, infin: 8734, ang: 8736, and: 8743, or: 8744, cap: 8745, cup: 8746, int: 8747,
+  there4: 8756, sim: 8764, cong: 8773, asymp: 8776, ne: 8800, equiv: 8801, le: 8804, ge: 8805, sub: 8834,
+  sup: 8835, nsub: 8836, sube: 8838, supe: 8839, oplus: 8853, otimes: 8855, perp: 8869, sdot: 8901, lceil: 8968,
+  rceil: 8969, lfloor: 8970, rfloor: 8971, lang: 9001, rang: 9002, loz: 9674, spades: 9824, clubs: 9827,
+  hearts: 9829, diams: 9830,
+};
+const ENTITIES = buildEntities();
+
+function buildEntities() {
+  const entities = {};
+  const addRun = (names, first) => names.trim().split(/\s+/).forEach((name, index) => {
+    entities[name] = String.fromCodePoint(first + index);
+  });
+  addRun(LATIN1_ENTITIES, 0xa0);
+  addRun(GREEK_UPPER_ENTITIES, 0x391);
+  // U+03A2 is unassigned (final sigma only exists in lower case).
+  addRun(GREEK_UPPER_REST, 0x3a3);
+  addRun(GREEK_LOWER_ENTITIES, 0x3b1);
+  Object.entries(SYMBOL_ENTITIES).forEach(([name, code]) => {
+    entities[name] = String.fromCodePoint(code);
+  });
+  return entities;
+}
+
+/**
+ * Returns `{ text, outline }` where outline lists the headings as `{ level, text }`.
+ */
+function renderBlocks(blocks) {
+  const rendered = blocks
+    .map((block) => ({ block, text: renderBlock(block) }))
+    .filter(({ text }) => text.trim());
+
+  return {
+    text: rendered.map(({ text }) => text).join('\n\n'),
+    outline: rendered
+      .filter(({ block }) => block.type === 'heading')
+      .map(({ block }) => ({ level: block.level, text: block.text })),
+  };
+}
+
+function renderBlock(block) {
+  switch (block.type) {
+    case 'heading':
+      return `${'#'.repeat(Math.min(Math.max(block.level, 1), 6))} ${block.text}`;
+    case 'table': {
+      const rows = block.rows.filter((row) => row.length);
+      if (!rows.length) return '';
+      const width = Math.max(...rows.map((row) => row.length));
+      const pad = (row) => [...row, ...new Array(width - row.length).fill('')];
+      const render = (row) => `| ${pad(row).join(' | ')} |`;
+      const [header, ...body] = rows;
+      return [render(header), render(new Array(width).fill('---')), ...body.map(render)].join('\n');
+    }
+    default:
+      return block.text;
+  }
+}
+
+/**
+ * Join consecutive "- item" paragraphs into one block so lists render without blank lines.
+ */
+function mergeListItems(blocks) {
+  return blocks.reduce((merged, block) => {
+    const previous = merged[merged.length - 1];
+    const isItem = (candidate) => candidate?.type === 'paragraph' && candidate.text.startsWith('- ');
+    if (isItem(block) && isItem(previous)) {
+      merged[merged.length - 1] = { ...previous, text: `${previous.text}\n${block.text}` };
+    } else {
+      merged.push(block);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Add the character `offset` of each heading line in `text`, searching in document order.
+ * Headings that cannot be found get `offset: null`.
+ */
+function locateOutline(text, outline) {
+  let cursor = 0;
+  return outline.map((entry) => {
+    const pattern = new RegExp(`^(#{1,6}\\s+)?${escapeRegExp(entry.text)}\\s*$`, 'm');
+    const match = pattern.exec(text.slice(cursor));
+    if (!match) return { ...entry, offset: null };
+    const offset = cursor + match.index;
+    cursor = offset + match[0].length;
+    return { ...entry, offset };
+  });
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    // Names are case-sensitive (&Eacute; vs &eacute;); the lowercase lookup accepts &AMP; and the like.
+    return ENTITIES[name] ?? ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/[ \t\r\n\f]+/g, ' ').trim();
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { renderBlocks, renderBlock, mergeListItems, locateOutline, decodeEntities, collapseWhitespace };
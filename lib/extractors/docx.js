@@ -0,0 +1,96 @@
+/**
+ * Word (.docx) documents: paragraphs styled as headings (by style name or outline level)
+ * become headings, tables keep their rows and list paragraphs are prefixed with "- ".
+ */
+
+const { renderBlocks, mergeListItems, decodeEntities, collapseWhitespace } = require('./blocks');
+const { ExtractionError } = require('./errors');
+const { loadZip, readEntry } = require('./zip');
+
+const BODY_ELEMENTS = /<w:tbl>[\s\S]*?<\/w:tbl>|<w:p\b[^>]*?(?:\/>|>[\s\S]*?<\/w:p>)/g;
+
+async function extractDocx(buffer) {
+  const zip = await loadZip(buffer);
+  const documentXml = await readEntry(zip, 'word/document.xml');
+  if (!documentXml) {
+    throw new ExtractionError('The .docx file has no word/document.xml', { code: 'CORRUPT_DOCUMENT' });
+  }
+
+  const headingStyles = parseHeadingStyles(await readEntry(zip, 'word/styles.xml'));
+  const blocks = [];
+
+  (documentXml.match(BODY_ELEMENTS) || []).forEach((element) => {
+    if (element.startsWith('<w:tbl>')) {
+      const rows = (element.match(/<w:tr\b[\s\S]*?<\/w:tr>/g) || []).map((row) =>
+        (row.match(/<w:tc\b[\s\S]*?<\/w:tc>/g) || []).map((cell) => collapseWhitespace(paragraphText(cell)).replace(/\|/g, '/'))
+      );
+      if (rows.length) blocks.push({ type: 'table', rows });
+      return;
+    }
+
+    const text = collapseWhitespace(paragraphText(element));
+    if (!text) return;
+
+    const level = headingLevel(element, headingStyles);
+    if (level) {
+      blocks.push({ type: 'heading', level, text });
+    } else if (/<w:numPr>/.test(element)) {
+      blocks.push({ type: 'paragraph', text: `- ${text}` });
+    } else {
+      blocks.push({ type: 'paragraph', text });
+    }
+  });
+
+  const core = await readEntry(zip, 'docProps/core.xml');
+  const title = core && (/<dc:title>([\s\S]*?)<\/dc:title>/.exec(core) || [])[1];
+
+  return { ...renderBlocks(mergeListItems(blocks)), title: title ? collapseWhitespace(decodeEntities(title)) : null };
+}
+
+/**
+ * Map style ids to heading levels, from `heading N`/`Title` style names or `w:outlineLvl`.
+ */
+function parseHeadingStyles(stylesXml) {
+  const styles = new Map([['Title', 1]]);
+  if (!stylesXml) return styles;
+
+  (stylesXml.match(/<w:style\b[\s\S]*?<\/w:style>/g) || []).forEach((style) => {
+    const id = (/w:styleId="([^"]+)"/.exec(style) || [])[1];
+    if (!id) return;
+    const name = ((/<w:name w:val="([^"]+)"/.exec(style) || [])[1] || '').toLowerCase();
+    const outline = /<w:outlineLvl w:val="(\d)"/.exec(style);
+    const named = /^heading (\d)$/.exec(name);
+
+    if (name === 'title') styles.set(id, 1);
+    else if (named) styles.set(id, Number(named[1]));
+    else if (outline && Number(outline[1]) < 9) styles.set(id, Number(outline[1]) + 1);
+  });
+
+  return styles;
+}
+
+function headingLevel(paragraph, headingStyles) {
+  const outline = /<w:outlineLvl w:val="(\d)"/.exec(paragraph);
+  if (outline && Number(outline[1]) < 9) return Math.min(Number(outline[1]) + 1, 6);
+
+  const style = (/<w:pStyle w:val="([^"]+)"/.exec(paragraph) || [])[1];
+  if (!style) return null;
+  if (headingStyles.has(style)) return Math.min(headingStyles.get(style), 6);
+
+  // Documents without styles.xml still use the built-in ids (Heading1, Heading2, ...).
+  const builtIn = /^heading(\d)$/i.exec(style);
+  return builtIn ? Math.min(Number(builtIn[1]), 6) : null;
+}
+
+function paragraphText(xml) {
+  const parts = [];
+  const pattern = /<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:br\/>|<\/w:p>/g;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    if (match[1] !== undefined) parts.push(decodeEntities(match[1]));
+    else parts.push(' ');
+  }
+  return parts.join('');
+}
+
+module.exports = { extractDocx };
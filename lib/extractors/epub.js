@@ -0,0 +1,112 @@
+/**
+ * EPUB 2/3 books: spine documents are read in order through the HTML extractor. A chapter
+ * without its own heading gets one from the table of contents (nav.xhtml or toc.ncx).
+ */
+
+const path = require('path').posix;
+const { htmlToBlocks } = require('./html');
+const { renderBlocks, decodeEntities, collapseWhitespace } = require('./blocks');
+const { ExtractionError } = require('./errors');
+const { loadZip, readEntry } = require('./zip');
+
+async function extractEpub(buffer) {
+  const zip = await loadZip(buffer);
+
+  const container = await readEntry(zip, 'META-INF/container.xml');
+  const opfPath = container && (/<rootfile\b[^>]*full-path="([^"]+)"/.exec(container) || [])[1];
+  const opf = opfPath && (await readEntry(zip, opfPath));
+  if (!opf) {
+    throw new ExtractionError('The .epub file has no readable package document', { code: 'CORRUPT_DOCUMENT' });
+  }
+
+  const baseDir = path.dirname(opfPath);
+  const manifest = new Map();
+  (opf.match(/<item\b[^>]*>/g) || []).forEach((item) => {
+    const attrs = parseAttributes(item);
+    if (attrs.id && attrs.href) {
+      manifest.set(attrs.id, { ...attrs, path: resolveHref(baseDir, attrs.href) });
+    }
+  });
+
+  const spine = (opf.match(/<itemref\b[^>]*>/g) || [])
+    .map((itemref) => manifest.get(parseAttributes(itemref).idref))
+    .filter((item) => item && /html/.test(item['media-type'] || ''));
+
+  const labels = await readTocLabels(zip, manifest, opf);
+  const blocks = [];
+
+  for (const item of spine) {
+    const html = await readEntry(zip, item.path);
+    if (!html) continue;
+
+    const chapter = htmlToBlocks(html, { pageChrome: false }).blocks;
+    const label = labels.get(item.path);
+    if (label && !chapter.some((block) => block.type === 'heading')) {
+      chapter.unshift({ type: 'heading', level: 1, text: label });
+    }
+    blocks.push(...chapter);
+  }
+
+  const title = (/<dc:title\b[^>]*>([\s\S]*?)<\/dc:title>/.exec(opf) || [])[1];
+  return { ...renderBlocks(blocks), title: title ? collapseWhitespace(decodeEntities(title)) : null };
+}
+
+/**
+ * Map chapter file paths to their table-of-contents label (the first entry per file wins).
+ */
+async function readTocLabels(zip, manifest, opf) {
+  const labels = new Map();
+  const addLabel = (baseDir, href, label) => {
+    const text = collapseWhitespace(decodeEntities(label.replace(/<[^>]+>/g, ' ')));
+    const target = resolveHref(baseDir, href.split('#')[0]);
+    if (text && !labels.has(target)) labels.set(target, text);
+  };
+
+  const items = Array.from(manifest.values());
+  const nav = items.find((item) => /\bnav\b/.test(item.properties || ''));
+  if (nav) {
+    const html = await readEntry(zip, nav.path);
+    const tocNav = html && ((/<nav\b[^>]*epub:type="toc"[^>]*>([\s\S]*?)<\/nav>/.exec(html) || [])[1] || html);
+    const links = /<a\b[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/g;
+    let match;
+    while (tocNav && (match = links.exec(tocNav)) !== null) {
+      addLabel(path.dirname(nav.path), match[1], match[2]);
+    }
+    if (labels.size) return labels;
+  }
+
+  const tocId = (/<spine\b[^>]*toc="([^"]+)"/.exec(opf) || [])[1];
+  const ncx = manifest.get(tocId) || items.find((item) => item['media-type'] === 'application/x-dtbncx+xml');
+  const ncxXml = ncx && (await readEntry(zip, ncx.path));
+  if (ncxXml) {
+    const points = /<navLabel>\s*<text>([\s\S]*?)<\/text>\s*<\/navLabel>\s*<content\b[^>]*src="([^"]+)"/g;
+    let match;
+    while ((match = points.exec(ncxXml)) !== null) {
+      addLabel(path.dirname(ncx.path), match[2], match[1]);
+    }
+  }
+
+  return labels;
+}
+
+function parseAttributes(tag) {
+  const attrs = {};
+  const pattern = /([\w:-]+)="([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attrs[match[1]] = decodeEntities(match[2]);
+  }
+  return attrs;
+}
+
+function resolveHref(baseDir, href) {
+  let decoded = href;
+  try {
+    decoded = decodeURIComponent(href);
+  } catch (_error) {
+    // Keep malformed escapes as written.
+  }
+  return path.normalize(path.join(baseDir, decoded));
+}
+
+module.exports = { extractEpub };
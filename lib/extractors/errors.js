@@ -0,0 +1,14 @@
+/**
+ * Raised when an upload cannot be read: unknown format or a corrupt container.
+ */
+
+class ExtractionError extends Error {
+  constructor(message, { code = 'EXTRACTION_FAILED', status = 422 } = {}) {
+    super(message);
+    this.name = 'ExtractionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+module.exports = { ExtractionError };
@@ -0,0 +1,144 @@
+/**
+ * HTML (and EPUB XHTML) to blocks: h1-h6 become headings, tables keep their rows,
+ * list items are prefixed with "- " and script/style/head content is dropped, as is page
+ * chrome: <nav>, and <header>/<footer> outside an article, section or main element.
+ */
+
+const { renderBlocks, mergeListItems, decodeEntities, collapseWhitespace } = require('./blocks');
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'aside', 'header', 'footer', 'main', 'nav', 'blockquote', 'pre',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'figure', 'figcaption', 'hr', 'body', 'address', 'caption',
+]);
+const SKIPPED_TAGS = /<(script|style|head|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi;
+const BOILERPLATE_TAGS = new Set(['nav', 'header', 'footer']);
+// Inside these, <header> and <footer> hold the content's own title or notes.
+const CONTENT_TAGS = new Set(['article', 'section', 'main']);
+
+/**
+ * Returns `{ blocks, title }`. `pageChrome: false` is for documents without site chrome (EPUB
+ * chapters): their top-level <header> and <footer> are kept as content.
+ */
+function htmlToBlocks(html, { pageChrome = true } = {}) {
+  const title = (/<title[^>]*>([\s\S]*?)<\/title>/i.exec(html) || [])[1];
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+    .replace(/<![^>]*>|<\?[\s\S]*?\?>/g, '')
+    .replace(SKIPPED_TAGS, '');
+
+  const blocks = [];
+  let buffer = '';
+  let heading = null;
+  let table = null;
+  let row = null;
+  let cell = null;
+  // The page chrome element being dropped and how deeply it is nested in itself.
+  let skipping = null;
+  let contentDepth = pageChrome ? 0 : 1;
+
+  const flush = () => {
+    const text = collapseWhitespace(decodeEntities(buffer));
+    buffer = '';
+    if (!text || text === '-') return;
+    blocks.push({ type: 'paragraph', text });
+  };
+
+  const tokens = /<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)[^>]*>|([^<]+)/g;
+  let match;
+  while ((match = tokens.exec(source)) !== null) {
+    const [token, closing, rawName, text] = match;
+    const name = rawName && rawName.toLowerCase().replace(/^.*:/, '');
+
+    if (skipping) {
+      if (name === skipping.name && !token.endsWith('/>')) skipping.depth += closing ? -1 : 1;
+      if (!skipping.depth) skipping = null;
+      continue;
+    }
+
+    if (text !== undefined) {
+      if (cell !== null) cell += text;
+      else if (heading) heading.text += text;
+      else buffer += text;
+      continue;
+    }
+
+    if (BOILERPLATE_TAGS.has(name) && !closing && !token.endsWith('/>') && (name === 'nav' || !contentDepth)) {
+      flush();
+      skipping = { name, depth: 1 };
+      continue;
+    }
+    if (CONTENT_TAGS.has(name)) {
+      contentDepth = Math.max(pageChrome ? 0 : 1, contentDepth + (closing ? -1 : 1));
+    }
+
+    const headingLevel = /^h([1-6])$/.exec(name);
+
+    if (headingLevel) {
+      if (!closing) {
+        flush();
+        heading = { type: 'heading', level: Number(headingLevel[1]), text: '' };
+      } else if (heading) {
+        heading.text = collapseWhitespace(decodeEntities(heading.text));
+        if (heading.text) blocks.push(heading);
+        heading = null;
+      }
+      continue;
+    }
+
+    if (name === 'table') {
+      if (!closing) {
+        flush();
+        table = { type: 'table', rows: [] };
+      } else if (table) {
+        if (table.rows.length) blocks.push(table);
+        table = null;
+      }
+      continue;
+    }
+
+    if (table && name === 'tr') {
+      if (!closing) {
+        row = [];
+      } else if (row) {
+        if (row.some(Boolean)) table.rows.push(row);
+        row = null;
+      }
+      continue;
+    }
+
+    if (table && (name === 'td' || name === 'th')) {
+      if (!closing) {
+        cell = '';
+      } else if (cell !== null) {
+        (row || (row = [])).push(collapseWhitespace(decodeEntities(cell)).replace(/\|/g, '/'));
+        cell = null;
+      }
+      continue;
+    }
+
+    if (name === 'br') {
+      if (cell !== null) cell += ' ';
+      else if (heading) heading.text += ' ';
+      else buffer += ' ';
+      continue;
+    }
+
+    if (cell !== null || heading) continue;
+
+    if (BLOCK_TAGS.has(name)) {
+      flush();
+      if (name === 'li' && !closing) buffer = '- ';
+    }
+  }
+  flush();
+
+  return { blocks: mergeListItems(blocks), title: title ? collapseWhitespace(decodeEntities(title)) : null };
+}
+
+function extractHtml(buffer) {
+  const { blocks, title } = htmlToBlocks(buffer.toString('utf-8'));
+  return { ...renderBlocks(blocks), title };
+}
+
+module.exports = { extractHtml, htmlToBlocks };
@@ -0,0 +1,120 @@
+/**
+ * Upload format detection and the non-PDF extractors. PDFs go through DocumentIngestor,
+ * which adds per-page OCR; every other format is handled here.
+ *
+ * Each extractor resolves `{ text, outline: [{ level, text }], title }`.
+ */
+
+const path = require('path');
+const { loadZip, readEntry } = require('./zip');
+const { ExtractionError } = require('./errors');
+const { extractText, extractMarkdown } = require('./text');
+const { extractHtml } = require('./html');
+const { extractDocx } = require('./docx');
+const { extractEpub } = require('./epub');
+const { locateOutline } = require('./blocks');
+
+const EXTRACTORS = {
+  text: extractText,
+  markdown: extractMarkdown,
+  html: extractHtml,
+  docx: extractDocx,
+  epub: extractEpub,
+};
+
+const EXTENSIONS = {
+  '.pdf': 'pdf',
+  '.txt': 'text',
+  '.text': 'text',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.xhtml': 'html',
+  '.docx': 'docx',
+  '.epub': 'epub',
+};
+
+const SUPPORTED_FORMATS = ['pdf', ...Object.keys(EXTRACTORS)];
+
+// Declared upload types worth reading. Browsers report unknown types (e.g. .md) as
+// octet-stream or nothing, so those are let through and judged by their content.
+const MIME_TYPES = new Set([
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/x-markdown',
+  'text/html',
+  'application/xhtml+xml',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/epub+zip',
+  'application/octet-stream',
+  '',
+]);
+
+/**
+ * Cheap pre-upload check on the name and declared MIME type; detectFormat has the final say.
+ */
+function isAcceptedUpload(filename = '', mimeType = '') {
+  const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  return Boolean(EXTENSIONS[path.extname(filename).toLowerCase()]) && MIME_TYPES.has(type);
+}
+
+/**
+ * Identify the format from the file contents, using the file name to tell text flavours apart.
+ * Throws an ExtractionError (415) for anything else, e.g. legacy .doc or images.
+ */
+async function detectFormat(buffer, filename = '') {
+  const extension = path.extname(filename).toLowerCase();
+
+  if (buffer.slice(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+
+  if (buffer.slice(0, 4).toString('latin1') === 'PK\u0003\u0004') {
+    const zip = await loadZip(buffer);
+    const mimetype = await readEntry(zip, 'mimetype');
+    if (mimetype && mimetype.trim() === 'application/epub+zip') return 'epub';
+    if (zip.file('word/document.xml')) return 'docx';
+    throw unsupported(filename);
+  }
+
+  if (isBinary(buffer)) throw unsupported(filename);
+
+  if (['text', 'markdown', 'html'].includes(EXTENSIONS[extension])) return EXTENSIONS[extension];
+
+  const head = buffer.slice(0, 1024).toString('utf-8').trimStart().toLowerCase();
+  if (head.startsWith('<!doctype html') || head.startsWith('<html') || head.startsWith('<?xml')) return 'html';
+  return 'text';
+}
+
+/**
+ * Extract a non-PDF document. The outline entries gain the `offset` of their heading in `text`.
+ */
+async function extractDocument(buffer, format) {
+  const extractor = EXTRACTORS[format];
+  if (!extractor) throw unsupported(format);
+
+  const { text, outline, title } = await extractor(buffer);
+  return { text, outline: locateOutline(text, outline), title };
+}
+
+// NUL bytes or many control characters in the first kilobytes mean this is not a text file.
+function isBinary(buffer) {
+  const sample = buffer.slice(0, 8000);
+  if (sample.length >= 2 && ((sample[0] === 0xff && sample[1] === 0xfe) || (sample[0] === 0xfe && sample[1] === 0xff))) return false;
+
+  let control = 0;
+  for (const byte of sample) {
+    if (byte === 0) return true;
+    if (byte < 8 || (byte > 13 && byte < 32)) control++;
+  }
+  return sample.length > 0 && control / sample.length > 0.1;
+}
+
+function unsupported(name) {
+  return new ExtractionError(
+    `Unsupported file type${name ? ` (${name})` : ''}. Upload one of: PDF, TXT, Markdown, HTML, DOCX, EPUB.`,
+    { code: 'UNSUPPORTED_FORMAT', status: 415 }
+  );
+}
+
+module.exports = { detectFormat, extractDocument, isAcceptedUpload, unsupported, SUPPORTED_FORMATS, ExtractionError };
@@ -0,0 +1,56 @@
+/**
+ * Plain text and Markdown. Markdown keeps its own markup; both get an outline from their headings
+ * (ATX and setext headings for Markdown, chapter/section-style lines for plain text).
+ */
+
+const TextChunker = require('../chunker');
+
+const CHAPTER_PATTERN = /^(chapter|unit|part|book)\b/i;
+
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.slice(2).toString('utf16le');
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return Buffer.from(buffer.slice(2)).swap16().toString('utf16le');
+  return buffer.toString('utf-8').replace(/^\uFEFF/, '');
+}
+
+function extractText(buffer) {
+  const text = decodeText(buffer).replace(/\r\n?/g, '\n').trim();
+  const outline = TextChunker.splitBlocks(text)
+    .filter((block) => block.heading)
+    .map((block) => {
+      const line = block.text.split('\n')[0].trim();
+      return { level: CHAPTER_PATTERN.test(line) ? 1 : 2, text: line };
+    });
+
+  return { text, outline, title: null };
+}
+
+function extractMarkdown(buffer) {
+  const lines = decodeText(buffer).replace(/\r\n?/g, '\n').split('\n');
+  const outline = [];
+  let fenced = false;
+
+  // Setext headings (a line underlined with === or ---) are rewritten as ATX so the chunker sees them.
+  const normalized = [];
+  lines.forEach((line) => {
+    if (/^\s*(```|~~~)/.test(line)) fenced = !fenced;
+
+    const underline = !fenced && /^(=+|-+)\s*$/.exec(line);
+    const previous = normalized[normalized.length - 1];
+    if (underline && previous && previous.trim() && !/^\s*#/.test(previous) && !/^\s*[-*+]\s/.test(previous)) {
+      const level = underline[1][0] === '=' ? 1 : 2;
+      normalized[normalized.length - 1] = `${'#'.repeat(level)} ${previous.trim()}`;
+      outline.push({ level, text: previous.trim() });
+      return;
+    }
+
+    const atx = !fenced && /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (atx) outline.push({ level: atx[1].length, text: atx[2] });
+    normalized.push(line);
+  });
+
+  const title = outline.find((heading) => heading.level === 1)?.text ?? null;
+  return { text: normalized.join('\n').trim(), outline, title };
+}
+
+module.exports = { extractText, extractMarkdown, decodeText };
@@ -0,0 +1,88 @@
+/**
+ * Zip container helpers for the DOCX and EPUB extractors.
+ *
+ * Archives are inflated under fixed limits so a small upload cannot expand into gigabytes
+ * (a zip bomb): at most MAX_ENTRIES entries, and at most MAX_UNCOMPRESSED_BYTES inflated per
+ * archive across all entries read. The sizes the archive declares are checked before
+ * inflating; bytes are also counted while inflating, since those declarations can lie.
+ */
+
+const JSZip = require('jszip');
+const { ExtractionError } = require('./errors');
+
+const MAX_ENTRIES = 5000;
+const MAX_UNCOMPRESSED_BYTES = 100 * 1024 * 1024;
+
+// zip -> { remaining, limit }: bytes still allowed to be inflated from it.
+const budgets = new WeakMap();
+
+/**
+ * `maxEntries` and `maxBytes` lower the limits (tests use this).
+ */
+async function loadZip(buffer, { maxEntries = MAX_ENTRIES, maxBytes = MAX_UNCOMPRESSED_BYTES } = {}) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new ExtractionError(`The file is not a readable zip archive: ${error.message}`, { code: 'CORRUPT_DOCUMENT' });
+  }
+
+  const entries = Object.values(zip.files);
+  if (entries.length > maxEntries) {
+    throw tooLarge(`The archive has ${entries.length} entries; at most ${maxEntries} are accepted.`);
+  }
+  const declared = entries.reduce((sum, entry) => sum + declaredSize(entry), 0);
+  if (declared > maxBytes) {
+    throw tooLarge(`The archive expands to ${declared} bytes; at most ${maxBytes} are accepted.`);
+  }
+
+  budgets.set(zip, { remaining: maxBytes, limit: maxBytes });
+  return zip;
+}
+
+/**
+ * The entry `name` as UTF-8 text, or null when the archive has no such entry. Throws an
+ * ExtractionError once the archive's inflate budget is used up.
+ */
+async function readEntry(zip, name) {
+  const entry = zip.file(name);
+  if (!entry) return null;
+
+  const budget = budgets.get(zip) || { remaining: MAX_UNCOMPRESSED_BYTES, limit: MAX_UNCOMPRESSED_BYTES };
+  const { remaining, limit } = budget;
+  if (declaredSize(entry) > remaining) {
+    throw tooLarge(`The archive expands to more than ${limit} bytes.`);
+  }
+
+  const chunks = [];
+  let total = 0;
+  await new Promise((resolve, reject) => {
+    const stream = entry.internalStream('uint8array');
+    stream
+      .on('data', (chunk) => {
+        total += chunk.length;
+        if (total > remaining) {
+          stream.pause();
+          reject(tooLarge(`The archive expands to more than ${limit} bytes.`));
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', (error) => reject(new ExtractionError(`Could not read ${name} from the archive: ${error.message}`, { code: 'CORRUPT_DOCUMENT' })))
+      .on('end', resolve)
+      .resume();
+  });
+
+  budgets.set(zip, { remaining: remaining - total, limit });
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function declaredSize(entry) {
+  return Math.max(0, Number(entry._data?.uncompressedSize) || 0);
+}
+
+function tooLarge(message) {
+  return new ExtractionError(message, { code: 'ARCHIVE_TOO_LARGE', status: 413 });
+}
+
+module.exports = { loadZip, readEntry };
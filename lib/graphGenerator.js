@@ -2,17 +2,24 @@
  * Builds a concept graph from structured TextQuest data.
  */
 
-const EmbeddingsManager = require('./embeddings');
+const { EmbeddingsManager } = require('./embeddings');
 const TopicClusterer = require('./clustering');
 
 class TopicGraphGenerator {
-  constructor(groqAnalysis, embeddingsManager = null) {
+  /**
+   * `clustering` is passed to TopicClusterer.cluster (seed, restarts, minK, maxK).
+   */
+  constructor(groqAnalysis, embeddingsManager = null, clustering = {}) {
     this.groqAnalysis = groqAnalysis || {};
     this.embeddingsManager = embeddingsManager || new EmbeddingsManager();
+    this.clustering = clustering;
     this.graph = null;
   }
 
-  async generateGraph() {
+  /**
+   * `onStage(stage, message)` is called as the build moves through embeddings and clustering.
+   */
+  async generateGraph({ onStage = () => {} } = {}) {
     const concepts = this.extractConcepts(this.groqAnalysis);
 
     if (concepts.length === 0) {
@@ -20,11 +27,14 @@ class TopicGraphGenerator {
       return this.graph;
     }
 
+    onStage('embeddings', `Embedding ${concepts.length} concepts`);
     const conceptTexts = concepts.map((c) => c.name);
-    const { embeddings, matrix } = await this.embeddingsManager.getSimilarityMatrix(conceptTexts);
+    const { embeddings, matrix, provenance, method, model, dimensions, fallback } =
+      await this.embeddingsManager.getSimilarityMatrix(conceptTexts);
 
-    const numClusters = Math.max(2, Math.ceil(concepts.length / 3));
-    const { clusters, assignments } = TopicClusterer.kmeans(embeddings, numClusters);
+    onStage('clustering', `Clustering ${concepts.length} concepts into topics`);
+    const clustered = TopicClusterer.cluster(embeddings, this.clustering);
+    const { clusters, assignments } = clustered;
 
     const difficultyTiers = this.calculateDifficultyTiers(concepts);
 
@@ -34,6 +44,7 @@ class TopicGraphGenerator {
       type: concept.type || 'concept',
       description: concept.description || '',
       embedding: embeddings[idx],
+      embeddingProvenance: provenance[idx],
       topic: this.assignTopic(assignments[idx], clusters.length),
       difficulty: difficultyTiers[idx],
       metadata: {
@@ -50,7 +61,9 @@ class TopicGraphGenerator {
         totalConcepts: nodes.length,
         totalEdges: edges.length,
         topics: this.getTopicSummary(clusters, nodes),
-        embeddingModel: this.embeddingsManager.method,
+        embeddingModel: method,
+        embeddings: { method, model, dimensions, fallback },
+        clustering: this.describeClustering(clustered, embeddings),
       },
       nodes,
       edges,
@@ -204,6 +217,30 @@ class TopicGraphGenerator {
     return edges;
   }
 
+  /**
+   * Cluster quality for the graph metadata: the chosen k with its silhouette and inertia, the
+   * scores of every k tried, and each cluster's coherence and silhouette.
+   */
+  describeClustering({ k, clusters, inertia, silhouette, candidates, seed, restarts }, embeddings) {
+    const coherence = TopicClusterer.calculateClusterCoherence(embeddings, clusters, this.embeddingsManager);
+    const round = (value) => Math.round(value * 1000) / 1000;
+    return {
+      method: candidates.length ? 'silhouette' : 'fixed',
+      k,
+      seed,
+      restarts,
+      inertia: round(inertia),
+      silhouette: silhouette && round(silhouette.mean),
+      candidates,
+      clusters: clusters.map((cluster, idx) => ({
+        id: `cluster-${idx}`,
+        size: cluster.length,
+        coherence: round(coherence[idx]),
+        silhouette: silhouette && round(silhouette.perCluster[idx]),
+      })),
+    };
+  }
+
   assignTopic(clusterIdx, clusterCount) {
     const topicNames = ['Foundations', 'Core Concepts', 'Advanced Topics', 'Applications', 'Extensions'];
     if (clusterCount === 0) return topicNames[0];
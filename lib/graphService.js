@@ -0,0 +1,202 @@
+/**
+ * Builds, and optionally saves, concept graphs from blueprints or raw text.
+ */
+
+const TopicGraphGenerator = require('./graphGenerator');
+const SchemaValidator = require('./schemaValidator');
+const { isMissingKeyError, validateNoCache } = require('./llm');
+const { PromptRegistry } = require('./promptRegistry');
+
+class GraphService {
+  /**
+   * `clustering` options (seed, restarts) are passed to every TopicGraphGenerator.
+   */
+  constructor({ llmClient, embeddingsManager, persistence, prompts = new PromptRegistry(), clustering = {} }) {
+    this.llmClient = llmClient;
+    this.embeddingsManager = embeddingsManager;
+    this.persistence = persistence;
+    this.prompts = prompts;
+    this.clustering = clustering;
+  }
+
+  validateStructure(input) {
+    return input.structured ? null : 'Structured RPG data is required';
+  }
+
+  validateText(input) {
+    if (typeof input.text !== 'string' || !input.text.trim()) return 'Text is required';
+    return validateNoCache(input) || this.prompts.validateVersion('graph-analysis', input.promptVersion);
+  }
+
+  /**
+   * Graph from an existing blueprint (POST /api/graphs/from-structure). `prompt` is the
+   * blueprint's prompt as returned by /api/process; it is kept with the saved graph.
+   */
+  async fromStructure(
+    { structured, title = 'Untitled Textbook', focus = 'general', savePersistently = false, prompt = null },
+    { reportProgress = () => {} } = {}
+  ) {
+    const { value: blueprint, errors } = SchemaValidator.repair(structured, 'blueprint', { dropInvalid: true });
+    if (errors.length) {
+      console.warn('[graph] Blueprint still has schema violations', errors.slice(0, 5));
+    }
+
+    const graph = await this.build(blueprint, reportProgress);
+
+    let persistenceResult = null;
+    if (savePersistently) {
+      reportProgress(0.9, 'Saving graph', { stage: 'persist' });
+      persistenceResult = await this.persistence.saveGraph(graph, title, {
+        focus,
+        source: 'structured',
+        ...(isPromptRef(prompt) && { prompt: { id: prompt.id, version: prompt.version } }),
+      });
+    }
+
+    const responsePayload = {
+      success: true,
+      graph,
+      persistence: persistenceResult,
+    };
+
+    if (errors.length) {
+      responsePayload.warnings = SchemaValidator.toWarnings(errors);
+    }
+
+    return responsePayload;
+  }
+
+  /**
+   * Graph straight from text: analyse with the LLM, then embed and cluster (POST /api/graphs/generate).
+   */
+  async fromText(
+    { text, title = 'Untitled Textbook', focus = 'general', useEmbeddings = true, savePersistently = true, promptVersion, noCache = false },
+    { reportProgress = () => {} } = {}
+  ) {
+    console.log('Step 1: Analyzing text with Groq AI...');
+    reportProgress(0.05, 'Analysing text', { stage: 'analysis' });
+    const { analysis, prompt, usage } = await this.analyzeText(text, title, focus, promptVersion, noCache);
+
+    console.log('Step 2: Generating topic graph with embeddings...');
+    const graph = await this.build(analysis, reportProgress);
+
+    let persistenceResult = null;
+    if (savePersistently) {
+      console.log('Step 3: Persisting graph...');
+      reportProgress(0.9, 'Saving graph', { stage: 'persist' });
+      persistenceResult = await this.persistence.saveGraph(graph, title, {
+        focus,
+        textLength: text.length,
+        useEmbeddings,
+        prompt,
+      });
+    }
+
+    return {
+      success: true,
+      message: 'Topic graph generated successfully',
+      graph,
+      analysis,
+      prompt,
+      usage,
+      via: prompt ? 'groq' : 'mock',
+      persistence: persistenceResult,
+    };
+  }
+
+  build(blueprint, reportProgress = () => {}) {
+    const generator = new TopicGraphGenerator(blueprint, this.embeddingsManager, this.clustering);
+    return generator.generateGraph({
+      onStage: (stage, message) => reportProgress(stage === 'embeddings' ? 0.1 : 0.6, message, { stage }),
+    });
+  }
+
+  /**
+   * Analyze text with the LLM, falling back to a mock analysis on any failure. Resolves
+   * `{ analysis, prompt, usage }`; `prompt` and `usage` are null for the mock analysis.
+   * `noCache` skips cached responses.
+   */
+  async analyzeText(text, title, focus, promptVersion = null, noCache = false) {
+    const mock = () => ({ analysis: this.createMockAnalysis(text, title, focus), prompt: null, usage: null });
+    try {
+      const { messages, prompt } = this.prompts.render('graph-analysis', {
+        focus,
+        excerpt: text.trim().slice(0, 5000),
+      }, { version: promptVersion });
+      const { content, usage } = await this.llmClient.complete(messages, { temperature: 0.7, maxTokens: 2000, cache: !noCache });
+
+      // Parse JSON from response
+      const jsonMatch = content.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        const { value, errors } = SchemaValidator.repair(JSON.parse(jsonMatch[0]), 'blueprint', { dropInvalid: true });
+        if (errors.length) {
+          console.warn('Groq analysis has schema violations:', SchemaValidator.toWarnings(errors));
+        }
+        return { analysis: value, prompt, usage };
+      }
+
+      return mock();
+    } catch (error) {
+      if (isMissingKeyError(error)) {
+        console.warn('GROQ_API_KEY not set, using mock analysis');
+      } else {
+        console.error('LLM API error:', error.message);
+      }
+      return mock();
+    }
+  }
+
+  /**
+   * Create mock analysis for testing/fallback
+   */
+  createMockAnalysis(text, title, focus) {
+    const words = text.toLowerCase().split(/\s+/);
+    const uniqueWords = [...new Set(words)].slice(0, 15);
+
+    return {
+      title,
+      focus,
+      vocabulary: uniqueWords.map((word, idx) => ({
+        term: word.charAt(0).toUpperCase() + word.slice(1),
+        type: idx % 3 === 0 ? 'concept' : idx % 3 === 1 ? 'skill' : 'item',
+        description: `Key term from ${title}`,
+      })),
+      levels: [
+        {
+          name: `Introduction to ${focus}`,
+          overview: `Learn the fundamentals of ${focus}`,
+          quests: [
+            {
+              title: 'First Steps',
+              description: 'Begin your journey',
+              items: ['Basic Guide'],
+              abilities: ['Observe'],
+              dependencies: [],
+            },
+          ],
+        },
+        {
+          name: `Advanced ${focus}`,
+          overview: `Deepen your understanding`,
+          quests: [
+            {
+              title: 'Master the Craft',
+              description: 'Become proficient',
+              items: ['Expert Manual'],
+              abilities: ['Analyze'],
+              dependencies: ['First Steps'],
+            },
+          ],
+        },
+      ],
+      keyTopics: [focus, 'learning', 'concepts'],
+      complexity: Math.min(5, Math.ceil(words.length / 100)),
+    };
+  }
+}
+
+function isPromptRef(value) {
+  return Boolean(value) && typeof value.id === 'string' && Number.isInteger(value.version);
+}
+
+module.exports = GraphService;
@@ -0,0 +1,190 @@
+/**
+ * Checks that blueprint content is supported by the source text. Each quest (title and
+ * description) and vocabulary entry (term and description) is compared with the passages of
+ * the text by lexical overlap and, when real embeddings are configured, by embedding
+ * similarity. Entries below the threshold are marked so the UI can badge them.
+ */
+
+const TextChunker = require('./chunker');
+
+const DEFAULT_THRESHOLD = 0.35;
+const PASSAGE_CHARS = 800;
+const CANDIDATE_PASSAGES = 3;
+// Cosine similarities of unrelated/identical text for the supported embedding models.
+const SEMANTIC_FLOOR = 0.2;
+const SEMANTIC_CEILING = 0.7;
+
+const STOPWORDS = new Set(`
+  a about above after again all also an and any are as at be because been before being below between both but by
+  can could did do does doing down during each few for from further had has have having he her here hers him his how
+  i if in into is it its itself just me more most my no nor not now of off on once only or other our out over own
+  same she should so some such than that the their them then there these they this those through to too under until
+  up very was we were what when where which while who whom why will with would you your yours use used using
+  quest quests learn learners player players understand understanding explore discover master
+`.split(/\s+/).filter(Boolean));
+
+class GroundingVerifier {
+  constructor({ embeddingsManager = null, threshold = DEFAULT_THRESHOLD } = {}) {
+    this.embeddingsManager = embeddingsManager;
+    this.threshold = threshold;
+  }
+
+  /**
+   * Score every quest and vocabulary entry of a merged blueprint against `text`. Adds
+   * `grounding: { score, supported }` to each entry and returns the report:
+   * `{ method, threshold, checked, flagged, items: [{ kind, name, score, lexical, semantic? }] }`
+   * where `items` lists the flagged entries only.
+   *
+   * With `lexical: false` (a blueprint written in another language than the text) word overlap
+   * is meaningless, so only embeddings are used and the check is `skipped` without them.
+   */
+  async verify(structured, text, { lexical: useLexical = true } = {}) {
+    const passages = this.passages(text);
+    const claims = this.claims(structured);
+
+    // Candidates per entry: the passages its citations point at plus the best lexical matches.
+    const scored = claims.map((claim) => {
+      const ranked = passages
+        .map((passage) => ({ passage, lexical: overlap(claim.tokens, passage.tokens) }))
+        .sort((a, b) => b.lexical - a.lexical);
+      const cited = ranked.filter(({ passage }) =>
+        claim.sources.some((source) => source.start < passage.end && source.end > passage.start)
+      );
+      // Without lexical ranking every passage is a candidate.
+      const nearest = useLexical ? ranked.slice(0, CANDIDATE_PASSAGES) : ranked;
+      return { claim, candidates: uniquePassages([...cited, ...nearest]) };
+    });
+
+    const semantic = this.usesEmbeddings() && (await this.addSemanticScores(scored));
+    if (!useLexical && !semantic) {
+      return { method: 'skipped', threshold: this.threshold, checked: 0, flagged: 0, items: [] };
+    }
+
+    const items = scored.map(({ claim, candidates }) => {
+      const best = candidates.reduce((top, candidate) => {
+        const score = !useLexical
+          ? candidate.semantic ?? 0
+          : semantic ? (candidate.lexical + (candidate.semantic ?? 0)) / 2 : candidate.lexical;
+        return score > top.score ? { ...candidate, score } : top;
+      }, { score: 0, lexical: 0, semantic: 0 });
+
+      const score = round(best.score);
+      claim.entry.grounding = { score, supported: score >= this.threshold };
+      return {
+        kind: claim.kind,
+        name: claim.name,
+        score,
+        ...(useLexical && { lexical: round(best.lexical) }),
+        ...(semantic && { semantic: round(best.semantic ?? 0) }),
+      };
+    });
+
+    const flagged = items.filter((item) => item.score < this.threshold);
+    return {
+      method: !useLexical ? 'embeddings' : semantic ? 'lexical+embeddings' : 'lexical',
+      threshold: this.threshold,
+      checked: items.length,
+      flagged: flagged.length,
+      items: flagged,
+    };
+  }
+
+  /**
+   * Only semantic embeddings add anything to the lexical score: mock vectors carry no meaning
+   * and local ones only measure spelling.
+   */
+  usesEmbeddings() {
+    return Boolean(this.embeddingsManager) && this.embeddingsManager.isSemantic();
+  }
+
+  /**
+   * Adds `semantic` to every candidate. Resolves false, leaving the candidates untouched, when
+   * the embeddings fell back to a backend without meaning.
+   */
+  async addSemanticScores(scored) {
+    const texts = new Map();
+    scored.forEach(({ claim, candidates }) => {
+      texts.set(claim.text, null);
+      candidates.forEach(({ passage }) => texts.set(passage.text, null));
+    });
+
+    const keys = Array.from(texts.keys());
+    // Never strict here: a failed embeddings call only downgrades the check to lexical.
+    const { embeddings, fallback } = await this.embeddingsManager.embed(keys, { strict: false });
+    if (fallback) return false;
+    keys.forEach((key, index) => texts.set(key, embeddings[index]));
+
+    scored.forEach(({ claim, candidates }) => {
+      const claimEmbedding = texts.get(claim.text);
+      candidates.forEach((candidate) => {
+        const similarity = this.embeddingsManager.cosineSimilarity(claimEmbedding, texts.get(candidate.passage.text));
+        candidate.semantic = clamp((similarity - SEMANTIC_FLOOR) / (SEMANTIC_CEILING - SEMANTIC_FLOOR));
+      });
+    });
+    return true;
+  }
+
+  passages(text) {
+    return TextChunker.splitBlocks(text)
+      .flatMap((block) => TextChunker.splitOversized(text, block, PASSAGE_CHARS))
+      .map(({ start, end, text: passage }) => ({ start, end, text: passage, tokens: new Set(tokenize(passage)) }))
+      .filter((passage) => passage.tokens.size);
+  }
+
+  claims(structured) {
+    const asArray = (value) => (Array.isArray(value) ? value.filter((entry) => entry && typeof entry === 'object') : []);
+    const claim = (kind, entry, name, description) => {
+      const text = [name, description].filter(Boolean).join(': ');
+      return { kind, entry, name, text, tokens: new Set(tokenize(text)), sources: asArray(entry.sources) };
+    };
+
+    return [
+      ...asArray(structured?.levels)
+        .flatMap((level) => asArray(level.quests))
+        .map((quest) => claim('quest', quest, quest.title, quest.description)),
+      ...asArray(structured?.vocabulary).map((entry) => claim('vocabulary', entry, entry.term, entry.description)),
+    ].filter((entry) => entry.tokens.size);
+  }
+}
+
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((word) => word.length > 2 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+// Crude suffix stripping so "organelles"/"organelle" and "divides"/"dividing" meet.
+function stem(word) {
+  return word.length > 4 ? word.replace(/(?:ing|ed|s)$/, '').replace(/e$/, '') : word;
+}
+
+/**
+ * Share of the claim's content words that occur in the passage.
+ */
+function overlap(claimTokens, passageTokens) {
+  if (!claimTokens.size) return 0;
+  let found = 0;
+  claimTokens.forEach((token) => {
+    if (passageTokens.has(token)) found++;
+  });
+  return found / claimTokens.size;
+}
+
+function uniquePassages(candidates) {
+  const seen = new Set();
+  return candidates.filter(({ passage }) => {
+    if (seen.has(passage.start)) return false;
+    seen.add(passage.start);
+    return true;
+  });
+}
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = GroundingVerifier;
@@ -0,0 +1,228 @@
+/**
+ * Extracts text and a heading outline from uploads. PDFs are read page by page, OCRing only
+ * the pages whose text layer is weak; other formats go through lib/extractors.
+ */
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const pdfToImages = require('../pdfToImages');
+const { createOCRPool } = require('./ocr');
+const LayoutAnalyzer = require('./ocr/layout');
+const { extractPages, assessPage } = require('./pdfText');
+const { detectFormat, extractDocument, ExtractionError } = require('./extractors');
+const { locateOutline } = require('./extractors/blocks');
+
+const SUCCESS_MESSAGE = "File Uploaded and Parsed Successfully";
+// Bump when extraction output changes so cached results of stored documents are recomputed.
+const EXTRACTION_VERSION = 1;
+
+class DocumentIngestor {
+  constructor({ ocrPool = createOCRPool(), documentStore = null } = {}) {
+    this.ocrPool = ocrPool;
+    this.documentStore = documentStore;
+  }
+
+  /**
+   * Extract a document kept in the DocumentStore. Results are cached next to the file, so
+   * uploading the same content again skips parsing and OCR; results with OCR warnings are
+   * not cached, letting a later upload retry once the engine is available.
+   */
+  async extractStored(documentId, { forceOCR = false } = {}, { reportProgress = () => {} } = {}) {
+    const store = this.documentStore;
+    const document = store && (await store.get(documentId));
+    if (!document) {
+      throw new ExtractionError(`Unknown document: ${documentId}`, { code: 'DOCUMENT_NOT_FOUND', status: 404 });
+    }
+
+    const key = `v${EXTRACTION_VERSION}-${forceOCR ? 'ocr-all' : 'auto'}`;
+    const cached = await store.readExtraction(document.id, key);
+    if (cached) {
+      reportProgress(1, 'Reused earlier extraction', { stage: 'cache' });
+      return { ...cached.result, document: describeDocument(document), cached: true };
+    }
+
+    const result = await this.extract(
+      { filePath: store.filePath(document), originalName: document.originalName, forceOCR },
+      { reportProgress }
+    );
+    if (!result.warnings) {
+      await store.saveExtraction(document.id, key, result).catch((error) => {
+        console.error('[extract] Failed to cache extraction', error.message);
+      });
+    }
+    return { ...result, document: describeDocument(document), cached: false };
+  }
+
+  /**
+   * Returns `{ format, extractedText, outline, title? }`; outline entries are `{ level, text, offset }`
+   * (plus `page` for PDFs). Unsupported files reject with an ExtractionError.
+   */
+  async extract({ filePath, originalName, forceOCR = false }, { reportProgress = () => {} } = {}) {
+    const buffer = fs.readFileSync(filePath);
+    const format = await detectFormat(buffer, originalName || filePath);
+
+    if (format === 'pdf') {
+      return this.extractPdf(buffer, { filePath, forceOCR }, { reportProgress });
+    }
+
+    reportProgress(0.1, `Reading ${format} document`, { stage: 'parse' });
+    const { text, outline, title } = await extractDocument(buffer, format);
+    return {
+      message: SUCCESS_MESSAGE,
+      format,
+      extractedText: text,
+      outline,
+      ...(title && { title }),
+    };
+  }
+
+  /**
+   * Returns the stitched text (with `--- Page N ---` markers) plus a per-page report of where
+   * each page's text came from. `forceOCR` sends every page through OCR.
+   */
+  async extractPdf(buffer, { filePath, forceOCR = false }, { reportProgress = () => {} } = {}) {
+    reportProgress(0.05, 'Parsing PDF text', { stage: 'parse' });
+    const { pages: textLayer } = await extractPages(buffer);
+
+    const pages = textLayer.map((text, index) => {
+      const { weak, reason } = forceOCR ? { weak: true, reason: 'forced' } : assessPage(text);
+      return { page: index + 1, text, source: 'text', weak, reason };
+    });
+    const weakPages = pages.filter((page) => page.weak).map((page) => page.page);
+
+    const result = { message: SUCCESS_MESSAGE, format: 'pdf', outline: [] };
+
+    if (weakPages.length) {
+      console.log(`OCR for page(s) ${weakPages.join(', ')} of ${pages.length}`);
+      reportProgress(0.1, `Rendering ${weakPages.length} page(s) for OCR`, { stage: 'render' });
+      const ocr = await this.runOCR(filePath, {
+        pages: weakPages,
+        onPage: (completed, total) => {
+          reportProgress(0.1 + (0.9 * completed) / total, `OCR page ${completed}/${total}`, { stage: 'ocr', current: completed, total });
+        },
+      });
+
+      ocr.pages.forEach((ocrPage) => {
+        const target = pages[ocrPage.page - 1];
+        if (target && ocrPage.text.trim()) {
+          Object.assign(target, { text: ocrPage.text, source: 'ocr', confidence: ocrPage.confidence });
+        }
+      });
+
+      result.ocr = { engine: ocr.engine, confidence: ocr.confidence, pages: ocr.pages };
+      result.outline = ocr.pages.flatMap((ocrPage) =>
+        (ocrPage.headings || []).map((heading) => ({ page: ocrPage.page, ...heading }))
+      );
+      if (ocr.warnings.length) result.warnings = ocr.warnings;
+    }
+
+    result.extractedText = this.stitch(pages);
+    result.outline = locateOutline(result.extractedText, result.outline);
+    result.pages = pages.map(({ page, text, source, reason, confidence }) => ({
+      page,
+      source,
+      characters: text.trim().length,
+      weakReason: reason,
+      ...(confidence !== undefined && { confidence }),
+    }));
+
+    return result;
+  }
+
+  stitch(pages) {
+    return pages
+      .filter((page) => page.text.trim())
+      .map((page) => `--- Page ${page.page} ---\n${page.text.trim()}`)
+      .join("\n\n");
+  }
+
+  /**
+   * Render the given pages (all when omitted) and OCR them through the worker pool.
+   * Returned `pages` carry the PDF page number.
+   * Never throws: when rendering fails or no engine is installed, `text` is empty and
+   * `warnings` explains why, so the caller keeps the text layer.
+   */
+  async runOCR(pdfPath, { pages: pageNumbers = null, onPage = () => {} } = {}) {
+    const empty = { text: "", engine: null, confidence: null, pages: [] };
+
+    // Every run renders into a directory of its own, removed afterwards.
+    const renderRoot = this.documentStore ? path.join(this.documentStore.tmpDir, 'pages') : os.tmpdir();
+    let outputDir;
+    try {
+      await fsp.mkdir(renderRoot, { recursive: true });
+      outputDir = await fsp.mkdtemp(path.join(renderRoot, 'render-'));
+    } catch (err) {
+      console.error("OCR page rendering failed:", err.message);
+      return { ...empty, warnings: ['OCR_RENDER_FAILED'] };
+    }
+
+    try {
+      return await this.recognizePages(pdfPath, outputDir, { pageNumbers, onPage, empty });
+    } finally {
+      await fsp.rm(outputDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  async recognizePages(pdfPath, outputDir, { pageNumbers, onPage, empty }) {
+    let images;
+    try {
+      images = await pdfToImages(pdfPath, { pages: pageNumbers, outputDir });
+    } catch (err) {
+      console.error("OCR page rendering failed:", err.message);
+      return { ...empty, warnings: ['OCR_RENDER_FAILED'] };
+    }
+
+    if (!images.length) {
+      return { ...empty, warnings: ['OCR_RENDER_FAILED'] };
+    }
+
+    const { engine, pages: recognizedPages, error } = await this.ocrPool.recognize(images, { onPage });
+    if (!engine) {
+      console.warn("OCR skipped:", error);
+      return { ...empty, warnings: ['OCR_UNAVAILABLE'] };
+    }
+
+    const pages = recognizedPages.map((page, index) => this.applyLayout({
+      ...page,
+      page: pageNumbers ? pageNumbers[index] : page.page,
+    }));
+    const recognized = pages.filter((page) => !page.error);
+    const warnings = recognized.length < pages.length ? ['OCR_PAGE_FAILED'] : [];
+    const confidence = recognized.length
+      ? recognized.reduce((sum, page) => sum + page.confidence, 0) / recognized.length
+      : null;
+
+    return {
+      text: pages.map((page) => page.text).filter(Boolean).join("\n").trim(),
+      engine,
+      confidence,
+      pages,
+      warnings,
+    };
+  }
+
+  /**
+   * Replace the engine's plain line dump with layout-aware text when line boxes are available.
+   * The boxes themselves are dropped from the result.
+   */
+  applyLayout({ lines = [], ...page }) {
+    const layout = LayoutAnalyzer.analyze(lines);
+    if (!layout.text) return page;
+
+    return {
+      ...page,
+      text: layout.text,
+      columns: layout.columns,
+      headings: layout.headings,
+      tables: layout.tables,
+    };
+  }
+}
+
+function describeDocument({ id, originalName, format, size, uploadCount }) {
+  return { id, originalName, format, size, uploadCount };
+}
+
+module.exports = DocumentIngestor;
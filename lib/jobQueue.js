@@ -0,0 +1,224 @@
+/**
+ * Disk-backed job queue for long-running generation work.
+ * Jobs move through queued -> running -> succeeded | failed and are written to
+ * `dataDir` on every change so unfinished work is resumed after a restart.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const MAX_TIMELINE_ENTRIES = 50;
+
+class JobQueue extends EventEmitter {
+  constructor(dataDir = path.join(__dirname, '..', 'data', 'jobs'), options = {}) {
+    super();
+    const { concurrency = 1, maxAgeMs = 7 * 24 * 60 * 60 * 1000, describeError = defaultDescribeError } = options;
+    this.dataDir = dataDir;
+    this.concurrency = concurrency;
+    this.maxAgeMs = maxAgeMs;
+    this.describeError = describeError;
+    this.writes = new Map();
+    this.handlers = new Map();
+    this.jobs = new Map();
+    this.pending = [];
+    this.active = 0;
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Register the async handler for a job type.
+   * Handlers receive `(input, { reportProgress, jobId, userId, ip })` and resolve with the job result.
+   * `reportProgress(progress, message, { stage, current, total })` also appends to the job timeline.
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  /**
+   * Load persisted jobs, drop expired ones and re-queue anything that was interrupted.
+   */
+  async initialize() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    const files = await fs.readdir(this.dataDir);
+    const cutoff = Date.now() - this.maxAgeMs;
+
+    for (const filename of files.filter((f) => f.startsWith('job-') && f.endsWith('.json'))) {
+      try {
+        const job = JSON.parse(await fs.readFile(path.join(this.dataDir, filename), 'utf-8'));
+        if (new Date(job.createdAt).getTime() < cutoff) {
+          await fs.unlink(path.join(this.dataDir, filename));
+          continue;
+        }
+        this.jobs.set(job.id, job);
+      } catch (error) {
+        console.warn(`[jobs] Skipping unreadable job file ${filename}:`, error.message);
+      }
+    }
+
+    const interrupted = Array.from(this.jobs.values())
+      .filter((job) => job.state === 'queued' || job.state === 'running')
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    for (const job of interrupted) {
+      Object.assign(job, { state: 'queued', startedAt: null, message: 'Re-queued after restart', timeline: [] });
+      await this.persist(job);
+      this.pending.push(job.id);
+    }
+
+    this.drain();
+    return interrupted.length;
+  }
+
+  /**
+   * `userId` is the user the job runs for and `ip` the address it was submitted from (see
+   * routes/middleware.js `identifyUser`).
+   */
+  async submit(type, input = {}, { userId = null, ip = null } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      userId,
+      ip,
+      state: 'queued',
+      progress: 0,
+      message: 'Queued',
+      timeline: [],
+      input,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    this.jobs.set(job.id, job);
+    await this.persist(job);
+    this.pending.push(job.id);
+    this.drain();
+
+    return this.describe(job);
+  }
+
+  isFinished(job) {
+    return job.state === 'succeeded' || job.state === 'failed';
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.describe(job) : null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values())
+      .map((job) => this.describe(job))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Public view of a job; the (potentially large) input and the client address are omitted.
+   */
+  describe(job) {
+    const { input, ip, ...rest } = job;
+    return rest;
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (!job) continue;
+      this.active++;
+      this.run(job).finally(() => {
+        this.active--;
+        this.drain();
+      });
+    }
+  }
+
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+    await this.update(job, { state: 'running', startedAt: new Date().toISOString(), message: 'Running' });
+
+    const reportProgress = (progress, message, detail = null) => {
+      const clamped = Math.max(0, Math.min(1, Number(progress) || 0));
+      const changes = { progress: clamped, message: message ?? job.message };
+      if (detail?.stage) {
+        changes.timeline = this.appendTimeline(job.timeline, { ...detail, message: changes.message });
+      }
+      this.update(job, changes).catch((error) => {
+        console.warn(`[jobs] Failed to record progress for ${job.id}:`, error.message);
+      });
+    };
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type: ${job.type}`);
+      }
+      const result = await handler(job.input, { reportProgress, jobId: job.id, userId: job.userId ?? null, ip: job.ip ?? null });
+      await this.update(job, {
+        state: 'succeeded',
+        progress: 1,
+        message: 'Done',
+        result,
+        finishedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error(`[jobs] Job ${job.id} (${job.type}) failed`, error.message);
+      await this.update(job, {
+        state: 'failed',
+        message: 'Failed',
+        error: this.describeError(error, job),
+        finishedAt: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * Consecutive events for the same stage replace each other (e.g. "page 3/12" supersedes "page 2/12").
+   */
+  appendTimeline(timeline = [], event) {
+    const entry = { ...event, at: new Date().toISOString() };
+    const last = timeline[timeline.length - 1];
+    const next = last && last.stage === entry.stage ? [...timeline.slice(0, -1), entry] : [...timeline, entry];
+    return next.slice(-MAX_TIMELINE_ENTRIES);
+  }
+
+  async update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.emit('update', this.describe(job));
+    await this.persist(job);
+  }
+
+  /**
+   * Writes for the same job are chained so a progress update never races the final state.
+   */
+  persist(job) {
+    const previous = this.writes.get(job.id) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(async () => {
+        const filepath = path.join(this.dataDir, `job-${job.id}.json`);
+        const tmpPath = `${filepath}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(job, null, 2));
+        await fs.rename(tmpPath, filepath);
+      });
+
+    this.writes.set(job.id, next);
+    next.finally(() => {
+      if (this.writes.get(job.id) === next) this.writes.delete(job.id);
+    }).catch(() => {});
+    return next;
+  }
+}
+
+function defaultDescribeError(error) {
+  return { error: error.message, code: 'UNKNOWN_SERVER_ERROR' };
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,84 @@
+/**
+ * Output languages for blueprints and narratives. Requests name languages by ISO 639-1 code;
+ * the prompt uses the English name. `sourceLanguage` is the language of the textbook text and
+ * defaults to English.
+ */
+
+const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  pl: 'Polish',
+  tr: 'Turkish',
+  ru: 'Russian',
+  ar: 'Arabic',
+  hi: 'Hindi',
+  vi: 'Vietnamese',
+  zh: 'Chinese (Simplified)',
+  ja: 'Japanese',
+  ko: 'Korean',
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+function validateLanguage(input) {
+  for (const field of ['language', 'sourceLanguage']) {
+    if (input[field] !== undefined && !Object.hasOwn(LANGUAGES, input[field])) {
+      return `${field} must be one of: ${Object.keys(LANGUAGES).join(', ')}`;
+    }
+  }
+  if (input.bilingualVocabulary !== undefined && typeof input.bilingualVocabulary !== 'boolean') {
+    return 'bilingualVocabulary must be a boolean';
+  }
+  return null;
+}
+
+/**
+ * `{ language, sourceLanguage, bilingualVocabulary }` with defaults. Bilingual vocabulary only
+ * applies when the two languages differ.
+ */
+function resolveLanguage({ language = DEFAULT_LANGUAGE, sourceLanguage = DEFAULT_LANGUAGE, bilingualVocabulary = false } = {}) {
+  return { language, sourceLanguage, bilingualVocabulary: bilingualVocabulary && language !== sourceLanguage };
+}
+
+function isTranslated(settings) {
+  return settings.language !== settings.sourceLanguage;
+}
+
+/**
+ * Prompt instructions for blueprint output; empty for English from English.
+ */
+function describeBlueprintLanguage(settings) {
+  if (settings.language === DEFAULT_LANGUAGE && !isTranslated(settings)) return '';
+  const target = LANGUAGES[settings.language];
+  const lines = [`Write all names, overviews, titles, descriptions, items, abilities and assessments in ${target}.`];
+
+  if (settings.bilingualVocabulary) {
+    lines.push(
+      `Vocabulary is bilingual: keep each term exactly as it appears in the ${LANGUAGES[settings.sourceLanguage]} excerpt, put its ${target} translation in "translation" and write the description in ${target}.`
+    );
+  } else {
+    lines.push(`Give vocabulary terms in ${target}.`);
+  }
+  lines.push('Copy every source quote exactly as written in the excerpt; do not translate quotes.');
+  return `${lines.join('\n')}\n`;
+}
+
+function describeNarrativeLanguage(settings) {
+  if (settings.language === DEFAULT_LANGUAGE) return '';
+  return `Write the whole narrative in ${LANGUAGES[settings.language]}.\n`;
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  validateLanguage,
+  resolveLanguage,
+  isTranslated,
+  describeBlueprintLanguage,
+  describeNarrativeLanguage,
+};
@@ -0,0 +1,127 @@
+/**
+ * Provider-agnostic chat completion client with retry and exponential backoff.
+ */
+
+const { GroqError } = require('./errors');
+const { ResponseCache } = require('./responseCache');
+const { cachedUsage } = require('./usage');
+const { sleep, getBackoffDelayMs } = require('../backoff');
+
+class LLMClient {
+  /**
+   * `cache` is an optional ResponseCache; identical requests to the same model are then
+   * answered from it instead of the provider.
+   */
+  constructor(provider, { temperature = 0.4, cache = null } = {}) {
+    this.provider = provider;
+    this.temperature = temperature;
+    this.cache = cache;
+  }
+
+  get model() {
+    return this.provider.model;
+  }
+
+  /**
+   * Send a chat completion and return `{ content, usage, model, provider, cached }`.
+   * Rate limits, 5xx responses and network failures are retried with jittered backoff.
+   * `cache: false` skips the cache lookup (the fresh response still replaces the cached one).
+   * JSON-mode responses that do not parse are neither stored nor served from the cache, so a
+   * malformed answer is asked for again instead of being replayed.
+   */
+  async complete(messages, { responseFormat, temperature, maxTokens, retry = {}, cache: useCache = true } = {}) {
+    const body = {
+      messages,
+      temperature: temperature ?? this.temperature,
+    };
+
+    if (responseFormat === 'json_object') {
+      body.response_format = { type: 'json_object' };
+    }
+    if (maxTokens) {
+      body.max_tokens = maxTokens;
+    }
+
+    const maxRetries = retry?.maxRetries ?? 3;
+    const baseDelayMs = retry?.baseDelayMs ?? 500;
+    const backoffFactor = retry?.backoffFactor ?? 2;
+    const jitterMs = retry?.jitterMs ?? 250;
+    const tag = `[${this.provider.name}]`;
+
+    const cacheKey = this.cache ? ResponseCache.keyFor(this.provider.model, body) : null;
+    if (cacheKey && useCache) {
+      const hit = await this.cache.get(cacheKey);
+      if (hit && !isUsable(hit.content, responseFormat)) {
+        await this.cache.delete(cacheKey);
+      } else if (hit) {
+        return { ...hit, usage: cachedUsage(hit.usage), provider: this.provider.name, cached: true };
+      }
+    }
+
+    let lastError;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const attemptNumber = attempt + 1;
+
+      try {
+        this.simulateFailure();
+        const result = await this.provider.chat(body);
+        if (cacheKey && isUsable(result.content, responseFormat)) await this.cache.set(cacheKey, result);
+        return { ...result, provider: this.provider.name, cached: false };
+      } catch (error) {
+        if (error?.type === 'MISSING_KEY') {
+          throw error;
+        }
+
+        const isGroqError = error instanceof GroqError;
+        const status = isGroqError ? error.status : null;
+        const type = isGroqError ? error.type : 'UNEXPECTED';
+
+        const retryable = status === 429 || (status >= 500 && status < 600) || status === null;
+
+        if (retryable && attempt < maxRetries) {
+          const delay = getBackoffDelayMs(attempt, baseDelayMs, backoffFactor, jitterMs);
+          console.warn(`${tag} Attempt ${attemptNumber} failed (status=${status}, type=${type}). Retrying in ${delay}ms`);
+          await sleep(delay);
+          lastError = error;
+          continue;
+        }
+
+        console.error(
+          `${tag} Giving up after attempt ${attemptNumber}. status=${status} type=${type} message=${error.message}`
+        );
+        throw error;
+      }
+    }
+
+    throw lastError ?? new Error('Unknown LLM failure');
+  }
+
+  /**
+   * Error testing: SIMULATE_GROQ=rate_limit|parse_error|server_error forces a failure.
+   */
+  simulateFailure() {
+    if (process.env.SIMULATE_GROQ === 'rate_limit') {
+      throw new GroqError('Simulated rate limit', { status: 429, type: 'RATE_LIMIT' });
+    }
+    if (process.env.SIMULATE_GROQ === 'parse_error') {
+      throw new GroqError('Simulated malformed JSON', { status: 200, type: 'PARSE_ERROR' });
+    }
+    if (process.env.SIMULATE_GROQ === 'server_error') {
+      throw new GroqError('Simulated upstream failure', { status: 503, type: 'SERVER_ERROR' });
+    }
+  }
+}
+
+// Whether a response may be cached: JSON-mode content has to parse.
+function isUsable(content, responseFormat) {
+  if (responseFormat !== 'json_object') return true;
+  try {
+    JSON.parse(content);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = LLMClient;
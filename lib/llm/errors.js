@@ -0,0 +1,22 @@
+/**
+ * Error raised for any failed chat completion, whichever provider served it.
+ * The name is kept from the original Groq-only client because API error codes
+ * (GROQ_RATE_LIMIT, GROQ_PARSE_ERROR, ...) are derived from it.
+ */
+
+class GroqError extends Error {
+  constructor(message, { status, body, type } = {}) {
+    super(message);
+    this.name = 'GroqError';
+    this.status = status ?? null;
+    this.body = body ?? null;
+    this.type = type ?? 'UNKNOWN';
+  }
+}
+
+function isMissingKeyError(error) {
+  if (error?.type === 'MISSING_KEY') return true;
+  return typeof error?.message === 'string' && error.message.includes('GROQ_API_KEY');
+}
+
+module.exports = { GroqError, isMissingKeyError };
@@ -0,0 +1,64 @@
+/**
+ * Deterministic provider for tests and offline demos.
+ * Responses come from an in-process `handler(messages, body)` or from JSON fixture files
+ * named after the request key (see `FixtureProvider.keyFor`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { GroqError } = require('./errors');
+
+class FixtureProvider {
+  constructor({ name = 'fixture', model = 'fixture', fixturesDir = null, handler = null } = {}) {
+    this.name = name;
+    this.model = model;
+    this.fixturesDir = fixturesDir;
+    this.handler = handler;
+  }
+
+  /**
+   * Stable key for a request: hash of the messages plus the options that change the output.
+   */
+  static keyFor(body) {
+    const { messages, temperature, response_format: responseFormat } = body;
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ messages, temperature, responseFormat }))
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  async chat(body) {
+    if (this.handler) {
+      const result = await this.handler(body.messages, body);
+      return this.normalize(result);
+    }
+
+    const key = FixtureProvider.keyFor(body);
+    if (this.fixturesDir) {
+      const filepath = path.join(this.fixturesDir, `${key}.json`);
+      if (fs.existsSync(filepath)) {
+        return this.normalize(JSON.parse(fs.readFileSync(filepath, 'utf-8')));
+      }
+    }
+
+    throw new GroqError(`No fixture recorded for request ${key}`, { status: 404, type: 'FIXTURE_MISSING' });
+  }
+
+  normalize(result) {
+    const content = typeof result === 'string' ? result : result?.content;
+    if (typeof content !== 'string') {
+      throw new GroqError('Fixture returned no content', { status: 200, type: 'NO_CONTENT' });
+    }
+
+    const usage = result?.usage ?? {
+      prompt_tokens: 0,
+      completion_tokens: Math.ceil(content.length / 4),
+      total_tokens: Math.ceil(content.length / 4),
+    };
+    return { content, usage, model: this.model };
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,71 @@
+/**
+ * LLM provider selection.
+ *
+ * LLM_PROVIDER picks the backend:
+ *   - groq (default): GROQ_API_KEY / GROQ_MODEL against api.groq.com
+ *   - openai-compatible: LLM_BASE_URL, optional LLM_API_KEY, LLM_MODEL (llama.cpp, Ollama, OpenAI, ...)
+ *   - fixture: deterministic responses from LLM_FIXTURES_DIR (or an in-process handler)
+ */
+
+const LLMClient = require('./client');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const FixtureProvider = require('./fixtureProvider');
+const RecordingProvider = require('./recordingProvider');
+const { GroqError, isMissingKeyError } = require('./errors');
+const { emptyUsage, addUsage } = require('./usage');
+const { ResponseCache, createResponseCache, validateNoCache } = require('./responseCache');
+const { safeJSON } = require('./json');
+
+const GROQ_BASE_URL = 'https://api.groq.com/openai/v1';
+
+function createProvider(config = process.env, { defaultModel = 'llama3-8b-8192', handler = null } = {}) {
+  const providerName = (config.LLM_PROVIDER || 'groq').toLowerCase();
+
+  switch (providerName) {
+    case 'groq':
+      return new OpenAICompatibleProvider({
+        name: 'groq',
+        baseUrl: GROQ_BASE_URL,
+        apiKey: config.GROQ_API_KEY,
+        model: config.GROQ_MODEL || defaultModel,
+        requireApiKey: true,
+        apiKeyName: 'GROQ_API_KEY',
+      });
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider({
+        name: 'openai-compatible',
+        baseUrl: config.LLM_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: config.LLM_API_KEY,
+        model: config.LLM_MODEL || defaultModel,
+      });
+    case 'fixture':
+      return new FixtureProvider({
+        model: config.LLM_MODEL || 'fixture',
+        fixturesDir: config.LLM_FIXTURES_DIR || null,
+        handler,
+      });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${providerName}`);
+  }
+}
+
+function createLLMClient(config = process.env, options = {}) {
+  return new LLMClient(createProvider(config, options), options);
+}
+
+module.exports = {
+  createLLMClient,
+  createProvider,
+  LLMClient,
+  OpenAICompatibleProvider,
+  FixtureProvider,
+  RecordingProvider,
+  ResponseCache,
+  createResponseCache,
+  validateNoCache,
+  GroqError,
+  isMissingKeyError,
+  emptyUsage,
+  addUsage,
+  safeJSON,
+};
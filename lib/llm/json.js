@@ -0,0 +1,15 @@
+/**
+ * Lenient JSON parsing for model output.
+ */
+
+function safeJSON(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    console.warn('Failed to parse JSON response', error);
+    return null;
+  }
+}
+
+module.exports = { safeJSON };
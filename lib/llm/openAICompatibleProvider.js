@@ -0,0 +1,70 @@
+/**
+ * Chat completions against any OpenAI-compatible endpoint (Groq, OpenAI, llama.cpp, Ollama, ...).
+ */
+
+const { GroqError } = require('./errors');
+
+const fetch = (...args) => import('node-fetch').then(({ default: fetchFn }) => fetchFn(...args));
+
+class OpenAICompatibleProvider {
+  constructor({ name = 'openai-compatible', baseUrl, apiKey = null, model, requireApiKey = false, apiKeyName = 'LLM_API_KEY' } = {}) {
+    if (!baseUrl) {
+      throw new Error('OpenAICompatibleProvider requires a baseUrl');
+    }
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.requireApiKey = requireApiKey;
+    this.apiKeyName = apiKeyName;
+  }
+
+  async chat(body) {
+    if (this.requireApiKey && !this.apiKey) {
+      throw new GroqError(`${this.apiKeyName} missing`, { type: 'MISSING_KEY' });
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: this.model, ...body }),
+    });
+
+    const rawBody = await response.text().catch(() => '');
+
+    if (!response.ok) {
+      const status = response.status;
+      const type = status === 429 ? 'RATE_LIMIT' : status >= 500 ? 'SERVER_ERROR' : 'HTTP_ERROR';
+      throw new GroqError(`${this.name} API error: ${status}`, { status, body: rawBody, type });
+    }
+
+    let data;
+    try {
+      data = JSON.parse(rawBody);
+    } catch (_parseError) {
+      throw new GroqError(`Failed to parse ${this.name} API JSON response`, {
+        status: response.status,
+        body: rawBody,
+        type: 'PARSE_ERROR',
+      });
+    }
+
+    const content = data?.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new GroqError(`${this.name} API returned no content`, {
+        status: response.status,
+        body: rawBody,
+        type: 'NO_CONTENT',
+      });
+    }
+
+    return { content, usage: data.usage, model: data.model || this.model };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,33 @@
+/**
+ * Wraps a real provider and saves every response as a fixture file, so the same requests can
+ * later be replayed offline with `FixtureProvider` (LLM_PROVIDER=fixture).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const FixtureProvider = require('./fixtureProvider');
+
+class RecordingProvider {
+  constructor(provider, { fixturesDir }) {
+    if (!fixturesDir) {
+      throw new Error('RecordingProvider requires a fixturesDir');
+    }
+    this.provider = provider;
+    this.fixturesDir = fixturesDir;
+    this.name = provider.name;
+    this.model = provider.model;
+  }
+
+  async chat(body) {
+    const result = await this.provider.chat(body);
+
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    const filepath = path.join(this.fixturesDir, `${FixtureProvider.keyFor(body)}.json`);
+    const fixture = { content: result.content, usage: result.usage, model: result.model, recordedAt: new Date().toISOString() };
+    fs.writeFileSync(filepath, `${JSON.stringify(fixture, null, 2)}\n`);
+
+    return result;
+  }
+}
+
+module.exports = RecordingProvider;
@@ -0,0 +1,130 @@
+/**
+ * Persistent cache of chat completions, one JSON file per request under data/llm-cache/.
+ * Entries are keyed by a hash of the model and the request (messages, temperature,
+ * response_format), expire after `ttlMs`, and the least recently used ones are evicted once
+ * the cache holds more than `maxEntries` files or `maxBytes` bytes. Cache I/O failures are
+ * logged and treated as misses; they never fail a completion.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+class ResponseCache {
+  constructor({ dir, ttlMs = DEFAULT_TTL_MS, maxEntries = DEFAULT_MAX_ENTRIES, maxBytes = DEFAULT_MAX_BYTES }) {
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+  }
+
+  static keyFor(model, body) {
+    const { messages, temperature, response_format: responseFormat } = body;
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ model, messages, temperature, responseFormat }))
+      .digest('hex');
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * The cached `{ content, usage, model }` for a key, or null when absent or expired.
+   */
+  async get(key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+      if (Date.now() - Date.parse(entry.createdAt) > this.ttlMs) {
+        await fs.rm(this.filePath(key), { force: true });
+        this.stats.misses++;
+        return null;
+      }
+      // The file's mtime is its last use, which eviction goes by.
+      const now = new Date();
+      await fs.utimes(this.filePath(key), now, now).catch(() => {});
+      this.stats.hits++;
+      return { content: entry.content, usage: entry.usage, model: entry.model };
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn('[llm-cache] Unreadable entry', key, error.message);
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  async set(key, { content, usage, model }) {
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      const entry = { content, usage, model, createdAt: new Date().toISOString() };
+      await fs.writeFile(this.filePath(key), JSON.stringify(entry));
+      this.stats.writes++;
+      await this.prune();
+    } catch (error) {
+      console.warn('[llm-cache] Failed to store response', error.message);
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true }).catch((error) => {
+      console.warn('[llm-cache] Failed to remove entry', key, error.message);
+    });
+  }
+
+  /**
+   * Drop expired entries, then the least recently used ones until the limits hold.
+   */
+  async prune() {
+    const names = (await fs.readdir(this.dir)).filter((name) => name.endsWith('.json'));
+    const entries = (await Promise.all(names.map(async (name) => {
+      const stat = await fs.stat(path.join(this.dir, name)).catch(() => null);
+      return stat && { name, size: stat.size, usedAt: stat.mtimeMs };
+    }))).filter(Boolean);
+
+    // Unused for longer than the TTL means created longer ago too; entries that are still being
+    // read past their TTL are removed by get().
+    const now = Date.now();
+    const expired = entries.filter((entry) => now - entry.usedAt > this.ttlMs);
+    const live = entries.filter((entry) => !expired.includes(entry)).sort((a, b) => a.usedAt - b.usedAt);
+    let bytes = live.reduce((sum, entry) => sum + entry.size, 0);
+
+    const evicted = [...expired];
+    while (live.length && (live.length > this.maxEntries || bytes > this.maxBytes)) {
+      const oldest = live.shift();
+      bytes -= oldest.size;
+      evicted.push(oldest);
+    }
+
+    await Promise.all(evicted.map((entry) => fs.rm(path.join(this.dir, entry.name), { force: true })));
+    this.stats.evictions += evicted.length;
+  }
+}
+
+/**
+ * Cache configured from the environment: LLM_CACHE=off disables it; LLM_CACHE_TTL_HOURS
+ * (default 24), LLM_CACHE_MAX_ENTRIES (default 500) and LLM_CACHE_MAX_MB (default 50) bound it.
+ */
+function createResponseCache(config, dir) {
+  if (['off', 'false', '0'].includes(String(config.LLM_CACHE || '').toLowerCase())) return null;
+  return new ResponseCache({
+    dir,
+    ttlMs: config.LLM_CACHE_TTL_HOURS ? Number(config.LLM_CACHE_TTL_HOURS) * 60 * 60 * 1000 : undefined,
+    maxEntries: Number(config.LLM_CACHE_MAX_ENTRIES) || undefined,
+    maxBytes: config.LLM_CACHE_MAX_MB ? Number(config.LLM_CACHE_MAX_MB) * 1024 * 1024 : undefined,
+  });
+}
+
+/**
+ * Validation for the `noCache` request flag shared by the LLM-backed endpoints.
+ */
+function validateNoCache(input) {
+  if (input.noCache !== undefined && typeof input.noCache !== 'boolean') return 'noCache must be a boolean';
+  return null;
+}
+
+module.exports = { ResponseCache, createResponseCache, validateNoCache };
@@ -0,0 +1,28 @@
+/**
+ * Helpers for summing OpenAI-style `usage` objects across several completions.
+ * `cache_hits` counts completions answered from the response cache and `cached_tokens` the
+ * tokens those answers originally cost; the token counts only cover calls actually made.
+ */
+
+const USAGE_KEYS = ['prompt_tokens', 'completion_tokens', 'total_tokens', 'cache_hits', 'cached_tokens'];
+
+function emptyUsage() {
+  return { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cache_hits: 0, cached_tokens: 0 };
+}
+
+/**
+ * Usage reported for a completion served from the cache.
+ */
+function cachedUsage(original) {
+  return { ...emptyUsage(), cache_hits: 1, cached_tokens: Number(original?.total_tokens) || 0 };
+}
+
+function addUsage(total, usage) {
+  if (!usage) return total;
+  USAGE_KEYS.forEach((key) => {
+    total[key] += Number(usage[key]) || 0;
+  });
+  return total;
+}
+
+module.exports = { emptyUsage, cachedUsage, addUsage };
@@ -0,0 +1,72 @@
+/**
+ * Offline embeddings: hashed character n-grams and words (feature hashing), computed on the
+ * CPU with no model download or network. Vectors depend only on the text, so they are
+ * deterministic and comparable across documents and saved graphs. Similar spellings land close
+ * together ("Mitochondria" / "mitochondrion", "enzyme" / "enzymes"), as do phrases sharing
+ * words; there is no notion of synonyms.
+ */
+
+const DEFAULT_DIMENSIONS = 512;
+const MIN_GRAM = 3;
+const MAX_GRAM = 5;
+// Whole words weigh more than any single n-gram so exact matches dominate.
+const WORD_WEIGHT = 2;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it', 'its',
+  'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to', 'was', 'were', 'with',
+]);
+
+class LocalEmbedder {
+  constructor({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+    this.dimensions = dimensions;
+    this.model = `char-ngram-${MIN_GRAM}-${MAX_GRAM}-hash-${dimensions}`;
+  }
+
+  /**
+   * L2-normalized vector of `dimensions` numbers; all zeros for text without letters or digits.
+   */
+  embed(text) {
+    const features = new Map();
+    const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+
+    LocalEmbedder.words(text).forEach((word) => {
+      if (!STOPWORDS.has(word)) add(`w:${word}`, WORD_WEIGHT);
+      const padded = `<${word}>`;
+      for (let n = MIN_GRAM; n <= MAX_GRAM; n++) {
+        for (let i = 0; i + n <= padded.length; i++) add(`g:${padded.slice(i, i + n)}`, 1);
+      }
+    });
+
+    const vector = new Array(this.dimensions).fill(0);
+    features.forEach((count, feature) => {
+      const hash = fnv1a(feature);
+      // One hash bit picks the sign so collisions cancel out instead of piling up.
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % this.dimensions] += sign * (1 + Math.log(count));
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm ? vector.map((value) => value / norm) : vector;
+  }
+
+  static words(text) {
+    return String(text || '')
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || [];
+  }
+}
+
+// 32-bit FNV-1a.
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+module.exports = LocalEmbedder;
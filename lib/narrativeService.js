@@ -0,0 +1,125 @@
+/**
+ * Writes the narrative layer (lore, NPC hooks, encounters) for a structured blueprint.
+ */
+
+const SchemaValidator = require('./schemaValidator');
+const { isMissingKeyError, emptyUsage, addUsage, safeJSON, validateNoCache } = require('./llm');
+const { sampleNarrative } = require('./samples');
+const { validateLanguage, resolveLanguage, describeNarrativeLanguage } = require('./languages');
+const { PromptRegistry } = require('./promptRegistry');
+
+const MAX_STRUCTURE_CHARS = 8000;
+// Citation and grounding annotations are for the UI; the prompt only needs the content.
+const ANNOTATION_KEYS = new Set(['sources', 'grounding', 'sourceRanges']);
+
+class NarrativeService {
+  constructor({ llmClient, prompts = new PromptRegistry() }) {
+    this.llmClient = llmClient;
+    this.prompts = prompts;
+  }
+
+  validate(input) {
+    if (!input.structured) return 'Structured RPG data is required';
+    return validateLanguage(input) || validateNoCache(input) || this.prompts.validateVersion('narrative', input.promptVersion);
+  }
+
+  /**
+   * `language` (see lib/languages.js) is the language the narrative is written in;
+   * `promptVersion` selects a version of the `narrative` prompt template; `noCache` skips
+   * cached responses.
+   */
+  async generate(
+    { structured, learningGoal = 'Keep the player curious about the topic.', language, promptVersion, noCache = false },
+    { reportProgress = () => {} } = {}
+  ) {
+    const languageSettings = resolveLanguage({ language });
+    const { messages, prompt } = this.buildMessages({ structured, learningGoal, languageSettings, promptVersion });
+
+    try {
+      reportProgress(0.1, 'Writing narrative', { stage: 'narrative' });
+      const { content, usage } = await this.llmClient.complete(messages, {
+        responseFormat: 'json_object',
+        retry: { maxRetries: 3 },
+        cache: !noCache,
+      });
+      const parsed = safeJSON(content);
+
+      if (!parsed) {
+        return { narrative: { raw: content }, usage, via: 'groq', prompt, warnings: ['GROQ_PARSE_ERROR'] };
+      }
+
+      const checked = await SchemaValidator.repairWithModel(parsed, 'narrative', {
+        llmClient: this.llmClient, messages, content, cache: !noCache,
+      });
+      const responsePayload = {
+        narrative: checked.value,
+        language: languageSettings.language,
+        usage: addUsage({ ...emptyUsage(), ...usage }, checked.usage),
+        via: 'groq',
+        prompt,
+      };
+
+      if (checked.warnings.length) {
+        responsePayload.warnings = checked.warnings;
+      }
+
+      return responsePayload;
+    } catch (error) {
+      if (isMissingKeyError(error)) {
+        return {
+          narrative: sampleNarrative,
+          via: 'mock',
+          message: 'Set GROQ_API_KEY to replace mock data.',
+        };
+      }
+      throw error;
+    }
+  }
+
+  buildMessages({ structured, learningGoal, languageSettings = resolveLanguage(), promptVersion = null }) {
+    return this.prompts.render('narrative', {
+      structure: compactStructure(structured),
+      learningGoal,
+      languageNote: describeNarrativeLanguage(languageSettings),
+    }, { version: promptVersion });
+  }
+}
+
+/**
+ * The blueprint as JSON of at most MAX_STRUCTURE_CHARS: annotations are stripped, then whole
+ * entries are dropped from the end of the longer of the quest and vocabulary lists (a level goes
+ * once its last quest has) until it fits, so the model always gets valid JSON.
+ */
+function compactStructure(structured) {
+  const compact = stripAnnotations(structured);
+  if (!compact || typeof compact !== 'object' || Array.isArray(compact)) return JSON.stringify(compact);
+
+  const levels = Array.isArray(compact.levels) ? compact.levels : [];
+  const vocabulary = Array.isArray(compact.vocabulary) ? compact.vocabulary : [];
+  const questCount = () => levels.reduce((sum, level) => sum + (Array.isArray(level?.quests) ? level.quests.length : 0), 0);
+
+  let json = JSON.stringify(compact);
+  while (json.length > MAX_STRUCTURE_CHARS && (levels.length || vocabulary.length)) {
+    if (vocabulary.length && vocabulary.length >= questCount()) {
+      vocabulary.pop();
+    } else {
+      const last = levels[levels.length - 1];
+      if (Array.isArray(last?.quests) && last.quests.length) last.quests.pop();
+      if (!Array.isArray(last?.quests) || !last.quests.length) levels.pop();
+    }
+    json = JSON.stringify(compact);
+  }
+  return json;
+}
+
+function stripAnnotations(value) {
+  if (Array.isArray(value)) return value.map(stripAnnotations);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !ANNOTATION_KEYS.has(key))
+      .map(([key, entry]) => [key, stripAnnotations(entry)])
+  );
+}
+
+module.exports = NarrativeService;
@@ -0,0 +1,57 @@
+/**
+ * OCR engine selection.
+ *
+ * OCR_ENGINE picks what the worker pool tries, in order:
+ *   - auto (default): paddle, then tesseract
+ *   - paddle: long-lived `ocr.py --worker` processes (OCR_PYTHON overrides the interpreter)
+ *   - tesseract: tesseract.js in-process (OCR_LANG, OCR_LANG_PATH for bundled traineddata)
+ *   - none: skip OCR and keep the PDF text layer
+ * OCR_CONCURRENCY sets the number of workers (default 2).
+ */
+
+const OCRWorkerPool = require('./workerPool');
+const PythonOCRWorker = require('./pythonWorker');
+const TesseractOCRWorker = require('./tesseractWorker');
+
+function createEngines(config = process.env) {
+  const engines = {
+    paddle: {
+      name: 'paddle',
+      create: () => new PythonOCRWorker(config.OCR_PYTHON ? { pythonPath: config.OCR_PYTHON } : {}),
+    },
+    tesseract: {
+      name: 'tesseract',
+      create: () => new TesseractOCRWorker({
+        lang: config.OCR_LANG || 'eng',
+        langPath: config.OCR_LANG_PATH || null,
+      }),
+    },
+  };
+
+  const choice = (config.OCR_ENGINE || 'auto').toLowerCase();
+  switch (choice) {
+    case 'auto':
+      return [engines.paddle, engines.tesseract];
+    case 'none':
+      return [];
+    default:
+      if (!engines[choice]) {
+        throw new Error(`Unknown OCR_ENGINE: ${choice}`);
+      }
+      return [engines[choice]];
+  }
+}
+
+function createOCRPool(config = process.env) {
+  return new OCRWorkerPool(createEngines(config), {
+    size: Number(config.OCR_CONCURRENCY) || 2,
+  });
+}
+
+module.exports = {
+  createOCRPool,
+  createEngines,
+  OCRWorkerPool,
+  PythonOCRWorker,
+  TesseractOCRWorker,
+};
@@ -0,0 +1,221 @@
+/**
+ * Rebuilds page structure from OCR line boxes: multi-column reading order, headings
+ * (by line height relative to body text, or numbered/isolated lines) and tables.
+ */
+
+const TextChunker = require('../chunker');
+const { renderBlock } = require('../extractors/blocks');
+
+const MAX_SPANNING_SHARE = 0.15;
+const MIN_COLUMN_LINES = 3;
+const MIN_GUTTER_SHARE = 0.02;
+const HEADING_RATIOS = [
+  { level: 1, ratio: 1.6 },
+  { level: 2, ratio: 1.25 },
+];
+const MAX_HEADING_CHARS = 100;
+
+class LayoutAnalyzer {
+  /**
+   * `lines` are `{ text, confidence, box: [x0, y0, x1, y1] }` with y growing downwards.
+   * Returns `{ text, columns, blocks, headings, tables }`. Blocks are
+   * `{ type: 'heading', level, text }`, `{ type: 'paragraph', text }` or `{ type: 'table', rows }`;
+   * `text` renders headings as markdown `#` lines and tables as pipe rows.
+   */
+  static analyze(lines) {
+    const items = (lines || [])
+      .filter((line) => line && typeof line.text === 'string' && line.text.trim() && isBox(line.box))
+      .map((line) => {
+        const [x0, y0, x1, y1] = line.box;
+        return { text: line.text.trim(), x0, y0, x1, y1, height: y1 - y0 };
+      });
+
+    if (!items.length) {
+      return { text: '', columns: 0, blocks: [], headings: [], tables: [] };
+    }
+
+    const bodyHeight = median(items.map((item) => item.height)) || 1;
+    const gutter = this.findGutter(items);
+    const flows = this.readingOrder(items, gutter);
+    const blocks = flows.flatMap((flow) => this.buildBlocks(this.groupRows(flow), bodyHeight));
+
+    return {
+      text: blocks.map((block) => renderBlock(block)).join('\n\n'),
+      columns: gutter === null ? 1 : 2,
+      blocks,
+      headings: blocks.filter((block) => block.type === 'heading').map(({ level, text }) => ({ level, text })),
+      tables: blocks.filter((block) => block.type === 'table').map(({ rows }) => ({ rows })),
+    };
+  }
+
+  /**
+   * Find an empty vertical band near the middle of the page that few lines cross.
+   * Returns its x position, or null for single-column pages.
+   */
+  static findGutter(items) {
+    const left = Math.min(...items.map((item) => item.x0));
+    const right = Math.max(...items.map((item) => item.x1));
+    const width = right - left;
+    if (width <= 0) return null;
+
+    const bins = 100;
+    const coverage = new Array(bins).fill(0);
+    items.forEach((item) => {
+      const from = Math.floor(((item.x0 - left) / width) * (bins - 1));
+      const to = Math.ceil(((item.x1 - left) / width) * (bins - 1));
+      for (let bin = from; bin <= to; bin++) coverage[bin]++;
+    });
+
+    // Spanning titles and figure captions may cross the gutter, so allow a few crossings.
+    const allowed = Math.floor(items.length * MAX_SPANNING_SHARE);
+    let best = null;
+    let runStart = null;
+    for (let bin = 30; bin <= 70; bin++) {
+      const open = coverage[bin] <= allowed;
+      if (open && runStart === null) runStart = bin;
+      if ((!open || bin === 70) && runStart !== null) {
+        const runEnd = open ? bin : bin - 1;
+        if (!best || runEnd - runStart > best.end - best.start) best = { start: runStart, end: runEnd };
+        runStart = null;
+      }
+    }
+
+    if (!best || (best.end - best.start + 1) / bins < MIN_GUTTER_SHARE) return null;
+
+    const gutter = left + (((best.start + best.end) / 2) / (bins - 1)) * width;
+    const leftCount = items.filter((item) => item.x1 <= gutter).length;
+    const rightCount = items.filter((item) => item.x0 >= gutter).length;
+    return leftCount >= MIN_COLUMN_LINES && rightCount >= MIN_COLUMN_LINES ? gutter : null;
+  }
+
+  /**
+   * Split the page into flows read top to bottom. Rows crossing the gutter (titles, captions,
+   * tables with three or more cells) start a new band; within a band the left column is read
+   * before the right one.
+   */
+  static readingOrder(items, gutter) {
+    const sorted = [...items].sort((a, b) => a.y0 - b.y0 || a.x0 - b.x0);
+    if (gutter === null) return [sorted];
+
+    const flows = [];
+    let band = { left: [], right: [] };
+    let spanning = null;
+    const flushBand = () => {
+      if (band.left.length) flows.push(band.left);
+      if (band.right.length) flows.push(band.right);
+      band = { left: [], right: [] };
+    };
+
+    this.groupRows(sorted).forEach((row) => {
+      const crosses = row.cells.length > 2 || row.cells.some((cell) => cell.x0 < gutter && cell.x1 > gutter);
+      if (crosses) {
+        flushBand();
+        if (!spanning) {
+          spanning = [];
+          flows.push(spanning);
+        }
+        spanning.push(...row.cells);
+        return;
+      }
+
+      spanning = null;
+      row.cells.forEach((cell) => (cell.x1 <= gutter ? band.left : band.right).push(cell));
+    });
+    flushBand();
+
+    return flows;
+  }
+
+  /**
+   * Group boxes that share a baseline (vertical overlap of at least half the smaller box).
+   */
+  static groupRows(items) {
+    const rows = [];
+    items.forEach((item) => {
+      const row = rows[rows.length - 1];
+      const overlap = row ? Math.min(row.y1, item.y1) - Math.max(row.y0, item.y0) : 0;
+      if (row && overlap >= Math.min(row.y1 - row.y0, item.height) / 2) {
+        row.cells.push(item);
+        row.y0 = Math.min(row.y0, item.y0);
+        row.y1 = Math.max(row.y1, item.y1);
+      } else {
+        rows.push({ cells: [item], y0: item.y0, y1: item.y1 });
+      }
+    });
+    rows.forEach((row) => row.cells.sort((a, b) => a.x0 - b.x0));
+    return rows;
+  }
+
+  static buildBlocks(rows, bodyHeight) {
+    const blocks = [];
+    let paragraph = null;
+    let table = null;
+
+    rows.forEach((row, index) => {
+      const previous = rows[index - 1];
+      const gap = previous ? row.y0 - previous.y1 : Infinity;
+      const tabular = row.cells.length > 1 && this.isTableRow(row, rows[index + 1], previous, bodyHeight);
+
+      if (tabular) {
+        paragraph = null;
+        if (!table) {
+          table = { type: 'table', rows: [] };
+          blocks.push(table);
+        }
+        table.rows.push(row.cells.map((cell) => cell.text));
+        return;
+      }
+      table = null;
+
+      const text = row.cells.map((cell) => cell.text).join(' ');
+      const level = this.headingLevel(row, text, gap, bodyHeight);
+      if (level) {
+        paragraph = null;
+        blocks.push({ type: 'heading', level, text });
+        return;
+      }
+
+      if (!paragraph || gap > bodyHeight * 1.2) {
+        paragraph = { type: 'paragraph', lines: [] };
+        blocks.push(paragraph);
+      }
+      paragraph.lines.push(text);
+    });
+
+    return blocks.map((block) => (block.type === 'paragraph' ? { type: 'paragraph', text: block.lines.join('\n') } : block));
+  }
+
+  /**
+   * A row with several separated cells is tabular when a neighbouring row also has several cells.
+   */
+  static isTableRow(row, next, previous, bodyHeight) {
+    const separated = (candidate) =>
+      candidate &&
+      candidate.cells.length > 1 &&
+      candidate.cells.slice(1).every((cell, idx) => cell.x0 - candidate.cells[idx].x1 > bodyHeight);
+    return separated(row) && (separated(next) || separated(previous));
+  }
+
+  static headingLevel(row, text, gap, bodyHeight) {
+    if (text.length > MAX_HEADING_CHARS || /[.,;]$/.test(text)) return null;
+
+    const height = Math.max(...row.cells.map((cell) => cell.height));
+    const bySize = HEADING_RATIOS.find(({ ratio }) => height / bodyHeight >= ratio);
+    if (bySize) return bySize.level;
+
+    // Body-sized numbered or all-caps lines count when they stand apart from the text above.
+    return gap > bodyHeight * 1.5 && TextChunker.isHeading(text) ? 3 : null;
+  }
+}
+
+function isBox(box) {
+  return Array.isArray(box) && box.length === 4 && box.every((value) => Number.isFinite(value)) && box[3] > box[1];
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+module.exports = LayoutAnalyzer;
@@ -0,0 +1,145 @@
+/**
+ * Long-lived PaddleOCR process running `ocr.py --worker`.
+ * Requests and replies are exchanged as JSON lines so the model is loaded once per worker.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+class PythonOCRWorker {
+  constructor({ pythonPath = defaultPythonPath(), scriptPath = path.join(ROOT_DIR, 'ocr.py'), startTimeoutMs = 120000, pageTimeoutMs = 120000 } = {}) {
+    this.pythonPath = pythonPath;
+    this.scriptPath = scriptPath;
+    this.startTimeoutMs = startTimeoutMs;
+    this.pageTimeoutMs = pageTimeoutMs;
+    this.pending = new Map();
+    this.nextId = 1;
+    this.child = null;
+    this.alive = false;
+  }
+
+  /**
+   * Spawn the process and wait for its ready line; rejects if Python or PaddleOCR is missing.
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (error) {
+          this.terminate();
+          reject(error);
+        } else {
+          this.alive = true;
+          resolve(this);
+        }
+      };
+
+      const timer = setTimeout(() => settle(new Error('OCR worker did not start in time')), this.startTimeoutMs);
+
+      this.child = spawn(this.pythonPath, [this.scriptPath, '--worker'], { stdio: ['pipe', 'pipe', 'pipe'] });
+      this.child.on('error', (error) => settle(new Error(`Cannot start ${this.pythonPath}: ${error.message}`)));
+      this.child.stderr.on('data', () => {});
+      // Writing to a worker that has died fails with EPIPE; without a listener that would
+      // surface as an unhandled 'error' event.
+      this.child.stdin.on('error', (error) => {
+        this.alive = false;
+        settle(new Error(`OCR worker input closed: ${error.message}`));
+        this.failPending(new Error(`OCR worker input closed: ${error.message}`));
+      });
+      this.child.on('exit', (code) => {
+        this.alive = false;
+        settle(new Error(`OCR worker exited with code ${code}`));
+        this.failPending(new Error(`OCR worker exited with code ${code}`));
+      });
+
+      readline.createInterface({ input: this.child.stdout }).on('line', (line) => {
+        const message = parseLine(line);
+        if (!message) return;
+
+        if (message.ready) {
+          settle();
+          return;
+        }
+        if (message.id === undefined) {
+          if (message.error) settle(new Error(message.error));
+          return;
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        this.pending.delete(message.id);
+        clearTimeout(request.timer);
+
+        if (message.error) {
+          request.reject(new Error(message.error));
+        } else {
+          request.resolve({
+            text: message.ocr_text || '',
+            confidence: Number(message.confidence) || 0,
+            lines: (message.lines || []).map((line) => ({ text: line.text, confidence: Number(line.score) || 0, box: line.box })),
+          });
+        }
+      });
+    });
+  }
+
+  recognize(imagePath) {
+    if (!this.alive) {
+      return Promise.reject(new Error('OCR worker is not running'));
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`OCR timed out on ${path.basename(imagePath)}`));
+      }, this.pageTimeoutMs);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.child.stdin.write(`${JSON.stringify({ id, image: imagePath })}\n`);
+    });
+  }
+
+  failPending(error) {
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.pending.clear();
+  }
+
+  async terminate() {
+    this.alive = false;
+    if (this.child && this.child.exitCode === null) {
+      this.child.stdin.end();
+      this.child.kill();
+    }
+  }
+}
+
+function defaultPythonPath() {
+  const venvPython = process.platform === 'win32'
+    ? path.join(ROOT_DIR, 'ocr_env', 'Scripts', 'python.exe')
+    : path.join(ROOT_DIR, 'ocr_env', 'bin', 'python');
+
+  if (fs.existsSync(venvPython)) return venvPython;
+  return process.platform === 'win32' ? 'python' : 'python3';
+}
+
+function parseLine(line) {
+  if (!line.startsWith('{')) return null;
+  try {
+    return JSON.parse(line);
+  } catch (_error) {
+    return null;
+  }
+}
+
+module.exports = PythonOCRWorker;
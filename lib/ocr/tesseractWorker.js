@@ -0,0 +1,90 @@
+/**
+ * In-process OCR through tesseract.js (optional dependency, loaded on demand).
+ * Language data is looked up in this order: `langPath` (a directory holding
+ * `<lang>.traineddata` or `<lang>.traineddata.gz`), the `@tesseract.js-data/<lang>` npm package
+ * (English is installed as an optional dependency), and finally tesseract.js's own download
+ * from the jsDelivr CDN, cached in `cachePath` (default: a directory under the system temp dir).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+class TesseractOCRWorker {
+  constructor({ lang = 'eng', langPath = null, cachePath = null } = {}) {
+    this.lang = lang;
+    this.langPath = langPath;
+    this.cachePath = cachePath;
+    this.worker = null;
+    this.alive = false;
+  }
+
+  async start() {
+    let tesseract;
+    try {
+      tesseract = require('tesseract.js');
+    } catch (_error) {
+      throw new Error('tesseract.js is not installed');
+    }
+
+    const options = {};
+    const langPath = this.langPath || bundledLangPath(this.lang);
+    if (langPath) {
+      // Local data is read directly; caching would only copy it into the working directory.
+      options.langPath = langPath;
+      options.cacheMethod = 'none';
+      options.gzip = !this.lang.split('+').every((code) => fs.existsSync(path.join(langPath, `${code}.traineddata`)));
+    } else {
+      options.cachePath = this.cachePath || path.join(os.tmpdir(), 'tesseract.js-cache');
+    }
+
+    this.worker = await tesseract.createWorker(this.lang, undefined, options);
+    this.alive = true;
+    return this;
+  }
+
+  async recognize(imagePath) {
+    if (!this.alive) {
+      throw new Error('OCR worker is not running');
+    }
+    const { data } = await this.worker.recognize(imagePath, {}, { text: true, blocks: true });
+    return {
+      text: (data.text || '').trim(),
+      confidence: (Number(data.confidence) || 0) / 100,
+      lines: collectLines(data).map((line) => ({
+        text: (line.text || '').trim(),
+        confidence: (Number(line.confidence) || 0) / 100,
+        box: [line.bbox.x0, line.bbox.y0, line.bbox.x1, line.bbox.y1],
+      })),
+    };
+  }
+
+  async terminate() {
+    this.alive = false;
+    if (this.worker) {
+      await this.worker.terminate().catch(() => {});
+      this.worker = null;
+    }
+  }
+}
+
+/**
+ * Directory of the `@tesseract.js-data/<lang>` package, when it is installed. tesseract.js takes
+ * a single directory, so combined languages (`eng+fra`) need OCR_LANG_PATH.
+ */
+function bundledLangPath(lang) {
+  if (lang.includes('+')) return null;
+  try {
+    return require(`@tesseract.js-data/${lang}`).langPath;
+  } catch (_error) {
+    return null;
+  }
+}
+
+// Older tesseract.js versions expose `data.lines`; newer ones only nest them under `blocks`.
+function collectLines(data) {
+  if (Array.isArray(data.lines)) return data.lines;
+  return (data.blocks || []).flatMap((block) => (block.paragraphs || []).flatMap((paragraph) => paragraph.lines || []));
+}
+
+module.exports = TesseractOCRWorker;
@@ -0,0 +1,177 @@
+/**
+ * Fixed-size pool of OCR workers shared by every upload.
+ * The first engine that starts successfully is used; when none does, `recognize` resolves
+ * with `engine: null` so callers can keep the PDF text layer instead of failing.
+ */
+
+class OCRWorkerPool {
+  /**
+   * `engines` is an ordered list of `{ name, create }`, where `create()` returns an unstarted worker
+   * exposing `start()`, `recognize(imagePath)` -> `{ text, confidence, lines }`, `terminate()` and `alive`.
+   * `lines` are `{ text, confidence, box: [x0, y0, x1, y1] }` in image pixels.
+   */
+  constructor(engines, { size = 2, idleMs = 60000, retryMs = 5 * 60 * 1000 } = {}) {
+    this.engines = engines;
+    this.size = Math.max(1, size);
+    this.idleMs = idleMs;
+    this.retryMs = retryMs;
+    this.engine = null;
+    this.idle = [];
+    this.waiters = [];
+    this.count = 0;
+    this.active = 0;
+    this.idleTimer = null;
+    this.unavailable = null;
+    this.resolving = null;
+  }
+
+  /**
+   * OCR every image with up to `size` workers in parallel. Pages keep their input order;
+   * a page that fails carries `error` and empty text rather than failing the whole document.
+   */
+  async recognize(images, { onPage = () => {} } = {}) {
+    const engine = await this.resolveEngine();
+    if (!engine) {
+      return { engine: null, pages: [], error: this.unavailable.reason };
+    }
+
+    this.active++;
+    clearTimeout(this.idleTimer);
+
+    const pages = new Array(images.length);
+    let next = 0;
+    let completed = 0;
+
+    const runLoop = async () => {
+      let worker = await this.acquire();
+      try {
+        while (next < images.length) {
+          const index = next++;
+          try {
+            const { text, confidence, lines = [] } = await worker.recognize(images[index]);
+            pages[index] = { page: index + 1, text, confidence, lines };
+          } catch (error) {
+            pages[index] = { page: index + 1, text: '', confidence: 0, lines: [], error: error.message };
+            if (!worker.alive) {
+              // Replace the crashed worker; null first so `finally` skips it if respawning fails.
+              this.release(worker);
+              worker = null;
+              worker = await this.acquire();
+            }
+          }
+          onPage(++completed, images.length);
+        }
+      } finally {
+        if (worker) this.release(worker);
+      }
+    };
+
+    try {
+      const loops = Array.from({ length: Math.min(this.size, images.length) }, runLoop);
+      const results = await Promise.allSettled(loops);
+      const failure = results.find((result) => result.status === 'rejected');
+
+      for (let index = 0; index < images.length; index++) {
+        if (!pages[index]) {
+          pages[index] = { page: index + 1, text: '', confidence: 0, lines: [], error: failure?.reason?.message || 'OCR worker unavailable' };
+        }
+      }
+    } finally {
+      this.active--;
+      this.scheduleIdleShutdown();
+    }
+
+    return { engine: engine.name, pages };
+  }
+
+  /**
+   * Start the first available engine. A failed probe is remembered for `retryMs`
+   * so uploads do not each pay for a missing Python install.
+   */
+  async resolveEngine() {
+    if (this.engine) return this.engine;
+    if (this.unavailable && Date.now() < this.unavailable.until) return null;
+    if (this.resolving) return this.resolving;
+
+    this.resolving = (async () => {
+      const reasons = [];
+      for (const engine of this.engines) {
+        try {
+          const worker = await engine.create().start();
+          this.engine = engine;
+          this.unavailable = null;
+          this.count++;
+          this.idle.push(worker);
+          console.log(`[ocr] Using ${engine.name} engine`);
+          return engine;
+        } catch (error) {
+          reasons.push(`${engine.name}: ${error.message}`);
+        }
+      }
+
+      const reason = reasons.length ? reasons.join('; ') : 'no OCR engine configured';
+      this.unavailable = { reason, until: Date.now() + this.retryMs };
+      console.warn(`[ocr] No OCR engine available (${reason})`);
+      return null;
+    })();
+
+    try {
+      return await this.resolving;
+    } finally {
+      this.resolving = null;
+    }
+  }
+
+  async acquire() {
+    const worker = this.idle.pop();
+    if (worker) return worker;
+
+    if (this.count < this.size) {
+      this.count++;
+      try {
+        return await this.engine.create().start();
+      } catch (error) {
+        this.count--;
+        throw error;
+      }
+    }
+
+    return new Promise((resolve) => this.waiters.push(resolve));
+  }
+
+  release(worker) {
+    if (!worker.alive) {
+      this.count--;
+      worker.terminate().catch(() => {});
+      const waiter = this.waiters.shift();
+      if (waiter) waiter(this.acquire());
+      return;
+    }
+
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter(worker);
+    } else {
+      this.idle.push(worker);
+    }
+  }
+
+  scheduleIdleShutdown() {
+    if (this.active > 0 || !this.idleMs) return;
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.close(), this.idleMs);
+    this.idleTimer.unref();
+  }
+
+  /**
+   * Stop idle workers. The engine choice is kept; workers are started again on the next upload.
+   */
+  async close() {
+    clearTimeout(this.idleTimer);
+    const workers = this.idle.splice(0);
+    this.count -= workers.length;
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+}
+
+module.exports = OCRWorkerPool;
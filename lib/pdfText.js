@@ -0,0 +1,70 @@
+/**
+ * Per-page PDF text extraction and a quick quality check that decides which pages need OCR.
+ */
+
+const pdfParse = require('pdf-parse');
+
+const MIN_PAGE_CHARS = 40;
+const MIN_WORD_CHAR_RATIO = 0.6;
+const MAX_JUNK_RATIO = 0.05;
+const MAX_SINGLE_LETTER_RATIO = 0.5;
+
+/**
+ * Returns `{ numpages, pages }` where `pages[i]` is the text layer of page i + 1.
+ */
+async function extractPages(buffer) {
+  const pages = [];
+  const data = await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const text = await renderPageText(pageData);
+      pages[pageData.pageIndex] = text;
+      return text;
+    },
+  });
+
+  for (let index = 0; index < data.numpages; index++) {
+    if (pages[index] === undefined) pages[index] = '';
+  }
+
+  return { numpages: data.numpages, pages };
+}
+
+// Same line grouping as pdf-parse's default renderer: a new line whenever the baseline moves.
+async function renderPageText(pageData) {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+/**
+ * Decide whether a page's text layer is usable. Returns `{ weak, reason }` where reason is
+ * `empty`, `sparse` (too little text, e.g. a scanned page with a running header) or `garbled`
+ * (broken font encodings, or text split into single letters).
+ */
+function assessPage(text) {
+  const compact = (text || '').replace(/\s+/g, '');
+  if (!compact.length) return { weak: true, reason: 'empty' };
+  if (compact.length < MIN_PAGE_CHARS) return { weak: true, reason: 'sparse' };
+
+  const wordChars = (compact.match(/[\p{L}\p{N}]/gu) || []).length;
+  const junk = (compact.match(/[\uFFFD\uE000-\uF8FF\u0000-\u001F]/g) || []).length;
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const singleLetters = tokens.filter((token) => /^\p{L}$/u.test(token)).length;
+
+  if (
+    wordChars / compact.length < MIN_WORD_CHAR_RATIO ||
+    junk / compact.length > MAX_JUNK_RATIO ||
+    (tokens.length >= 10 && singleLetters / tokens.length > MAX_SINGLE_LETTER_RATIO)
+  ) {
+    return { weak: true, reason: 'garbled' };
+  }
+
+  return { weak: false, reason: null };
+}
+
+module.exports = { extractPages, assessPage };
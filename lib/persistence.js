@@ -1,12 +1,15 @@
 /**
- * File-based persistence for generated graphs.
+ * File-based persistence for generated graphs. Emits `saved` ({ filename, graph }) and
+ * `deleted` ({ filename }) so in-process indexes can follow the files.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const EventEmitter = require('events');
 
-class GraphPersistence {
+class GraphPersistence extends EventEmitter {
   constructor(dataDir = path.join(__dirname, '..', 'data', 'graphs')) {
+    super();
     this.dataDir = dataDir;
   }
 
@@ -51,6 +54,7 @@ class GraphPersistence {
       const fallbackFilename = `graph-${Date.now()}.json`;
       const fallbackPath = path.join(this.dataDir, fallbackFilename);
       await fs.writeFile(fallbackPath, JSON.stringify(fullData, null, 2));
+      this.emit('saved', { filename: fallbackFilename, graph: fullData });
       return {
         success: true,
         filepath: fallbackPath,
@@ -59,6 +63,7 @@ class GraphPersistence {
       };
     }
 
+    this.emit('saved', { filename, graph: fullData });
     return {
       success: true,
       filepath,
@@ -72,13 +77,20 @@ class GraphPersistence {
     return JSON.parse(data);
   }
 
-  async listGraphs() {
+  /**
+   * Filenames of all saved graphs.
+   */
+  async listFilenames() {
     await this.initializeDirectory();
     const files = await fs.readdir(this.dataDir);
+    return files.filter((f) => f.startsWith('graph-') && f.endsWith('.json'));
+  }
+
+  async listGraphs() {
+    const files = await this.listFilenames();
 
     const graphs = await Promise.all(
       files
-        .filter((f) => f.startsWith('graph-') && f.endsWith('.json'))
         .map(async (filename) => {
           try {
             const data = await this.loadGraph(filename);
@@ -88,6 +100,7 @@ class GraphPersistence {
               timestamp: data.timestamp,
               concepts: data.metadata?.totalConcepts || 0,
               edges: data.metadata?.totalEdges || 0,
+              prompt: data.persistenceMetadata?.prompt || null,
             };
           } catch (_error) {
             return null;
@@ -101,6 +114,7 @@ class GraphPersistence {
   async deleteGraph(filename) {
     const filepath = path.join(this.dataDir, filename);
     await fs.unlink(filepath);
+    this.emit('deleted', { filename });
     return { success: true, message: `Deleted ${filename}` };
   }
 
@@ -0,0 +1,132 @@
+/**
+ * Versioned prompt templates. Each template lives in lib/prompts/<id>/v<version>.json as
+ * `{ description, messages: [{ role, content }], followUps?: { name: { role, content } } }`
+ * with `{{variable}}` placeholders. Published versions are never edited: a changed prompt is
+ * a new file, so old outputs can be reproduced and versions compared side by side.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+const VERSION_FILE = /^v(\d+)\.json$/;
+
+class PromptRegistry {
+  /**
+   * `defaults` pins the version used when a request names none (`{ blueprint: 2 }`); otherwise
+   * the latest version is used.
+   */
+  constructor({ dir = path.join(__dirname, 'prompts'), defaults = {} } = {}) {
+    this.templates = new Map();
+    this.load(dir);
+
+    this.defaults = {};
+    Object.entries(defaults).forEach(([id, version]) => {
+      const problem = this.validateVersion(id, version);
+      if (problem) throw new Error(`Invalid default prompt version: ${problem}`);
+      this.defaults[id] = Number(version);
+    });
+  }
+
+  load(dir) {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .forEach(({ name: id }) => {
+        const versions = new Map();
+        fs.readdirSync(path.join(dir, id)).forEach((file) => {
+          const match = VERSION_FILE.exec(file);
+          if (!match) return;
+          const template = JSON.parse(fs.readFileSync(path.join(dir, id, file), 'utf8'));
+          if (!Array.isArray(template.messages) || !template.messages.length) {
+            throw new Error(`Prompt template ${id}/${file} has no messages`);
+          }
+          versions.set(Number(match[1]), { id, version: Number(match[1]), ...template });
+        });
+        if (versions.size) this.templates.set(id, versions);
+      });
+  }
+
+  /**
+   * Error message for a requested `promptVersion`, or null.
+   */
+  validateVersion(id, version) {
+    if (version === undefined || version === null) return null;
+    if (!['number', 'string'].includes(typeof version)) return 'promptVersion must be a version number';
+    const versions = this.templates.get(id);
+    if (!versions) return `Unknown prompt template: ${id}`;
+    if (!versions.has(Number(version))) {
+      return `promptVersion for ${id} must be one of: ${Array.from(versions.keys()).join(', ')}`;
+    }
+    return null;
+  }
+
+  get(id, version = null) {
+    const versions = this.templates.get(id);
+    if (!versions) throw new Error(`Unknown prompt template: ${id}`);
+    const selected = version ?? this.defaults[id] ?? Math.max(...versions.keys());
+    const template = versions.get(Number(selected));
+    if (!template) throw new Error(`Unknown prompt version: ${id}@${selected}`);
+    return template;
+  }
+
+  /**
+   * Fill in a template. Returns `{ messages, followUps, prompt: { id, version } }`; `prompt`
+   * is what responses and saved graphs record. Every placeholder must have a variable.
+   */
+  render(id, variables, { version = null } = {}) {
+    const template = this.get(id, version);
+    const fill = (message, values) => ({ role: message.role, content: substitute(message.content, values, template) });
+    // Follow-ups are sent later in the conversation, with their own variables.
+    const followUps = {};
+    Object.entries(template.followUps || {}).forEach(([name, message]) => {
+      followUps[name] = (values) => fill(message, values);
+    });
+
+    return {
+      messages: template.messages.map((message) => fill(message, variables)),
+      followUps,
+      prompt: { id: template.id, version: template.version },
+    };
+  }
+
+  /**
+   * Every template with its versions and the one used by default.
+   */
+  list() {
+    return Array.from(this.templates.entries()).map(([id, versions]) => ({
+      id,
+      versions: Array.from(versions.values())
+        .sort((a, b) => a.version - b.version)
+        .map(({ version, description }) => ({ version, description })),
+      defaultVersion: this.get(id).version,
+    }));
+  }
+}
+
+function substitute(content, variables, template) {
+  return content.replace(PLACEHOLDER, (_match, name) => {
+    if (!(name in variables)) {
+      throw new Error(`Prompt ${template.id}@${template.version} needs the variable "${name}"`);
+    }
+    return String(variables[name]);
+  });
+}
+
+/**
+ * Parse `PROMPT_VERSIONS` (`blueprint=2,narrative=1`) into registry defaults.
+ */
+function parsePromptVersions(value) {
+  const defaults = {};
+  String(value || '')
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [id, version] = pair.split('=').map((part) => part.trim());
+      if (!id || !version) throw new Error(`PROMPT_VERSIONS entries must look like id=version, got "${pair}"`);
+      defaults[id] = version;
+    });
+  return defaults;
+}
+
+module.exports = { PromptRegistry, parsePromptVersions };
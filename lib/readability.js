@@ -0,0 +1,108 @@
+/**
+ * Readability metrics for generated blueprint text: Flesch-Kincaid grade level and Flesch
+ * reading ease, with a heuristic syllable counter (English only).
+ */
+
+// Texts shorter than this are too noisy to grade on their own; they still count in the total.
+const MIN_GRADED_WORDS = 12;
+const MAX_REPORTED_ITEMS = 10;
+// Descriptions may exceed the target by this many grades before they are reported.
+const GRADE_TOLERANCE = 1.5;
+
+class Readability {
+  static analyze(text) {
+    const words = (String(text || '').match(/[A-Za-z][A-Za-z'-]*|\d+/g) || []);
+    if (!words.length) return { words: 0, sentences: 0, syllables: 0, grade: null, readingEase: null };
+
+    const sentences = Math.max(1, (String(text).match(/[.!?]+(?=\s|$)/g) || []).length);
+    const syllables = words.reduce((sum, word) => sum + this.syllables(word), 0);
+    return {
+      words: words.length,
+      sentences,
+      syllables,
+      ...this.scores(words.length, sentences, syllables),
+    };
+  }
+
+  static scores(words, sentences, syllables) {
+    const wordsPerSentence = words / sentences;
+    const syllablesPerWord = syllables / words;
+    return {
+      grade: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+      readingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+    };
+  }
+
+  static syllables(word) {
+    let normalized = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (!normalized) return 1;
+    if (normalized.length <= 3) return 1;
+    normalized = normalized.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, (ending) => ending[0]).replace(/^y/, '');
+    const groups = normalized.match(/[aeiouy]{1,2}/g);
+    return Math.max(1, groups ? groups.length : 1);
+  }
+
+  /**
+   * Grade the prose of a blueprint (level overviews, quest and vocabulary descriptions,
+   * assessment success conditions). With a `targetGrade`, descriptions noticeably above it are
+   * listed in `tooComplex` by path.
+   */
+  static assessBlueprint(structured, targetGrade = null) {
+    const texts = this.blueprintTexts(structured);
+    const overall = this.combine(texts.map(({ stats }) => stats));
+    const report = { metric: 'flesch-kincaid', grade: overall.grade, readingEase: overall.readingEase, words: overall.words };
+
+    if (targetGrade !== null && targetGrade !== undefined) {
+      const tooComplex = texts
+        .filter(({ stats }) => stats.words >= MIN_GRADED_WORDS && this.exceeds(stats.grade, targetGrade))
+        .sort((a, b) => b.stats.grade - a.stats.grade);
+      Object.assign(report, {
+        targetGrade,
+        withinTarget: !this.exceeds(overall.grade, targetGrade),
+        tooComplex: tooComplex.slice(0, MAX_REPORTED_ITEMS).map(({ path, stats }) => ({ path, grade: stats.grade })),
+      });
+    }
+
+    return report;
+  }
+
+  static exceeds(grade, targetGrade) {
+    return grade !== null && grade > targetGrade + GRADE_TOLERANCE;
+  }
+
+  /**
+   * Scores of several texts read as one (so short descriptions still count).
+   */
+  static combine(statsList) {
+    const totals = statsList.reduce((sum, stats) => ({
+      words: sum.words + stats.words,
+      sentences: sum.sentences + stats.sentences,
+      syllables: sum.syllables + stats.syllables,
+    }), { words: 0, sentences: 0, syllables: 0 });
+
+    if (!totals.words) return { ...totals, grade: null, readingEase: null };
+    return { ...totals, ...this.scores(totals.words, totals.sentences, totals.syllables) };
+  }
+
+  static blueprintTexts(structured) {
+    const texts = [];
+    const add = (path, text) => {
+      if (typeof text === 'string' && text.trim()) texts.push({ path, stats: this.analyze(text) });
+    };
+    const asArray = (value) => (Array.isArray(value) ? value : []);
+
+    asArray(structured?.levels).forEach((level, i) => {
+      add(`levels[${i}].overview`, level?.overview);
+      asArray(level?.quests).forEach((quest, j) => add(`levels[${i}].quests[${j}].description`, quest?.description));
+    });
+    asArray(structured?.vocabulary).forEach((entry, i) => add(`vocabulary[${i}].description`, entry?.description));
+    asArray(structured?.assessments).forEach((entry, i) => add(`assessments[${i}].success_condition`, entry?.success_condition));
+    return texts;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = Readability;
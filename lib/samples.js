@@ -0,0 +1,70 @@
+/**
+ * Mock blueprint and narrative returned when no LLM key is configured.
+ */
+
+const sampleStructure = {
+  levels: [
+    {
+      name: 'Chapter 1 - Cell Biology',
+      overview: 'Explore the microscopic city inside every cell.',
+      quests: [
+        {
+          title: 'Understanding Organelles',
+          description: 'Meet the mitochondria, ribosomes, and nucleus to learn how they keep the cell alive.',
+          items: ['Ribosome', 'Mitochondria'],
+          abilities: ['Cell Division Spell'],
+          dependencies: [],
+        },
+      ],
+    },
+    {
+      name: 'Chapter 2 - Energy Flow',
+      overview: 'Track how glucose becomes ATP power.',
+      quests: [
+        {
+          title: 'Photosynthesis Primer',
+          description: 'Travel to the chloroplast forest to activate the light reactions.',
+          items: ['Photon Cape'],
+          abilities: ['Chlorophyll Burst'],
+          dependencies: ['Understanding Organelles'],
+        },
+      ],
+    },
+  ],
+  vocabulary: [
+    { term: 'Mitochondria', type: 'item', description: 'Power-core that boosts stamina and understanding of ATP.' },
+    { term: 'Chlorophyll', type: 'skill', description: 'Lets you sense light puzzles throughout the map.' },
+  ],
+};
+
+const sampleNarrative = {
+  introduction:
+    'Welcome to Cytopolis, a living city formed inside a single cell. As the Apprentice Biologist, your job is to stabilize the cell before it divides.',
+  regions: [
+    {
+      name: 'Nucleus Plaza',
+      npc: 'Archivist Helix',
+      questHook: 'Recover the transcription scrolls to unlock advanced gene abilities.',
+    },
+    {
+      name: 'Mitochondria Forge',
+      npc: 'Engineer ATP-42',
+      questHook: 'Charge three ATP cores by solving energy puzzles.',
+    },
+  ],
+  encounters: [
+    {
+      name: 'Misconception Shade',
+      mechanic: 'Multiple-choice riddle comparing chloroplasts and mitochondria.',
+      reward: 'Blueprint for the Electron Transport skill.',
+    },
+  ],
+  rewards: [
+    {
+      name: 'Concept Compass',
+      benefit: 'Highlights missing quests linked to prerequisite knowledge.',
+    },
+  ],
+};
+
+module.exports = { sampleStructure, sampleNarrative };
@@ -0,0 +1,306 @@
+/**
+ * Validates LLM output against the JSON schemas in lib/schemas and repairs what it can.
+ * Supports the draft-07 subset the schemas use (type, required, properties, items,
+ * minItems, minLength, default) plus `x-aliases` for renamed properties.
+ */
+
+const blueprintSchema = require('./schemas/blueprint.schema.json');
+const narrativeSchema = require('./schemas/narrative.schema.json');
+
+const SCHEMAS = {
+  blueprint: blueprintSchema,
+  narrative: narrativeSchema,
+};
+
+const MAX_REPORTED_ERRORS = 20;
+
+class SchemaValidator {
+  static getSchema(name) {
+    const schema = SCHEMAS[name];
+    if (!schema) {
+      throw new Error(`Unknown schema: ${name}`);
+    }
+    return schema;
+  }
+
+  /**
+   * Check a value without modifying it. Returns `{ valid, errors: [{ path, message }] }`.
+   */
+  static validate(value, schema) {
+    const errors = [];
+    this.walk(value, this.resolve(schema), '', { coerce: false, errors, fixes: [] });
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Coerce recoverable problems (wrong scalar types, comma-separated lists, renamed keys,
+   * missing optional fields). With `dropInvalid`, array entries that still violate the
+   * schema are removed. Returns `{ value, fixes, errors }`; `errors` are what could not be repaired.
+   */
+  static repair(value, schema, { dropInvalid = false } = {}) {
+    const errors = [];
+    const fixes = [];
+    const repaired = this.walk(clone(value), this.resolve(schema), '', { coerce: true, dropInvalid, errors, fixes });
+    return { value: repaired, fixes, errors };
+  }
+
+  /**
+   * Repair a parsed model response; if problems remain, re-prompt the model once with the
+   * violations, then drop whatever is still invalid. Remaining problems are returned as warnings.
+   */
+  static async repairWithModel(value, schema, { llmClient, messages, content, retry = { maxRetries: 1 }, cache = true }) {
+    const resolved = this.resolve(schema);
+    let result = this.repair(value, resolved);
+    let usage = null;
+    let reprompted = false;
+
+    if (result.errors.length && llmClient && messages) {
+      reprompted = true;
+      try {
+        const response = await llmClient.complete(
+          [
+            ...messages,
+            { role: 'assistant', content: content ?? JSON.stringify(value) },
+            { role: 'user', content: this.describeViolations(result.errors) },
+          ],
+          { responseFormat: 'json_object', retry, cache }
+        );
+        usage = response.usage ?? null;
+
+        const corrected = parseJSON(response.content);
+        if (corrected) {
+          const retried = this.repair(corrected, resolved);
+          if (retried.errors.length < result.errors.length) {
+            result = retried;
+          }
+        }
+      } catch (error) {
+        console.warn('[schema] Re-prompt for schema violations failed:', error.message);
+      }
+    }
+
+    const final = result.errors.length ? this.repair(result.value, resolved, { dropInvalid: true }) : result;
+
+    return {
+      value: final.value,
+      fixes: result.fixes,
+      errors: result.errors,
+      reprompted,
+      usage,
+      warnings: this.toWarnings(result.errors),
+    };
+  }
+
+  static describeViolations(errors) {
+    const lines = errors.slice(0, MAX_REPORTED_ERRORS).map((error) => `- ${error.path || '(root)'}: ${error.message}`);
+    return `The JSON you returned does not match the required schema:\n${lines.join('\n')}\nReturn the full corrected JSON object only.`;
+  }
+
+  static toWarnings(errors) {
+    return errors
+      .slice(0, MAX_REPORTED_ERRORS)
+      .map((error) => `SCHEMA_VIOLATION: ${error.path || '(root)'} ${error.message}`);
+  }
+
+  static resolve(schema) {
+    return typeof schema === 'string' ? this.getSchema(schema) : schema;
+  }
+
+  static walk(value, schema, path, ctx) {
+    if (!schema) return value;
+
+    if (value === undefined || value === null) {
+      if (ctx.coerce && 'default' in schema) {
+        ctx.fixes.push({ path, message: 'filled with default' });
+        return clone(schema.default);
+      }
+      return value;
+    }
+
+    const coerced = ctx.coerce ? this.coerceType(value, schema, path, ctx) : value;
+
+    if (!this.matchesType(coerced, schema.type)) {
+      if (ctx.dropInvalid && 'default' in schema) {
+        ctx.fixes.push({ path, message: 'replaced invalid value with default' });
+        return clone(schema.default);
+      }
+      ctx.errors.push({ path, message: `must be ${schema.type}, got ${describeType(coerced)}` });
+      return coerced;
+    }
+
+    if (schema.type === 'string' && schema.minLength && coerced.trim().length < schema.minLength) {
+      ctx.errors.push({ path, message: 'must not be empty' });
+    }
+
+    if (schema.type === 'object') {
+      return this.walkObject(coerced, schema, path, ctx);
+    }
+
+    if (schema.type === 'array') {
+      return this.walkArray(coerced, schema, path, ctx);
+    }
+
+    return coerced;
+  }
+
+  static walkObject(value, schema, path, ctx) {
+    const properties = schema.properties || {};
+    const result = ctx.coerce ? { ...value } : value;
+
+    Object.entries(properties).forEach(([key, propSchema]) => {
+      const propPath = joinPath(path, key);
+
+      if (ctx.coerce && result[key] === undefined) {
+        const alias = (propSchema['x-aliases'] || []).find((name) => result[name] !== undefined);
+        if (alias) {
+          result[key] = result[alias];
+          delete result[alias];
+          ctx.fixes.push({ path: propPath, message: `renamed from "${alias}"` });
+        }
+      }
+
+      if (result[key] === undefined && (schema.required || []).includes(key)) {
+        if (ctx.coerce && 'default' in propSchema) {
+          result[key] = clone(propSchema.default);
+          ctx.fixes.push({ path: propPath, message: 'filled with default' });
+          return;
+        }
+        ctx.errors.push({ path: propPath, message: 'is required' });
+        return;
+      }
+
+      if (result[key] === undefined && !(ctx.coerce && 'default' in propSchema)) return;
+
+      const walked = this.walk(result[key], propSchema, propPath, ctx);
+      if (ctx.coerce) result[key] = walked;
+    });
+
+    return result;
+  }
+
+  static walkArray(value, schema, path, ctx) {
+    let result = value;
+
+    if (schema.items) {
+      result = [];
+      value.forEach((item, idx) => {
+        const before = ctx.errors.length;
+        const walked = this.walk(item, schema.items, `${path}[${idx}]`, ctx);
+
+        if (ctx.dropInvalid && ctx.errors.length > before) {
+          // The entry is gone, so its violations no longer count against the parent.
+          ctx.errors.splice(before);
+          ctx.fixes.push({ path: `${path}[${idx}]`, message: 'removed invalid entry' });
+          return;
+        }
+        result.push(ctx.coerce ? walked : item);
+      });
+      if (!ctx.coerce) result = value;
+    }
+
+    if (schema.minItems && result.length < schema.minItems) {
+      ctx.errors.push({ path, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+
+    return result;
+  }
+
+  static coerceType(value, schema, path, ctx) {
+    const fix = (next, message) => {
+      ctx.fixes.push({ path, message });
+      return next;
+    };
+
+    switch (schema.type) {
+      case 'string':
+        if (typeof value === 'number' || typeof value === 'boolean') {
+          return fix(String(value), `converted ${typeof value} to string`);
+        }
+        if (Array.isArray(value) && value.every((v) => typeof v !== 'object')) {
+          return fix(value.join(', '), 'joined array into string');
+        }
+        if (isPlainObject(value)) {
+          const label = ['name', 'title', 'term'].map((key) => value[key]).find((v) => typeof v === 'string');
+          if (label) return fix(label, 'used object label as string');
+        }
+        return value;
+      case 'number':
+      case 'integer':
+        if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+          return fix(Number(value), 'converted string to number');
+        }
+        return value;
+      case 'array':
+        if (typeof value === 'string') {
+          const parsed = value.trim().startsWith('[') ? parseJSON(value) : null;
+          if (Array.isArray(parsed)) {
+            return fix(parsed, 'parsed JSON array from string');
+          }
+          if (schema.items?.type === 'string') {
+            return fix(
+              value.split(/[,;\n]/).map((part) => part.trim()).filter(Boolean),
+              'split comma-separated string into array'
+            );
+          }
+          return value;
+        }
+        if (isPlainObject(value)) {
+          return fix([value], 'wrapped single object in array');
+        }
+        return value;
+      case 'object':
+        if (typeof value === 'string' && value.trim().startsWith('{')) {
+          const parsed = parseJSON(value);
+          if (isPlainObject(parsed)) return fix(parsed, 'parsed JSON object from string');
+        }
+        return value;
+      default:
+        return value;
+    }
+  }
+
+  static matchesType(value, type) {
+    switch (type) {
+      case undefined:
+        return true;
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return isPlainObject(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      default:
+        return typeof value === type;
+    }
+  }
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (_error) {
+    return null;
+  }
+}
+
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = SchemaValidator;
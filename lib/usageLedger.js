@@ -0,0 +1,298 @@
+/**
+ * Token usage ledger and daily quotas. Every LLM-backed request appends one line to
+ * data/usage/usage-<YYYY-MM-DD>.jsonl (UTC days) with the user, client address, endpoint, model
+ * and token counts; today's totals per user and per address are kept in memory for quota checks. Tokens served from the
+ * response cache are recorded but do not count towards quotas.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FILE_PATTERN = /^usage-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const DEFAULT_REPORT_DAYS = 7;
+const MAX_REPORT_DAYS = 366;
+const TOKEN_KEYS = ['prompt_tokens', 'completion_tokens', 'total_tokens', 'cache_hits', 'cached_tokens'];
+
+class QuotaExceededError extends Error {
+  /**
+   * `scope` is 'user' when the user's quota is used up, 'address' for the per-address limit.
+   */
+  constructor(message, { userId, scope = 'user', limit, used, resetsAt }) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.code = 'USAGE_QUOTA_EXCEEDED';
+    this.status = 429;
+    Object.assign(this, { userId, scope, limit, used, resetsAt });
+  }
+}
+
+class UsageLedger {
+  /**
+   * `dailyTokenLimit` applies to every user (0: unlimited); `userLimits` overrides it per user.
+   * `ipDailyTokenLimit` caps the tokens of all users together coming from one client address
+   * (0: unlimited), so switching user ids does not get around the quota.
+   */
+  constructor(
+    dataDir = path.join(__dirname, '..', 'data', 'usage'),
+    { dailyTokenLimit = 0, userLimits = {}, ipDailyTokenLimit = 0 } = {},
+  ) {
+    this.dataDir = dataDir;
+    this.dailyTokenLimit = dailyTokenLimit;
+    this.userLimits = userLimits;
+    this.ipDailyTokenLimit = ipDailyTokenLimit;
+    this.today = null;
+    this.totals = new Map();
+    this.ipTotals = new Map();
+  }
+
+  /**
+   * Rebuild today's per-user totals from today's ledger file.
+   */
+  async initialize() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    this.rollOver();
+    const entries = await this.readDay(this.today);
+    entries.forEach((entry) => this.addToTotals(entry));
+    return entries.length;
+  }
+
+  static day(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  rollOver() {
+    const day = UsageLedger.day();
+    if (day !== this.today) {
+      this.today = day;
+      this.totals = new Map();
+      this.ipTotals = new Map();
+    }
+  }
+
+  limitFor(userId) {
+    return Number(this.userLimits[userId] ?? this.dailyTokenLimit) || 0;
+  }
+
+  /**
+   * Today's usage and quota for one user.
+   */
+  status(userId) {
+    this.rollOver();
+    const used = this.totals.get(userId)?.total_tokens ?? 0;
+    const limit = this.limitFor(userId);
+    return {
+      userId,
+      day: this.today,
+      used,
+      requests: this.totals.get(userId)?.requests ?? 0,
+      limit: limit || null,
+      remaining: limit ? Math.max(0, limit - used) : null,
+      resetsAt: nextMidnight().toISOString(),
+    };
+  }
+
+  /**
+   * Throws a QuotaExceededError when the user, or the client address `ip` across all users, has
+   * used up today's tokens. For a request that is already running, `spent` is what it has used
+   * so far (not recorded yet) and `next` an estimate of its next model call; the check then also
+   * fails when that call would take the total past the quota.
+   */
+  assertWithinQuota(userId, ip = null, { spent = 0, next = 0 } = {}) {
+    const { limit, used: recorded, resetsAt } = this.status(userId);
+    const used = recorded + spent;
+    if (exceeds(limit, used, next)) {
+      throw new QuotaExceededError(`Daily token quota of ${limit} reached for ${userId}`, { userId, limit, used, resetsAt });
+    }
+
+    const ipUsed = (this.ipTotals.get(ip)?.total_tokens ?? 0) + spent;
+    if (ip && exceeds(this.ipDailyTokenLimit, ipUsed, next)) {
+      throw new QuotaExceededError(`Daily token quota of ${this.ipDailyTokenLimit} reached for address ${ip}`, {
+        userId, scope: 'address', limit: this.ipDailyTokenLimit, used: ipUsed, resetsAt,
+      });
+    }
+  }
+
+  /**
+   * Quota check for a request making several model calls, run before each call:
+   * `check(usage, next)` is assertWithinQuota with the request's usage so far. The error it
+   * throws carries that `usage`, so the tokens already spent can still be recorded.
+   */
+  guard(userId, ip = null) {
+    return (usage, next = 0) => {
+      try {
+        this.assertWithinQuota(userId, ip, { spent: Number(usage?.total_tokens) || 0, next });
+      } catch (error) {
+        error.usage = { ...usage };
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Record one request. `usage` is the response's OpenAI-style usage (missing for mock data);
+   * `ip` is the client address, if known.
+   */
+  async record({ userId, ip = null, endpoint, model, usage = null, via = null }) {
+    this.rollOver();
+    const entry = { at: new Date().toISOString(), userId, ip, endpoint, model, via };
+    TOKEN_KEYS.forEach((key) => {
+      entry[key] = Number(usage?.[key]) || 0;
+    });
+    this.addToTotals(entry);
+
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      await fs.appendFile(this.filePath(this.today), `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      console.error('[usage] Failed to record usage', error.message);
+    }
+    return entry;
+  }
+
+  /**
+   * Record a service response (its `usage` and `via`).
+   */
+  recordResult({ userId, ip, endpoint, model }, result) {
+    return this.record({ userId, ip, endpoint, model, usage: result?.usage, via: result?.via });
+  }
+
+  addToTotals(entry) {
+    addTotals(this.totals, entry.userId, entry);
+    if (entry.ip) addTotals(this.ipTotals, entry.ip, entry);
+  }
+
+  /**
+   * Error message for a report query (`from`, `to` as YYYY-MM-DD), or null.
+   */
+  validateRange({ from, to }) {
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value !== undefined && (!DAY_PATTERN.test(value) || Number.isNaN(Date.parse(value)))) {
+        return `${name} must be a date (YYYY-MM-DD)`;
+      }
+    }
+    const { days } = resolveRange({ from, to });
+    if (days < 1) return 'from must not be after to';
+    if (days > MAX_REPORT_DAYS) return `Reports cover at most ${MAX_REPORT_DAYS} days`;
+    return null;
+  }
+
+  /**
+   * Totals between `from` and `to` (inclusive, default the last 7 days), optionally for one
+   * user, broken down by user, endpoint, model and day.
+   */
+  async summarize({ from, to, userId } = {}) {
+    const range = resolveRange({ from, to });
+    const summary = { from: range.from, to: range.to, totals: emptyTotals(), byUser: {}, byEndpoint: {}, byModel: {}, byDay: {} };
+    const add = (group, key, entry) => {
+      group[key] = group[key] || emptyTotals();
+      accumulate(group[key], entry);
+    };
+
+    for (const day of await this.daysBetween(range.from, range.to)) {
+      const entries = (await this.readDay(day)).filter((entry) => !userId || entry.userId === userId);
+      entries.forEach((entry) => {
+        accumulate(summary.totals, entry);
+        add(summary.byUser, entry.userId, entry);
+        add(summary.byEndpoint, entry.endpoint, entry);
+        add(summary.byModel, entry.model || 'unknown', entry);
+        add(summary.byDay, day, entry);
+      });
+    }
+
+    Object.entries(summary.byUser).forEach(([id, totals]) => {
+      const limit = this.limitFor(id);
+      if (limit) totals.dailyLimit = limit;
+    });
+    return summary;
+  }
+
+  async daysBetween(from, to) {
+    const files = await fs.readdir(this.dataDir).catch(() => []);
+    return files
+      .map((file) => FILE_PATTERN.exec(file)?.[1])
+      .filter((day) => day && day >= from && day <= to)
+      .sort();
+  }
+
+  async readDay(day) {
+    const content = await fs.readFile(this.filePath(day), 'utf8').catch((error) => {
+      if (error.code !== 'ENOENT') console.warn(`[usage] Could not read ledger for ${day}:`, error.message);
+      return '';
+    });
+    return content
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (_error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  filePath(day) {
+    return path.join(this.dataDir, `usage-${day}.jsonl`);
+  }
+}
+
+function exceeds(limit, used, next) {
+  return Boolean(limit) && (used >= limit || used + next > limit);
+}
+
+function addTotals(map, key, entry) {
+  const totals = map.get(key) || { requests: 0, total_tokens: 0 };
+  totals.requests++;
+  totals.total_tokens += Number(entry.total_tokens) || 0;
+  map.set(key, totals);
+}
+
+function resolveRange({ from, to }) {
+  const end = to || UsageLedger.day();
+  const start = from || UsageLedger.day(new Date(Date.parse(end) - (DEFAULT_REPORT_DAYS - 1) * 86400000));
+  return { from: start, to: end, days: Math.round((Date.parse(end) - Date.parse(start)) / 86400000) + 1 };
+}
+
+function emptyTotals() {
+  const totals = { requests: 0 };
+  TOKEN_KEYS.forEach((key) => {
+    totals[key] = 0;
+  });
+  return totals;
+}
+
+function accumulate(totals, entry) {
+  totals.requests++;
+  TOKEN_KEYS.forEach((key) => {
+    totals[key] += Number(entry[key]) || 0;
+  });
+}
+
+function nextMidnight() {
+  const date = new Date();
+  date.setUTCHours(24, 0, 0, 0);
+  return date;
+}
+
+/**
+ * Parse `USAGE_USER_LIMITS` (`alice=500000,bob=100000`) into per-user daily token limits.
+ */
+function parseUserLimits(value) {
+  const limits = {};
+  String(value || '')
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [userId, limit] = pair.split('=').map((part) => part.trim());
+      if (!userId || !/^\d+$/.test(limit || '')) {
+        throw new Error(`USAGE_USER_LIMITS entries must look like user=tokens, got "${pair}"`);
+      }
+      limits[userId] = Number(limit);
+    });
+  return limits;
+}
+
+module.exports = { UsageLedger, QuotaExceededError, parseUserLimits };
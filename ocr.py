@@ -1,30 +1,71 @@
-from paddleocr import PaddleOCR
 import sys
 import json
 
-def extract_text(img_path):
-    ocr = PaddleOCR(
+def load_engine():
+    from paddleocr import PaddleOCR
+    return PaddleOCR(
         use_doc_orientation_classify=False,
         use_doc_unwarping=False,
         use_textline_orientation=False
     )
 
+def to_list(value):
+    return value.tolist() if hasattr(value, "tolist") else list(value or [])
+
+def extract_text(ocr, img_path):
+    """Returns the joined text, mean confidence and one {text, score, box} entry per detected line."""
     result = ocr.predict(img_path)
 
     text_lines = []
+    scores = []
+    lines = []
     for res in result:
-        for line in res["rec_texts"]:
+        texts = to_list(res["rec_texts"])
+        line_scores = to_list(res.get("rec_scores", []))
+        boxes = to_list(res.get("rec_boxes", []))
+        for index, line in enumerate(texts):
             text_lines.append(line)
+            score = float(line_scores[index]) if index < len(line_scores) else 0.0
+            box = [float(v) for v in boxes[index]] if index < len(boxes) else None
+            lines.append({ "text": line, "score": score, "box": box })
+        scores.extend(float(score) for score in line_scores)
+
+    confidence = sum(scores) / len(scores) if scores else 0
+    return "\n".join(text_lines), float(confidence), lines
+
+def serve():
+    """Long-lived worker: one JSON request per stdin line, one JSON reply per stdout line."""
+    try:
+        ocr = load_engine()
+    except Exception as err:
+        print(json.dumps({ "error": str(err) }), flush=True)
+        sys.exit(1)
+
+    print(json.dumps({ "ready": True }), flush=True)
 
-    return "\n".join(text_lines)
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        request = json.loads(line)
+        try:
+            text, confidence, lines = extract_text(ocr, request["image"])
+            reply = { "id": request["id"], "ocr_text": text, "confidence": confidence, "lines": lines }
+        except Exception as err:
+            reply = { "id": request["id"], "error": str(err) }
+        print(json.dumps(reply), flush=True)
 
 if __name__ == "__main__":
     if len(sys.argv) < 2:
         print(json.dumps({ "error": "Image path missing" }))
         sys.exit(1)
 
+    if sys.argv[1] == "--worker":
+        serve()
+        sys.exit(0)
+
     img_path = sys.argv[1]
-    text = extract_text(img_path)
+    text, confidence, lines = extract_text(load_engine(), img_path)
 
     # Output valid JSON so Node can parse it
-    print(json.dumps({ "ocr_text": text }))
\ No newline at end of file
+    print(json.dumps({ "ocr_text": text, "confidence": confidence, "lines": lines }))
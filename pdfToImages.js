@@ -1,41 +1,59 @@
-const { convert } = require('pdf-poppler');
 const path = require('path');
 const fs = require('fs');
-
-async function pdfToImages(pdfPath) {
+const { promisify } = require('util');
+const execFileAsync = promisify(require('child_process').execFile);
+
+// pdf-poppler only bundles binaries for Windows and macOS (and exits the process elsewhere),
+// so other platforms call poppler-utils' pdftoppm from PATH.
+const BUNDLED_POPPLER_PLATFORMS = ['win32', 'darwin'];
+
+/**
+ * Render a PDF to PNG files in `outputDir`, which should be a directory of its own for this
+ * run (the caller removes it) so concurrent renderings of one PDF never share files.
+ * With `pages` (1-based page numbers), only those pages are rendered and the image paths
+ * are returned in the same order; otherwise every page is rendered.
+ */
+async function pdfToImages(pdfPath, { pages = null, outputDir } = {}) {
   const pdfBaseName = path.basename(pdfPath, path.extname(pdfPath)); // e.g. "paper"
-  const outputDir = path.join(__dirname, "uploads", "pages", pdfBaseName);
+  fs.mkdirSync(outputDir, { recursive: true });
 
-  // Create uploads/pages/<pdfName>/ folder
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
-  }
+  console.log("Converting PDF:", pdfPath, pages ? `(pages ${pages.join(', ')})` : "(all pages)");
+  console.log("Output directory:", outputDir);
 
-  // Clear old images
-  fs.readdirSync(outputDir).forEach(f => {
-    if (f.endsWith(".png")) {
-      fs.unlinkSync(path.join(outputDir, f));
-    }
-  });
+  if (!pages) {
+    await renderPages(pdfPath, outputDir, pdfBaseName, null);
 
-  const options = {
-    format: 'png',
-    out_dir: outputDir,
-    out_prefix: pdfBaseName,
-    page: null
-  };
+    return fs.readdirSync(outputDir)
+      .filter(f => f.endsWith(".png"))
+      .sort()
+      .map(f => path.join(outputDir, f));
+  }
 
-  // ⬇⬇⬇ Debugging logs (INSIDE the function)
-  console.log("Converting PDF:", pdfPath);
-  console.log("Output directory:", outputDir);
+  const images = [];
+  for (const page of pages) {
+    // A prefix per page, since both renderers pad the page suffix differently.
+    const prefix = `${pdfBaseName}-page${page}`;
+    await renderPages(pdfPath, outputDir, prefix, page);
 
-  await convert(pdfPath, options);
+    const file = fs.readdirSync(outputDir).find(f => f.startsWith(`${prefix}-`) && f.endsWith(".png"));
+    if (!file) {
+      throw new Error(`Page ${page} of ${pdfBaseName} was not rendered`);
+    }
+    images.push(path.join(outputDir, file));
+  }
 
-  console.log("Done converting. Files in folder:", fs.readdirSync(outputDir));
+  return images;
+}
+
+async function renderPages(pdfPath, outputDir, prefix, page) {
+  if (BUNDLED_POPPLER_PLATFORMS.includes(process.platform)) {
+    const { convert } = require('pdf-poppler');
+    await convert(pdfPath, { format: 'png', out_dir: outputDir, out_prefix: prefix, page });
+    return;
+  }
 
-  return fs.readdirSync(outputDir)
-    .filter(f => f.endsWith(".png"))
-    .map(f => path.join(outputDir, f));
+  const range = page ? ['-f', String(page), '-l', String(page)] : [];
+  await execFileAsync('pdftoppm', ['-png', ...range, pdfPath, path.join(outputDir, prefix)]);
 }
 
-module.exports = pdfToImages;
\ No newline at end of file
+module.exports = pdfToImages;
@@ -1,5 +1,14 @@
+import { initLocale, t } from './i18n.js';
+
 const titleInput = document.getElementById('titleInput');
 const focusInput = document.getElementById('focusInput');
+const gradeBandInput = document.getElementById('gradeBandInput');
+const proficiencyInput = document.getElementById('proficiencyInput');
+const languageInput = document.getElementById('languageInput');
+const sourceLanguageInput = document.getElementById('sourceLanguageInput');
+const bilingualInput = document.getElementById('bilingualInput');
+const noCacheInput = document.getElementById('noCacheInput');
+const adaptButton = document.getElementById('adaptButton');
 const textInput = document.getElementById('textInput');
 const goalInput = document.getElementById('goalInput');
 const processButton = document.getElementById('processButton');
@@ -17,120 +26,157 @@ const graphStatus = document.getElementById('graphStatus');
 const graphOutput = document.getElementById('graphOutput');
 const form = document.getElementById('uploadForm');
 const toastContainer = document.getElementById('toastContainer');
+const uploadTimeline = document.getElementById('uploadTimeline');
+const processTimeline = document.getElementById('processTimeline');
+const graphTimeline = document.getElementById('graphTimeline');
+
+const JOB_POLL_INTERVAL_MS = 1000;
+
+// Blueprint output languages accepted by the API (lib/languages.js), by their own names.
+const OUTPUT_LANGUAGES = {
+  en: 'English',
+  es: 'Español',
+  fr: 'Français',
+  de: 'Deutsch',
+  it: 'Italiano',
+  pt: 'Português',
+  nl: 'Nederlands',
+  pl: 'Polski',
+  tr: 'Türkçe',
+  ru: 'Русский',
+  ar: 'العربية',
+  hi: 'हिन्दी',
+  vi: 'Tiếng Việt',
+  zh: '中文',
+  ja: '日本語',
+  ko: '한국어',
+};
 
 let currentStructure = null;
+// Headings found by OCR layout analysis in the last upload; they seed the blueprint levels.
+let currentOutline = [];
+// The last upload as saved in the document library; reused by id while its text is unedited.
+let currentDocument = null;
+// Last rendered results, drawn again when the interface language changes.
+const rendered = { structure: null, narrative: null, graph: null };
+
+[languageInput, sourceLanguageInput].forEach((select) => {
+  select.innerHTML = Object.entries(OUTPUT_LANGUAGES)
+    .map(([code, name]) => `<option value="${code}">${name}</option>`)
+    .join('');
+});
+
+await initLocale(document.getElementById('localeSelect'), () => {
+  const { structure, narrative, graph } = rendered;
+  if (structure) renderStructure(structure);
+  if (narrative) renderNarrative(narrative);
+  if (graph) renderGraph(graph);
+});
 
 processButton.addEventListener('click', async () => {
 
   clearStructure();
-  setStatus(processStatus, 'Generating...', true);
+  renderTimeline(processTimeline, null);
+  setStatus(processStatus, t('status.generating'), true);
   toggleButtons(true);
   try {
     const payload = {
       title: titleInput.value.trim(),
       focus: focusInput.value.trim(),
-      text: textInput.value.trim(),
+      ...selectedLanguage(),
+      noCache: noCacheInput.checked,
     };
-
-    const response = await fetch('/api/process', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-    });
-
-    let result;
-    try {
-      result = await response.json();
-    } catch (parseError) {
-      showToast('Received an unexpected response from the server. Please try again.', 'error');
-      throw new Error('Unexpected server response');
+    const audience = selectedAudience();
+    if (audience) {
+      payload.audience = audience;
     }
-
-    if (!response.ok) {
-      const friendly = result?.error || 'Failed to generate RPG blueprint.';
-      const code = result?.code;
-      const message = code ? `${friendly} (${code})` : friendly;
-
-      throw new Error(message);
+    if (currentDocument && textInput.value === currentDocument.text) {
+      payload.documentId = currentDocument.id;
+    } else {
+      payload.text = textInput.value.trim();
+      if (currentOutline.length) {
+        payload.outline = currentOutline;
+      }
     }
 
+    const result = await runJob('process', payload, {
+      fallbackError: t('process.failed'),
+      onProgress: (job) => {
+        setStatus(processStatus, describeJob(job, 'status.generating'), true);
+        renderTimeline(processTimeline, job);
+      },
+    });
+
     if (Array.isArray(result.warnings) && result.warnings.includes('GROQ_PARSE_ERROR')) {
-      showToast('AI response was slightly malformed. Showing best-effort result.', 'warning');
+      showToast(t('process.malformed'), 'warning');
+    } else if (hasSchemaWarnings(result)) {
+      showToast(t('process.schemaWarning'), 'warning');
+    } else if (result.grounding?.flagged) {
+      showToast(t(result.grounding.flagged === 1 ? 'grounding.flaggedOne' : 'grounding.flaggedMany', { count: result.grounding.flagged }), 'warning');
     }
 
     renderStructure(result);
   }
   catch (error) {
     structureOutput.classList.remove('empty-state');
-    structureOutput.innerHTML = `<div class="card"><h4>Error</h4><p>${error.message}</p></div>`;
+    structureOutput.innerHTML = `<div class="card"><h4>${t('common.error')}</h4><p>${error.message}</p></div>`;
     if (!navigator.onLine) {
-      showToast('You appear to be offline. Please check your internet connection.', 'error');
+      showToast(t('common.offline'), 'error');
     } else if (error?.message) {
       showToast(error.message, 'error');
     } else {
-      showToast('Something went wrong while generating the RPG blueprint.', 'error');
+      showToast(t('process.failed'), 'error');
     }
   } finally {
     toggleButtons(false);
-    setStatus(processStatus, 'Idle', false);
+    setStatus(processStatus, t('status.idle'), false);
   }
 });
 
 narrativeButton.addEventListener('click', async () => {
   if (!currentStructure) return;
-  setStatus(narrativeStatus, 'Generating...', true);
+  setStatus(narrativeStatus, t('status.generating'), true);
   narrativeButton.disabled = true;
   try {
     const payload = {
       structured: currentStructure,
       learningGoal: goalInput.value.trim(),
+      language: languageInput.value,
+      noCache: noCacheInput.checked,
     };
-    const response = await fetch('/api/narrative', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
+    const result = await runJob('narrative', payload, {
+      fallbackError: t('narrative.failed'),
+      onProgress: (job) => setStatus(narrativeStatus, describeJob(job, 'status.generating'), true),
     });
 
-    let result;
-    try {
-      result = await response.json();
-    } catch (parseError) {
-      showToast('Received an unexpected response from the server. Please try again.', 'error');
-      throw new Error('Unexpected server response');
-    }
-
-    if (!response.ok) {
-      const friendly = result?.error || 'Failed to generate narrative layer.';
-      const code = result?.code;
-      const message = code ? `${friendly} (${code})` : friendly;
-      throw new Error(message);
-    }
-
     if (Array.isArray(result.warnings) && result.warnings.includes('GROQ_PARSE_ERROR')) {
-      showToast('AI response was slightly malformed. Showing best-effort narrative.', 'warning');
+      showToast(t('narrative.malformed'), 'warning');
+    } else if (hasSchemaWarnings(result)) {
+      showToast(t('narrative.schemaWarning'), 'warning');
     }
 
     renderNarrative(result);
   } catch (error) {
     narrativeOutput.classList.remove('empty-state');
-    narrativeOutput.innerHTML = `<div class="card"><h4>Error</h4><p>${error.message}</p></div>`;
+    narrativeOutput.innerHTML = `<div class="card"><h4>${t('common.error')}</h4><p>${error.message}</p></div>`;
 
     if (!navigator.onLine) {
-      showToast('You appear to be offline. Please check your internet connection.', 'error');
+      showToast(t('common.offline'), 'error');
     } else if (error?.message) {
       showToast(error.message, 'error');
     } else {
-      showToast('Something went wrong while generating the narrative.', 'error');
+      showToast(t('narrative.failed'), 'error');
     }
   } finally {
     narrativeButton.disabled = false;
-    setStatus(narrativeStatus, 'Idle', false);
+    setStatus(narrativeStatus, t('status.idle'), false);
   }
 });
 
 graphButton.addEventListener('click', async () => {
   if (!currentStructure) return;
-  setStatus(graphStatus, 'Building...', true);
+  renderTimeline(graphTimeline, null);
+  setStatus(graphStatus, t('status.building'), true);
   graphButton.disabled = true;
   try {
     const payload = {
@@ -138,32 +184,81 @@ graphButton.addEventListener('click', async () => {
       title: titleInput.value.trim(),
       focus: focusInput.value.trim(),
       savePersistently: true,
+      prompt: rendered.structure?.prompt,
     };
 
-    const response = await fetch('/api/graphs/from-structure', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
+    const result = await runJob('graph', payload, {
+      fallbackError: t('graph.failed'),
+      onProgress: (job) => {
+        setStatus(graphStatus, describeJob(job, 'status.building'), true);
+        renderTimeline(graphTimeline, job);
+      },
     });
-
-    if (!response.ok) {
-      throw new Error('Failed to generate concept graph.');
-    }
-
-    const result = await response.json();
     renderGraph(result);
   } catch (error) {
     graphOutput.classList.remove('empty-state');
-    graphOutput.innerHTML = `<div class="card"><h4>Error</h4><p>${error.message}</p></div>`;
+    graphOutput.innerHTML = `<div class="card"><h4>${t('common.error')}</h4><p>${error.message}</p></div>`;
   } finally {
     graphButton.disabled = !currentStructure;
-    setStatus(graphStatus, 'Idle', false);
+    setStatus(graphStatus, t('status.idle'), false);
   }
 });
 
+adaptButton?.addEventListener('click', async () => {
+  const audience = selectedAudience();
+  if (!currentStructure) return;
+  if (!audience) {
+    showToast(t('adapt.chooseGradeBand'), 'warning');
+    return;
+  }
+
+  renderTimeline(processTimeline, null);
+  setStatus(processStatus, t('status.adapting'), true);
+  toggleButtons(true);
+  try {
+    const input = {
+      structured: currentStructure,
+      audience,
+      title: titleInput.value.trim(),
+      language: languageInput.value,
+      noCache: noCacheInput.checked,
+    };
+    const result = await runJob('adapt', input, {
+      fallbackError: t('adapt.failed'),
+      onProgress: (job) => {
+        setStatus(processStatus, describeJob(job, 'status.adapting'), true);
+        renderTimeline(processTimeline, job);
+      },
+    });
+    if (result.warnings?.includes('ADAPT_PARTIAL')) {
+      showToast(t('adapt.partial'), 'warning');
+    }
+    renderStructure(result);
+  } catch (error) {
+    showToast(error.message || t('adapt.failed'), 'error');
+  } finally {
+    toggleButtons(false);
+    setStatus(processStatus, t('status.idle'), false);
+  }
+});
+
+function selectedAudience() {
+  if (!gradeBandInput?.value) return null;
+  return { gradeBand: gradeBandInput.value, proficiency: proficiencyInput.value };
+}
+
+function selectedLanguage() {
+  return {
+    language: languageInput.value,
+    sourceLanguage: sourceLanguageInput.value,
+    bilingualVocabulary: bilingualInput.checked,
+  };
+}
+
 useSampleButton.addEventListener('click', () => {
   titleInput.value = 'Foundations of Cell Biology';
   focusInput.value = 'Intro biology, grade 9';
+  gradeBandInput.value = 'high';
   textInput.value = sampleExcerpt;
 });
 
@@ -171,15 +266,20 @@ uploadInput?.addEventListener('change', async (event) => {
   const file = event.target.files?.[0];
   if (!file) return;
 
-  uploadMessage.textContent = 'Extracting text...';
+  uploadMessage.textContent = t('upload.extracting');
   uploadMessage.classList.add('loading');
 
   try {
     const extractedText = await extractTextFromFile(file);
+    if (extractedText === null) {
+      // EPUB, DOCX and HTML are only read on the server (see the upload form handler).
+      uploadMessage.textContent = t('upload.sending', { name: file.name });
+      return;
+    }
     textInput.value = extractedText;
-    uploadMessage.textContent = `Loaded ${file.name} (${extractedText.length.toLocaleString()} chars)`;
+    uploadMessage.textContent = t('upload.loaded', { name: file.name, chars: extractedText.length.toLocaleString() });
   } catch (error) {
-    uploadMessage.textContent = `Could not read ${file.name}: ${error.message}`;
+    uploadMessage.textContent = t('upload.unreadable', { name: file.name, error: error.message });
   } finally {
     uploadMessage.classList.remove('loading');
   }
@@ -189,6 +289,8 @@ clearInputButton?.addEventListener('click', () => {
   textInput.value = '';
   uploadInput.value = '';
   uploadMessage.textContent = '';
+  currentOutline = [];
+  currentDocument = null;
 });
 
 if (form) {
@@ -205,40 +307,105 @@ if (form) {
     const formData = new FormData();
     formData.append('uploadFile', file);
 
+    renderTimeline(uploadTimeline, null);
+
     try {
-      const response = await fetch('/upload?forceOCR=1', {
+      const response = await fetch('/upload?async=1', {
         method: 'POST',
         body: formData,
       })
 
-      const data = await response.json()
-      document.getElementById('message').innerText = data.message;
+      const queued = await response.json()
+      document.getElementById('message').innerText = queued.message || queued.error;
+      if (!response.ok || !queued.jobId) return;
+
+      const job = await waitForJob(queued.job, (update) => {
+        document.getElementById('message').innerText = update.message;
+        renderTimeline(uploadTimeline, update);
+      });
+      renderTimeline(uploadTimeline, job);
+
+      if (job.state === 'failed') {
+        document.getElementById('message').innerText = job.error?.error || t('upload.failed');
+        return;
+      }
+
+      const data = job.result;
+      document.getElementById('message').innerText = describeExtraction(data);
 
       if (data.extractedText) {
         textInput.value = data.extractedText
       }
+      if (data.title && !titleInput.value.trim()) {
+        titleInput.value = data.title;
+      }
+      currentOutline = Array.isArray(data.outline) ? data.outline : [];
+      currentDocument = data.document ? await saveDocument(data) : null;
+
+      if (data.warnings?.includes('OCR_UNAVAILABLE') || data.warnings?.includes('OCR_RENDER_FAILED')) {
+        showToast(t('upload.ocrUnavailable'), 'warning');
+      } else if (data.warnings?.includes('OCR_PAGE_FAILED')) {
+        showToast(t('upload.ocrPageFailed'), 'warning');
+      }
 
     } catch (error) {
       console.error('Error uploading file:', error);
-      document.getElementById('message').innerText = 'Error uploading file.';
+      document.getElementById('message').innerText = t('upload.error');
     }
   });
 }
+/**
+ * Keep the extraction in the server's document library so later runs can send its id.
+ */
+async function saveDocument(data) {
+  try {
+    const response = await fetch('/api/documents', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ uploadId: data.document.id, title: titleInput.value.trim() || undefined }),
+    });
+    if (!response.ok) return null;
+    const { document } = await response.json();
+    return { id: document.id, text: data.extractedText };
+  } catch (error) {
+    console.warn('Could not save document to the library:', error);
+    return null;
+  }
+}
+
+function describeExtraction(data) {
+  const details = [];
+  if (Array.isArray(data.pages) && data.pages.length) {
+    const ocrPages = data.pages.filter((page) => page.source === 'ocr').length;
+    details.push(t(ocrPages ? 'upload.pagesWithOcr' : 'upload.pages', { count: data.pages.length, ocr: ocrPages }));
+  }
+  if (Array.isArray(data.outline) && data.outline.length) {
+    details.push(t('upload.headings', { count: data.outline.length }));
+  }
+  if (data.cached) {
+    details.push(t('upload.cached'));
+  }
+  return details.length ? `${data.message} (${details.join(', ')})` : data.message;
+}
+
 function renderStructure(result) {
   const { structured, via, title } = result;
+  rendered.structure = result;
   currentStructure = structured;
   narrativeButton.disabled = false;
   graphButton.disabled = false;
+  adaptButton.disabled = false;
   structureOutput.classList.remove('empty-state');
   graphOutput.classList.add('empty-state');
-  graphOutput.innerHTML = '<p>Build a concept graph to see dependencies.</p>';
+  graphOutput.innerHTML = `<p>${t('graph.prompt')}</p>`;
+  rendered.graph = null;
   if (structured) {
     localStorage.setItem('textquest_structure', JSON.stringify(structured));
   }
   let html = '';
 
   if (structured?.levels?.length) {
-    html += `<div class="badge">Source: ${title || 'Untitled'} | ${via}</div>`;
+    html += `<div class="badge">${t('process.source', { title: title || t('process.untitled') })} | ${via}${describeCache(result)}${describeLanguage(result)}${describeReadability(result)}</div>`;
     structured.levels.forEach((level) => {
       html += `
         <article class="card">
@@ -251,14 +418,14 @@ function renderStructure(result) {
   }
 
   if (structured?.vocabulary?.length) {
-    html += `<article class="card"><h4>Vocabulary</h4>${structured.vocabulary
-      .map((entry) => `<p><strong>${entry.term}</strong> (${entry.type}) - ${entry.description}</p>`)
+    html += `<article class="card"><h4>${t('blueprint.vocabulary')}</h4>${structured.vocabulary
+      .map((entry) => `<p><strong>${entry.term}</strong>${renderTranslation(entry)}${renderGrounding(entry)} (${entry.type}) - ${entry.description}</p>${renderSources(entry)}`)
       .join('')}</article>`;
   }
 
   if (structured?.assessments?.length) {
-    html += `<article class="card"><h4>Assessments</h4>${structured.assessments
-      .map((assessment) => `<p><strong>${assessment.name}</strong> | ${assessment.format} | ${assessment.success_condition}</p>`)
+    html += `<article class="card"><h4>${t('blueprint.assessments')}</h4>${structured.assessments
+      .map((assessment) => `<p><strong>${assessment.name}</strong> | ${assessment.format} | ${assessment.success_condition}</p>${renderSources(assessment)}`)
       .join('')}</article>`;
   }
 
@@ -276,11 +443,12 @@ function renderQuests(quests = []) {
       .map(
         (quest) => `
         <div class="card">
-          <h4>${quest.title}</h4>
+          <h4>${quest.title}${renderGrounding(quest)}</h4>
           <p>${quest.description || ''}</p>
-          <p><strong>Items:</strong> ${quest.items?.join(', ') || 'None'}</p>
-          <p><strong>Abilities:</strong> ${quest.abilities?.join(', ') || 'None'}</p>
-          <p><strong>Dependencies:</strong> ${quest.dependencies?.join(', ') || 'None'}</p>
+          <p><strong>${t('blueprint.items')}</strong> ${quest.items?.join(', ') || t('blueprint.none')}</p>
+          <p><strong>${t('blueprint.abilities')}</strong> ${quest.abilities?.join(', ') || t('blueprint.none')}</p>
+          <p><strong>${t('blueprint.dependencies')}</strong> ${quest.dependencies?.join(', ') || t('blueprint.none')}</p>
+          ${renderSources(quest)}
         </div>
       `
       )
@@ -289,28 +457,90 @@ function renderQuests(quests = []) {
   `;
 }
 
+/**
+ * Expandable quote of the textbook passage an entry was built from. Entries without a located
+ * source are flagged, since their content could not be traced back to the text.
+ */
+function renderSources(entry) {
+  if (!Array.isArray(entry.sources)) return '';
+  if (!entry.sources.length) {
+    return `<p class="source source-missing">${t('sources.missing')}</p>`;
+  }
+  return entry.sources
+    .map((source) => {
+      const label = [
+        source.page ? t('sources.page', { page: source.page }) : null,
+        t('sources.chars', { start: source.start, end: source.end }),
+        source.match !== 'exact' ? t('sources.approximate') : null,
+      ]
+        .filter(Boolean)
+        .join(', ');
+      return `<details class="source"><summary>${t('sources.summary', { label })}</summary><blockquote>${escapeHTML(source.snippet)}</blockquote></details>`;
+    })
+    .join('');
+}
+
+function describeReadability({ readability, audience }) {
+  if (!readability || readability.grade === null) return '';
+  const target = audience ? ` ${t('readability.target', { level: audience.readingLevel })}` : '';
+  return ` | ${t('readability.grade', { grade: readability.grade })}${target}`;
+}
+
+function describeCache({ usage }) {
+  return usage?.cache_hits ? ` | ${t('process.cached')}` : '';
+}
+
+function describeLanguage({ language }) {
+  if (!language || language.language === 'en') return '';
+  return ` | ${OUTPUT_LANGUAGES[language.language] || language.language}`;
+}
+
+/**
+ * Translation shown next to a term kept in the textbook's language (bilingual vocabulary).
+ */
+function renderTranslation(entry) {
+  return entry.translation ? ` <em class="translation">(${escapeHTML(entry.translation)})</em>` : '';
+}
+
+/**
+ * Badge for entries the grounding check could not match to the source text.
+ */
+function renderGrounding(entry) {
+  if (!entry.grounding || entry.grounding.supported) return '';
+  return ` <span class="grounding-flag" title="${t('grounding.score', { score: entry.grounding.score })}">${t('grounding.flag')}</span>`;
+}
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 function renderNarrative(result) {
   const { narrative, via } = result;
+  rendered.narrative = result;
   narrativeOutput.classList.remove('empty-state');
-  let html = `<div class="badge">Narrative | ${via}</div>`;
+  let html = `<div class="badge">${t('narrative.badge')} | ${via}${describeCache(result)}</div>`;
   if (narrative?.introduction) {
-    html += `<article class="card"><h4>Overview</h4><p>${narrative.introduction}</p></article>`;
+    html += `<article class="card"><h4>${t('narrative.overview')}</h4><p>${narrative.introduction}</p></article>`;
   }
 
   if (narrative?.regions?.length) {
-    html += `<article class="card"><h4>Regions & NPCs</h4>${narrative.regions
+    html += `<article class="card"><h4>${t('narrative.regions')}</h4>${narrative.regions
       .map((region) => `<p><strong>${region.name}</strong> - ${region.npc}: ${region.questHook}</p>`)
       .join('')}</article>`;
   }
 
   if (narrative?.encounters?.length) {
-    html += `<article class="card"><h4>Encounters</h4>${narrative.encounters
-      .map((encounter) => `<p><strong>${encounter.name}</strong> - ${encounter.mechanic}. Reward: ${encounter.reward}</p>`)
+    html += `<article class="card"><h4>${t('narrative.encounters')}</h4>${narrative.encounters
+      .map((encounter) => `<p><strong>${encounter.name}</strong> - ${encounter.mechanic}. ${t('narrative.reward', { reward: encounter.reward })}</p>`)
       .join('')}</article>`;
   }
 
   if (narrative?.rewards?.length) {
-    html += `<article class="card"><h4>Rewards</h4>${narrative.rewards
+    html += `<article class="card"><h4>${t('narrative.rewards')}</h4>${narrative.rewards
       .map((reward) => `<p><strong>${reward.name}</strong> - ${reward.benefit}</p>`)
       .join('')}</article>`;
   }
@@ -326,37 +556,38 @@ function renderGraph(result) {
   const { graph, persistence } = result ?? {};
   if (!graph) {
     graphOutput.classList.remove('empty-state');
-    graphOutput.innerHTML = `<div class="card"><h4>No graph returned</h4><p>Try building again.</p></div>`;
+    graphOutput.innerHTML = `<div class="card"><h4>${t('graph.missing')}</h4><p>${t('graph.retry')}</p></div>`;
     return;
   }
+  rendered.graph = result;
 
   const topics = Object.entries(graph.metadata?.topics || {});
   const nodesPreview = (graph.nodes || []).slice(0, 6);
 
   graphOutput.classList.remove('empty-state');
-  let html = `<div class="badge">Concept graph | ${graph.metadata?.embeddingModel || 'mock'}${persistence?.filename ? ' · saved' : ''
-    }</div>`;
+  let html = `<div class="badge">${t('graph.badge')} | ${graph.metadata?.embeddingModel || 'mock'}${graph.metadata?.embeddings?.fallback ? ` · ${t('graph.embeddingsFallback')}` : ''
+    }${persistence?.filename ? ` · ${t('graph.saved')}` : ''}</div>`;
 
   html += `<article class="card">
-    <h4>Overview</h4>
-    <p>${graph.metadata?.totalConcepts || 0} concepts · ${graph.metadata?.totalEdges || 0} links</p>
+    <h4>${t('graph.overview')}</h4>
+    <p>${t('graph.totals', { concepts: graph.metadata?.totalConcepts || 0, links: graph.metadata?.totalEdges || 0 })}</p>
   </article>`;
 
   if (topics.length) {
-    html += `<article class="card"><h4>Topics</h4>${topics
+    html += `<article class="card"><h4>${t('graph.topics')}</h4>${topics
       .map(([topic, data]) => {
         const avg = typeof data.avgDifficulty === 'number' ? data.avgDifficulty.toFixed(1) : 'n/a';
-        return `<p><strong>${topic}</strong> · ${data.nodeCount} concepts · avg difficulty ${avg} · types: ${data.types?.join(', ') || 'n/a'
+        return `<p><strong>${topic}</strong> · ${t('graph.topicStats', { count: data.nodeCount, difficulty: avg, types: data.types?.join(', ') || 'n/a' })
           }</p>`;
       })
       .join('')}</article>`;
   }
 
   if (nodesPreview.length) {
-    html += `<article class="card"><h4>Highlights</h4>${nodesPreview
+    html += `<article class="card"><h4>${t('graph.highlights')}</h4>${nodesPreview
       .map(
         (node) =>
-          `<p><strong>${node.name}</strong> (${node.type}) · ${node.topic || 'Topic'} · difficulty ${node.difficulty}</p>`
+          `<p><strong>${node.name}</strong> (${node.type}) · ${node.topic || t('graph.topic')} · ${t('graph.difficulty', { difficulty: node.difficulty })}</p>`
       )
       .join('')}</article>`;
   }
@@ -367,20 +598,24 @@ function renderGraph(result) {
 
 function clearStructure() {
   currentStructure = null;
+  rendered.structure = null;
+  rendered.narrative = null;
+  rendered.graph = null;
   localStorage.removeItem('textquest_structure');
   localStorage.removeItem('textquest_graph');
   narrativeButton.disabled = true;
   graphButton.disabled = true;
   structureOutput.classList.add('empty-state');
-  structureOutput.innerHTML = '<p>Crunching blueprint...</p>';
-  narrativeOutput.innerHTML = '<p>Narrative results will appear here.</p>';
+  structureOutput.innerHTML = `<p>${t('process.crunching')}</p>`;
+  narrativeOutput.innerHTML = `<p>${t('narrative.empty')}</p>`;
   narrativeOutput.classList.add('empty-state');
-  graphOutput.innerHTML = '<p>Concept graph will appear here.</p>';
+  graphOutput.innerHTML = `<p>${t('graph.empty')}</p>`;
   graphOutput.classList.add('empty-state');
 }
 
 function toggleButtons(isLoading) {
   processButton.disabled = isLoading;
+  adaptButton.disabled = isLoading || !currentStructure;
   narrativeButton.disabled = isLoading || !currentStructure;
   graphButton.disabled = isLoading || !currentStructure;
 }
@@ -395,10 +630,10 @@ async function extractTextFromFile(file) {
   if (isPdf) {
     return extractTextFromPdf(file);
   }
-  if (typeof file.text === 'function') {
+  if (/\.(txt|md|markdown)$/i.test(file.name || '') && typeof file.text === 'function') {
     return file.text();
   }
-  throw new Error('Unsupported file type');
+  return null;
 }
 
 async function extractTextFromPdf(file) {
@@ -425,6 +660,100 @@ async function extractTextFromPdf(file) {
   return text.trim();
 }
 
+/**
+ * Submit a background job and wait for it to finish, resolving with the job result.
+ */
+async function runJob(type, input, { onProgress = () => {}, fallbackError = 'Request failed.' } = {}) {
+  const response = await fetch('/api/jobs', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type, input }),
+  });
+
+  let submitted;
+  try {
+    submitted = await response.json();
+  } catch (parseError) {
+    showToast(t('common.unexpectedResponse'), 'error');
+    throw new Error('Unexpected server response');
+  }
+
+  if (!response.ok) {
+    throw new Error(submitted?.error || fallbackError);
+  }
+
+  const job = await waitForJob(submitted.job, onProgress);
+  onProgress(job);
+
+  if (job.state === 'failed') {
+    const friendly = job.error?.error || fallbackError;
+    const code = job.error?.code;
+    throw new Error(code ? `${friendly} (${code})` : friendly);
+  }
+
+  return job.result;
+}
+
+/**
+ * Follow a job over Server-Sent Events, falling back to polling when the stream is unavailable.
+ */
+function waitForJob(job, onProgress = () => {}) {
+  if (typeof EventSource === 'undefined') {
+    return pollJob(job, onProgress);
+  }
+
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/jobs/${job.id}/events`);
+    source.addEventListener('progress', (event) => onProgress(JSON.parse(event.data)));
+    source.addEventListener('done', (event) => {
+      source.close();
+      resolve(JSON.parse(event.data));
+    });
+    source.onerror = () => {
+      source.close();
+      pollJob(job, onProgress).then(resolve, reject);
+    };
+  });
+}
+
+async function pollJob(job, onProgress) {
+  let current = job;
+  while (current.state === 'queued' || current.state === 'running') {
+    onProgress(current);
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+
+    const response = await fetch(`/api/jobs/${current.id}`);
+    if (!response.ok) {
+      throw new Error(t('common.lostJob'));
+    }
+    ({ job: current } = await response.json());
+  }
+  return current;
+}
+
+function renderTimeline(el, job) {
+  if (!el) return;
+  const timeline = job?.timeline ?? [];
+  const finished = job?.state === 'succeeded' || job?.state === 'failed';
+
+  el.innerHTML = timeline
+    .map((entry, idx) => {
+      const active = !finished && idx === timeline.length - 1;
+      return `<li class="${active ? 'active' : 'done'}">${entry.message}</li>`;
+    })
+    .join('');
+}
+
+function hasSchemaWarnings(result) {
+  return Array.isArray(result?.warnings) && result.warnings.some((warning) => warning.startsWith('SCHEMA_VIOLATION'));
+}
+
+function describeJob(job, statusKey) {
+  if (job.state === 'queued') return t('status.queued');
+  const percent = Math.round((job.progress || 0) * 100);
+  return `${t(statusKey)} ${percent}%`;
+}
+
 function showToast(message, type = 'info') {
   if (!toastContainer || !message) return;
 
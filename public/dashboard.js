@@ -1,4 +1,5 @@
 import mockUser from './mockUserData.js';
+import { initLocale, t } from './i18n.js';
 
 // ----------------- Dashboard State -----------------
 let currentUser = mockUser;
@@ -27,12 +28,12 @@ function initializeDashboard() {
 
 // ----------------- Hero Section -----------------
 function populateHeroSection() {
-    document.getElementById('userName').textContent = currentUser.name || 'Player';
+    document.getElementById('userName').textContent = currentUser.name || t('dashboard.player');
 
     const currentRegion = currentUser.RegionProgress[currentUser.currentRegionIndex];
-    document.getElementById('currentRegion').textContent = currentRegion?.name || 'Unknown Region';
+    document.getElementById('currentRegion').textContent = currentRegion?.name || t('dashboard.unknownRegion');
 
-    document.getElementById('currentQuest').textContent = currentUser.currentQuest || 'No active quest';
+    document.getElementById('currentQuest').textContent = currentUser.currentQuest || t('dashboard.noActiveQuest');
 }
 
 // ----------------- Level Progress -----------------
@@ -41,7 +42,7 @@ function populateLevelProgress() {
     const levels = currentUser.levelProgress;
 
     if (!levels || levels.length === 0) {
-        container.innerHTML = '<p class="no-content">No levels available.</p>';
+        container.innerHTML = `<p class="no-content">${t('dashboard.noLevels')}</p>`;
         return;
     }
 
@@ -52,7 +53,7 @@ function populateLevelProgress() {
 
         const icon = isCompleted ? '✔' : isActive ? '▶' : '🔒';
         const statusClass = isCompleted ? 'completed' : isActive ? 'active' : 'locked';
-        const statusText = isCompleted ? 'Completed' : isActive ? 'In Progress' : 'Locked';
+        const statusText = t(isCompleted ? 'dashboard.completed' : isActive ? 'dashboard.inProgress' : 'dashboard.locked');
 
         const completedQuests = level.quests.filter(q => q.isCompleted).length;
         const totalQuests = level.quests.length;
@@ -62,7 +63,7 @@ function populateLevelProgress() {
                 <div class="level-icon">${icon}</div>
                 <div class="level-info">
                     <h4 class="level-name">${level.name}</h4>
-                    <p class="level-quests">${completedQuests} / ${totalQuests} Quests Completed</p>
+                    <p class="level-quests">${t('dashboard.questsCompleted', { done: completedQuests, total: totalQuests })}</p>
                 </div>
                 <span class="level-status ${statusClass}">${statusText}</span>
             </div>
@@ -83,6 +84,7 @@ function populateVocabularyProgress() {
         <div class="vocab-item ${word.isLearned ? 'learned' : ''}">
             <div class="vocab-term">
                 <span>${word.term}</span>
+                ${word.translation ? `<span class="vocab-translation">${word.translation}</span>` : ''}
                 <span class="vocab-type">${word.type}</span>
             </div>
             <p class="vocab-description">${word.description}</p>
@@ -105,7 +107,7 @@ function populateQuestDetails() {
     }
 
     if (!currentQuestObj) {
-        container.innerHTML = '<p class="no-content">No active quest found.</p>';
+        container.innerHTML = `<p class="no-content">${t('dashboard.noQuestFound')}</p>`;
         return;
     }
 
@@ -115,7 +117,7 @@ function populateQuestDetails() {
         
         ${currentQuestObj.items && currentQuestObj.items.length > 0 ? `
         <div class="quest-section">
-            <h4>Items to Collect</h4>
+            <h4>${t('dashboard.items')}</h4>
             <ul class="quest-list">
                 ${currentQuestObj.items.map(item => `<li>${item}</li>`).join('')}
             </ul>
@@ -124,7 +126,7 @@ function populateQuestDetails() {
         
         ${currentQuestObj.abilities && currentQuestObj.abilities.length > 0 ? `
         <div class="quest-section">
-            <h4>Abilities to Master</h4>
+            <h4>${t('dashboard.abilities')}</h4>
             <ul class="quest-list">
                 ${currentQuestObj.abilities.map(ability => `<li>${ability}</li>`).join('')}
             </ul>
@@ -133,7 +135,7 @@ function populateQuestDetails() {
         
         ${currentQuestObj.dependencies && currentQuestObj.dependencies.length > 0 ? `
         <div class="quest-section">
-            <h4>Prerequisites</h4>
+            <h4>${t('dashboard.prerequisites')}</h4>
             <ul class="quest-list">
                 ${currentQuestObj.dependencies.map(dep => `<li>${dep}</li>`).join('')}
             </ul>
@@ -148,7 +150,7 @@ function populateAssessmentDetails() {
     const nextAssessment = currentUser.assessmentProgress[currentUser.currentAssessmentIndex];
 
     if (!nextAssessment) {
-        container.innerHTML = '<p class="no-content">No upcoming assessments.</p>';
+        container.innerHTML = `<p class="no-content">${t('dashboard.noAssessments')}</p>`;
         return;
     }
 
@@ -159,21 +161,21 @@ function populateAssessmentDetails() {
     container.innerHTML = `
         <div class="assessment-info">
             <div class="assessment-field">
-                <label>Assessment Name</label>
+                <label>${t('dashboard.assessmentName')}</label>
                 <div class="value">${nextAssessment.name}</div>
             </div>
             <div class="assessment-field">
-                <label>Format</label>
+                <label>${t('dashboard.format')}</label>
                 <div class="value">${nextAssessment.format}</div>
             </div>
             <div class="assessment-field">
-                <label>Success Condition</label>
+                <label>${t('dashboard.successCondition')}</label>
                 <div class="value">${nextAssessment.success_condition}</div>
             </div>
         </div>
         
         <div class="assessment-progress">
-            <label>Overall Assessment Progress (${completedAssessments} / ${totalAssessments})</label>
+            <label>${t('dashboard.assessmentProgress', { done: completedAssessments, total: totalAssessments })}</label>
             <div class="progress-bar">
                 <div class="progress-fill" style="width: ${progressPercent}%"></div>
             </div>
@@ -187,7 +189,7 @@ function populateBadges() {
     const badges = currentUser.rewardGained;
 
     if (!badges || badges.length === 0) {
-        container.innerHTML = '<p class="no-badges">No badges earned yet. Complete quests to earn rewards!</p>';
+        container.innerHTML = `<p class="no-badges">${t('dashboard.noBadges')}</p>`;
         return;
     }
 
@@ -256,7 +258,7 @@ function setupGameToggle() {
                         <line x1="18" y1="6" x2="6" y2="18"></line>
                         <line x1="6" y1="6" x2="18" y2="18"></line>
                     </svg>
-                    Close Game
+                    ${t('dashboard.closeGame')}
                 `;
                 // Scroll to game
                 container.scrollIntoView({ behavior: 'smooth' });
@@ -266,7 +268,7 @@ function setupGameToggle() {
                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="margin-right: 0.5rem;">
                         <polygon points="5 3 19 12 5 21 5 3"></polygon>
                     </svg>
-                    Play Surfer Mode
+                    ${t('dashboard.playGame')}
                 `;
                 // Stop the game by clearing src? Or just hide?
                 // If we clear src, it resets state. If we hide, it pauses?
@@ -280,7 +282,8 @@ function setupGameToggle() {
 
 export { initializeDashboard, currentUser };
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    await initLocale(document.getElementById('localeSelect'), () => initializeDashboard());
     initializeDashboard();
     setupDrawerToggles();
     setupGameToggle();
@@ -19,11 +19,12 @@ class Level {
 }
 
 class Vocabulary {
-    constructor(term, type, description, isLearned = false) {
+    constructor(term, type, description, isLearned = false, translation = "") {
         this.term = term;
         this.type = type;
         this.description = description;
         this.isLearned = isLearned; // boolean
+        this.translation = translation; // term in the output language (bilingual blueprints)
     }
 }
 
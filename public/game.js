@@ -146,6 +146,7 @@ function spawnObstacle() {
             const term = vocabulary[Math.floor(Math.random() * vocabulary.length)];
             // Handle both object (term.term) and string formats
             content = (typeof term === 'object' && term.term) ? term.term : term;
+            if (typeof term === 'object' && term.translation) content = `${content} (${term.translation})`;
         } else {
             content = "Knowledge";
         }
@@ -0,0 +1,87 @@
+/**
+ * Interface translations for the front-end pages. Bundles live in /locales/<code>.json as flat
+ * `key: text` maps with `{name}` placeholders; keys missing from a bundle fall back to English.
+ * Static markup is translated through `data-i18n` (text), `data-i18n-placeholder` and
+ * `data-i18n-aria` (aria-label) attributes; scripts call `t(key, params)`.
+ */
+
+export const LOCALES = {
+  en: 'English',
+  es: 'Español',
+  fr: 'Français',
+};
+
+const DEFAULT_LOCALE = 'en';
+const STORAGE_KEY = 'textquest_locale';
+
+let locale = DEFAULT_LOCALE;
+let strings = {};
+let fallback = {};
+
+/**
+ * Saved choice, else the browser language when a bundle exists for it.
+ */
+function preferredLocale() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (saved && LOCALES[saved]) return saved;
+  const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+  return LOCALES[browser] ? browser : DEFAULT_LOCALE;
+}
+
+async function loadBundle(code) {
+  const response = await fetch(`locales/${code}.json`);
+  if (!response.ok) throw new Error(`Locale ${code} unavailable (${response.status})`);
+  return response.json();
+}
+
+/**
+ * Load the preferred locale, translate the page and, given a <select>, let it switch locales.
+ * `onChange` runs after every switch so scripts can re-render generated content.
+ */
+export async function initLocale(select = null, onChange = () => {}) {
+  await setLocale(preferredLocale());
+
+  if (select) {
+    select.innerHTML = Object.entries(LOCALES)
+      .map(([code, name]) => `<option value="${code}">${name}</option>`)
+      .join('');
+    select.value = locale;
+    select.addEventListener('change', async () => {
+      await setLocale(select.value);
+      localStorage.setItem(STORAGE_KEY, locale);
+      onChange(locale);
+    });
+  }
+}
+
+export async function setLocale(code) {
+  try {
+    if (!Object.keys(fallback).length) fallback = await loadBundle(DEFAULT_LOCALE);
+    strings = code === DEFAULT_LOCALE ? fallback : await loadBundle(code);
+    locale = code;
+  } catch (error) {
+    console.warn('Could not load interface translations:', error);
+    strings = fallback;
+    locale = DEFAULT_LOCALE;
+  }
+  document.documentElement.lang = locale;
+  applyTranslations();
+}
+
+
+export function t(key, params = {}) {
+  const template = strings[key] ?? fallback[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+export function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+    el.placeholder = t(el.dataset.i18nPlaceholder);
+  });
+  root.querySelectorAll('[data-i18n-aria]').forEach((el) => {
+    el.setAttribute('aria-label', t(el.dataset.i18nAria));
+  });
+}
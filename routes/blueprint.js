@@ -0,0 +1,42 @@
+/**
+ * POST /api/process - textbook text (or a saved `documentId`) to RPG blueprint.
+ * POST /api/process/adapt - rewrite an existing blueprint for another audience.
+ */
+
+const express = require('express');
+const { validateBody, withDocument, enforceQuota, sendError } = require('./middleware');
+
+function createBlueprintRouter({ services, documents, usageLedger, llmClient }) {
+  const router = express.Router();
+  const blueprint = services.blueprint;
+  const quota = enforceQuota(usageLedger);
+
+  router.post('/api/process', quota, withDocument(documents), validateBody((body) => blueprint.validate(body)), async (req, res) => {
+    const entry = { userId: req.userId, ip: req.clientIp, endpoint: '/api/process', model: llmClient.model };
+    try {
+      const result = await blueprint.generate(req.body, { checkQuota: usageLedger.guard(req.userId, req.clientIp) });
+      await usageLedger.recordResult(entry, result);
+      return res.json(req.document ? { ...result, documentId: req.document.id } : result);
+    } catch (error) {
+      // Stopped at the quota part way through: the tokens spent until then still count.
+      if (error.usage) await usageLedger.recordResult(entry, error);
+      return sendError(res, error, 'process');
+    }
+  });
+
+  router.post('/api/process/adapt', quota, validateBody((body) => blueprint.validateAdapt(body)), async (req, res) => {
+    const entry = { userId: req.userId, ip: req.clientIp, endpoint: '/api/process/adapt', model: llmClient.model };
+    try {
+      const result = await blueprint.adapt(req.body, { checkQuota: usageLedger.guard(req.userId, req.clientIp) });
+      await usageLedger.recordResult(entry, result);
+      return res.json(result);
+    } catch (error) {
+      if (error.usage) await usageLedger.recordResult(entry, error);
+      return sendError(res, error, 'process');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createBlueprintRouter;
@@ -0,0 +1,87 @@
+/**
+ * Document library: saved source texts that /api/process and /api/graphs/generate accept as `documentId`.
+ */
+
+const express = require('express');
+const { validateBody, sendError } = require('./middleware');
+
+function createDocumentsRouter({ services, documents }) {
+  const router = express.Router();
+
+  /**
+   * POST /api/documents
+   * Save { text, title?, outline?, source? }, or { uploadId, title? } to save the extraction
+   * of a file previously sent to /upload (its text, outline and provenance). An upload is saved
+   * once: saving it again answers 200 with the existing document and `duplicate: true`.
+   */
+  router.post('/api/documents', validateBody((body) => documents.validate(body)), async (req, res) => {
+    try {
+      const { uploadId, title, text, outline, source } = req.body;
+      if (uploadId === undefined) {
+        const document = await documents.create({ text, title, outline, source });
+        return res.status(201).json({ success: true, document: documents.summarize(document) });
+      }
+
+      const existing = await documents.findUpload(uploadId);
+      if (existing) {
+        return res.json({ success: true, duplicate: true, document: documents.summarize(existing) });
+      }
+
+      const extraction = await services.ingestion.extractStored(uploadId);
+      const { document, created } = await documents.saveUpload(uploadId, {
+        text: extraction.extractedText,
+        title: title || extraction.title || extraction.document.originalName,
+        outline: extraction.outline,
+        source: {
+          kind: 'upload',
+          originalName: extraction.document.originalName,
+          format: extraction.format,
+          ...(extraction.pages && {
+            pages: extraction.pages.length,
+            ocrPages: extraction.pages.filter((page) => page.source === 'ocr').length,
+          }),
+          ...(extraction.ocr && { ocrEngine: extraction.ocr.engine }),
+        },
+      });
+      return res.status(created ? 201 : 200).json({ success: true, duplicate: !created, document: documents.summarize(document) });
+    } catch (error) {
+      return sendError(res, error, 'documents');
+    }
+  });
+
+  router.get('/api/documents', async (_req, res) => {
+    try {
+      const list = await documents.list();
+      return res.json({ success: true, count: list.length, documents: list });
+    } catch (error) {
+      return sendError(res, error, 'documents');
+    }
+  });
+
+  router.get('/api/documents/:id', async (req, res) => {
+    try {
+      const document = await documents.get(req.params.id);
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found', code: 'DOCUMENT_NOT_FOUND' });
+      }
+      return res.json({ success: true, document });
+    } catch (error) {
+      return sendError(res, error, 'documents');
+    }
+  });
+
+  router.delete('/api/documents/:id', async (req, res) => {
+    try {
+      if (!(await documents.delete(req.params.id))) {
+        return res.status(404).json({ error: 'Document not found', code: 'DOCUMENT_NOT_FOUND' });
+      }
+      return res.json({ success: true, message: `Deleted ${req.params.id}` });
+    } catch (error) {
+      return sendError(res, error, 'documents');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createDocumentsRouter;
@@ -0,0 +1,81 @@
+/**
+ * Embedding generation and pairwise similarity.
+ */
+
+const express = require('express');
+
+function createEmbeddingsRouter({ embeddingsManager }) {
+  const router = express.Router();
+
+  /**
+   * POST /api/embeddings/generate
+   * Generate embeddings for a list of texts
+   */
+  router.post('/api/embeddings/generate', async (req, res) => {
+    const { texts } = req.body ?? {};
+    if (!Array.isArray(texts) || texts.length === 0) {
+      return res.status(400).json({ error: 'texts array is required' });
+    }
+
+    try {
+      const { embeddings, provenance, method, model, fallback } = await embeddingsManager.embed(texts);
+      return res.json({
+        success: true,
+        count: embeddings.length,
+        method,
+        model,
+        fallback,
+        embeddings: texts.map((text, idx) => ({
+          text,
+          embedding: embeddings[idx],
+          provenance: provenance[idx],
+        })),
+      });
+    } catch (error) {
+      console.error('[embeddings] Failed to generate embeddings', error);
+      return res.status(500).json({
+        error: 'Failed to generate embeddings',
+        details: error.message,
+      });
+    }
+  });
+
+  /**
+   * POST /api/embeddings/similarity
+   * Calculate similarity between texts
+   */
+  router.post('/api/embeddings/similarity', async (req, res) => {
+    const { texts } = req.body ?? {};
+    if (!Array.isArray(texts) || texts.length < 2) {
+      return res.status(400).json({ error: 'At least two texts are required' });
+    }
+
+    try {
+      const { matrix, method, model, fallback } = await embeddingsManager.getSimilarityMatrix(texts);
+      return res.json({
+        success: true,
+        texts,
+        method,
+        model,
+        fallback,
+        similarityMatrix: matrix,
+        pairwiseSimilarities: texts
+          .slice(0, -1)
+          .flatMap((text1, i) =>
+            texts.slice(i + 1).map((text2, j) => ({
+              text1,
+              text2,
+              similarity: parseFloat(matrix[i][i + j + 1].toFixed(3)),
+            }))
+          ),
+      });
+    } catch (error) {
+      console.error('[embeddings] Failed to compute similarity', error);
+      return res.status(500).json({ error: 'Failed to compute similarity', details: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createEmbeddingsRouter;
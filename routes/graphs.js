@@ -0,0 +1,125 @@
+/**
+ * Concept graph generation, storage and export.
+ */
+
+const express = require('express');
+const { validateBody, withDocument, enforceQuota, sendError } = require('./middleware');
+
+function createGraphsRouter({ services, persistence, documents, usageLedger, llmClient }) {
+  const router = express.Router();
+  const graphs = services.graphs;
+
+  /**
+   * POST /api/graphs/generate
+   * Generate a topic graph from text using Groq AI analysis
+   *
+   * Request body:
+   * {
+   *   text: string (required unless documentId is given),
+   *   documentId: string (optional, a saved document from /api/documents),
+   *   title: string (optional),
+   *   focus: string (optional),
+   *   useEmbeddings: boolean (default: true),
+   *   savePersistently: boolean (default: true),
+   *   promptVersion: number (optional, a version of the graph-analysis prompt),
+   *   noCache: boolean (default: false, ask the model again instead of reusing a cached analysis)
+   * }
+   */
+  router.post('/api/graphs/generate', enforceQuota(usageLedger, 'graph'), withDocument(documents), validateBody((body) => graphs.validateText(body)), async (req, res) => {
+    try {
+      const result = await graphs.fromText(req.body);
+      await usageLedger.recordResult({ userId: req.userId, ip: req.clientIp, endpoint: '/api/graphs/generate', model: llmClient.model }, result);
+      return res.json(req.document ? { ...result, documentId: req.document.id } : result);
+    } catch (error) {
+      return sendError(res, error, 'graph');
+    }
+  });
+
+  /**
+   * POST /api/graphs/from-structure
+   * Build a graph from an existing blueprint
+   */
+  router.post('/api/graphs/from-structure', validateBody((body) => graphs.validateStructure(body)), async (req, res) => {
+    try {
+      return res.json(await graphs.fromStructure(req.body));
+    } catch (error) {
+      return sendError(res, error, 'graph');
+    }
+  });
+
+  /**
+   * GET /api/graphs/list
+   * List all saved topic graphs
+   */
+  router.get('/api/graphs/list', async (_req, res) => {
+    try {
+      const list = await persistence.listGraphs();
+      return res.json({ success: true, count: list.length, graphs: list });
+    } catch (error) {
+      console.error('[graphs] Failed to list graphs', error);
+      return res.status(500).json({ error: 'Failed to list graphs' });
+    }
+  });
+
+  /**
+   * GET /api/graphs/:filename/export
+   * Export a graph to alternative format
+   * Query param: format (json, cytoscape, gexf, csv)
+   */
+  router.get('/api/graphs/:filename/export', async (req, res) => {
+    try {
+      const { filename } = req.params;
+      const { format = 'json' } = req.query;
+      const exported = await persistence.exportGraph(filename, format);
+
+      if (format === 'gexf') {
+        res.setHeader('Content-Type', 'application/xml');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.gexf"`);
+      } else if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      } else {
+        res.setHeader('Content-Type', 'application/json');
+      }
+
+      return res.send(exported);
+    } catch (error) {
+      console.error('[graphs] Failed to export graph', error);
+      return res.status(500).json({ error: 'Failed to export graph' });
+    }
+  });
+
+  /**
+   * GET /api/graphs/:filename
+   * Load a specific saved graph
+   */
+  router.get('/api/graphs/:filename', async (req, res) => {
+    try {
+      const { filename } = req.params;
+      const graph = await persistence.loadGraph(filename);
+      return res.json({ success: true, graph });
+    } catch (error) {
+      console.error('[graphs] Failed to load graph', error);
+      return res.status(404).json({ error: 'Graph not found' });
+    }
+  });
+
+  /**
+   * DELETE /api/graphs/:filename
+   * Delete a saved graph
+   */
+  router.delete('/api/graphs/:filename', async (req, res) => {
+    try {
+      const { filename } = req.params;
+      const result = await persistence.deleteGraph(filename);
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('[graphs] Failed to delete graph', error);
+      return res.status(500).json({ error: 'Failed to delete graph' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createGraphsRouter;
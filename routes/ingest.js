@@ -0,0 +1,75 @@
+/**
+ * POST /upload - store an uploaded document and extract its text and outline, optionally as a background job.
+ */
+
+const express = require('express');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { sendError } = require('./middleware');
+const { isAcceptedUpload, unsupported } = require('../lib/extractors');
+
+function createIngestRouter({ services, jobQueue, documentStore }) {
+  const router = express.Router();
+
+  // Uploads land under a random temp name; DocumentStore moves them to their content hash.
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: documentStore.tmpDir,
+      filename: (req, file, cb) => cb(null, crypto.randomUUID()),
+    }),
+    limits: { fileSize: documentStore.maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (isAcceptedUpload(file.originalname, file.mimetype)) return cb(null, true);
+      cb(unsupported(path.basename(file.originalname)));
+    },
+  });
+
+  const receiveFile = (req, res, next) => {
+    upload.single('uploadFile')(req, res, (error) => {
+      if (!error) return next();
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          error: `File is too large. The limit is ${Math.round(documentStore.maxBytes / (1024 * 1024))} MB.`,
+          code: 'FILE_TOO_LARGE',
+        });
+      }
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      return sendError(res, error, 'extract');
+    });
+  };
+
+  router.post('/upload', receiveFile, async (req, res) => {
+    const forceOCR = req.query.forceOCR === "1";
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded.' });
+    }
+
+    try {
+      const originalName = path.basename(req.file.originalname).slice(0, 255);
+      const { document, duplicate } = await documentStore.add(req.file.path, { originalName, mimeType: req.file.mimetype });
+      if (duplicate) {
+        console.log(`[extract] ${originalName} matches stored document ${document.id.slice(0, 12)}`);
+      }
+
+      const input = { documentId: document.id, originalName, forceOCR };
+
+      if (req.query.async === "1") {
+        const job = await jobQueue.submit('extract', input, { userId: req.userId, ip: req.clientIp });
+        return res.status(202).json({ message: "File Uploaded, extraction queued", jobId: job.id, job, duplicate });
+      }
+
+      const result = await services.ingestion.extractStored(document.id, { forceOCR });
+      res.status(200).json({ ...result, duplicate });
+    } catch (error) {
+      return sendError(res, error, 'extract');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createIngestRouter;
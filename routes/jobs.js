@@ -0,0 +1,132 @@
+/**
+ * Background jobs: submit, inspect and follow progress over Server-Sent Events.
+ */
+
+const express = require('express');
+const { sendError, ANONYMOUS_USER } = require('./middleware');
+
+function createJobsRouter({ jobQueue, jobTypes, documents, usageLedger }) {
+  const router = express.Router();
+
+  /**
+   * Jobs run the same work as /api/process, /api/process/adapt, /api/narrative and
+   * /api/graphs/from-structure in the background.
+   * Submit with { type: 'process' | 'adapt' | 'narrative' | 'graph', input }.
+   * A `process` input may name a saved `documentId` instead of carrying the text.
+   * Jobs that call the LLM are refused with 429 once the user's daily quota is used up.
+   * Jobs belong to the user who submitted them: the other routes only show a user their own.
+   */
+  router.post('/api/jobs', async (req, res) => {
+    const { type } = req.body ?? {};
+    let { input = {} } = req.body ?? {};
+    if (typeof type !== 'string' || !Object.hasOwn(jobTypes, type)) {
+      return res.status(400).json({ error: `Unknown job type. Expected one of: ${Object.keys(jobTypes).join(', ')}` });
+    }
+    const jobType = jobTypes[type];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return res.status(400).json({ error: 'input must be an object' });
+    }
+
+    if (jobType.metered) {
+      try {
+        usageLedger.assertWithinQuota(req.userId, req.clientIp);
+      } catch (error) {
+        return sendError(res, error, type);
+      }
+    }
+
+    if (type === 'process' && input.documentId !== undefined) {
+      try {
+        input = await documents.resolve(input);
+      } catch (error) {
+        return sendError(res, error, 'documents');
+      }
+      if (!input) {
+        return res.status(404).json({ error: 'Document not found', code: 'DOCUMENT_NOT_FOUND' });
+      }
+    }
+
+    const invalid = jobType.validate(input);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    try {
+      const job = await jobQueue.submit(type, input, { userId: req.userId, ip: req.clientIp });
+      return res.status(202).json({ success: true, jobId: job.id, job });
+    } catch (error) {
+      console.error('[jobs] Failed to submit job', error);
+      return res.status(500).json({ error: 'Failed to submit job', code: 'UNKNOWN_SERVER_ERROR' });
+    }
+  });
+
+  router.get('/api/jobs', (req, res) => {
+    const jobs = jobQueue.list().filter((job) => ownedBy(job, req.userId));
+    return res.json({ success: true, count: jobs.length, jobs });
+  });
+
+  router.get('/api/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!ownedBy(job, req.userId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    return res.json({ success: true, job });
+  });
+
+  /**
+   * Server-Sent Events stream of a job's progress. Emits `progress` events with the job
+   * (including its stage `timeline`) and a final `done` event once it succeeds or fails.
+   */
+  router.get('/api/jobs/:id/events', (req, res) => {
+    const { id } = req.params;
+    const job = jobQueue.get(id);
+    if (!ownedBy(job, req.userId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+
+    const send = (update) => {
+      const event = jobQueue.isFinished(update) ? 'done' : 'progress';
+      res.write(`event: ${event}\ndata: ${JSON.stringify(update)}\n\n`);
+      return event === 'done';
+    };
+
+    if (send(job)) {
+      return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      jobQueue.off('update', onUpdate);
+    };
+    const onUpdate = (update) => {
+      if (update.id !== id) return;
+      if (send(update)) {
+        cleanup();
+        res.end();
+      }
+    };
+
+    jobQueue.on('update', onUpdate);
+    req.on('close', cleanup);
+  });
+
+  return router;
+}
+
+/**
+ * Whether `job` exists and was submitted by `userId`. Jobs from before users were tracked
+ * count as anonymous. Other users' jobs are reported as not found.
+ */
+function ownedBy(job, userId) {
+  return Boolean(job) && (job.userId ?? ANONYMOUS_USER) === userId;
+}
+
+module.exports = createJobsRouter;
@@ -0,0 +1,178 @@
+/**
+ * Middleware shared by every route module.
+ */
+
+const crypto = require('crypto');
+const { describeError } = require('../lib/apiErrors');
+
+const USER_ID_PATTERN = /^[\w.@-]{1,64}$/;
+const ANONYMOUS_USER = 'anonymous';
+
+function requestLogger(req, _res, next) {
+  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+  next();
+}
+
+/**
+ * Attribute the request to a user (`req.userId`) and note the client address (`req.clientIp`).
+ * Usage and quotas are tracked per user id and per address.
+ *
+ * With `USER_API_KEYS` (`key=userId,...`) set, the user comes from the `X-API-Key` header: a
+ * known key names its user, an unknown one is refused with 401 and no key means "anonymous";
+ * `X-User-Id` is ignored. Without it, the self-reported `X-User-Id` header is used as is, which
+ * only suits a trusted network (see README, "API Overview").
+ */
+function identifyUser(config = {}) {
+  const apiKeys = parseApiKeys(config.USER_API_KEYS);
+
+  return (req, res, next) => {
+    req.clientIp = req.ip || req.socket?.remoteAddress || 'unknown';
+
+    if (apiKeys.size) {
+      const key = req.get('X-API-Key');
+      if (key === undefined || key === '') {
+        req.userId = ANONYMOUS_USER;
+        return next();
+      }
+      const userId = apiKeys.get(hashSecret(key));
+      if (!userId) {
+        return res.status(401).json({ error: 'Unknown API key', code: 'UNAUTHORIZED' });
+      }
+      req.userId = userId;
+      return next();
+    }
+
+    const userId = req.get('X-User-Id');
+    if (userId === undefined || userId === '') {
+      req.userId = ANONYMOUS_USER;
+      return next();
+    }
+    if (!USER_ID_PATTERN.test(userId)) {
+      return res.status(400).json({ error: 'X-User-Id must be 1-64 letters, digits, ".", "_", "-" or "@"' });
+    }
+    req.userId = userId;
+    return next();
+  };
+}
+
+/**
+ * Parse `USER_API_KEYS` (`key1=teacher1,key2=demo`) into a map from key hash to user id, so
+ * lookups do not compare the secrets themselves.
+ */
+function parseApiKeys(value) {
+  const keys = new Map();
+  String(value || '')
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .forEach((pair) => {
+      const separator = pair.lastIndexOf('=');
+      const key = pair.slice(0, separator).trim();
+      const userId = pair.slice(separator + 1).trim();
+      if (separator < 1 || !key || !USER_ID_PATTERN.test(userId)) {
+        throw new Error('USER_API_KEYS entries must look like key=userId');
+      }
+      keys.set(hashSecret(key), userId);
+    });
+  return keys;
+}
+
+/**
+ * Reject the request with 429 once the user or their address has used up today's token quota.
+ */
+function enforceQuota(usageLedger, scope = 'process') {
+  return (req, res, next) => {
+    try {
+      usageLedger.assertWithinQuota(req.userId, req.clientIp);
+      return next();
+    } catch (error) {
+      return sendError(res, error, scope);
+    }
+  };
+}
+
+/**
+ * Only admins (the `ADMIN_TOKEN`, sent as a Bearer token or `X-Admin-Token`) may pass.
+ */
+function requireAdmin(config) {
+  return (req, res, next) => {
+    if (!config.ADMIN_TOKEN) {
+      return res.status(403).json({ error: 'Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.', code: 'ADMIN_DISABLED' });
+    }
+    const supplied = req.get('X-Admin-Token') || (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!sameSecret(supplied, config.ADMIN_TOKEN)) {
+      return res.status(401).json({ error: 'Admin token required', code: 'UNAUTHORIZED' });
+    }
+    return next();
+  };
+}
+
+function sameSecret(supplied, expected) {
+  return crypto.timingSafeEqual(Buffer.from(hashSecret(supplied), 'hex'), Buffer.from(hashSecret(expected), 'hex'));
+}
+
+function hashSecret(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Reject the request with 400 when `validate(req.body)` returns an error message.
+ */
+function validateBody(validate) {
+  return (req, res, next) => {
+    const invalid = validate(req.body ?? {});
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    return next();
+  };
+}
+
+/**
+ * When the body names a `documentId`, load that saved document's text, outline and title
+ * into the body (404 for unknown ids) and expose it as `req.document`.
+ */
+function withDocument(documents) {
+  return async (req, res, next) => {
+    const documentId = req.body?.documentId;
+    if (documentId === undefined) return next();
+
+    try {
+      const resolved = await documents.resolve(req.body);
+      if (!resolved) {
+        return res.status(404).json({ error: 'Document not found', code: 'DOCUMENT_NOT_FOUND' });
+      }
+      req.body = resolved;
+      req.document = { id: documentId };
+      return next();
+    } catch (error) {
+      return sendError(res, error, 'documents');
+    }
+  };
+}
+
+function sendError(res, error, scope) {
+  const { status, body } = describeError(error, scope);
+  return res.status(status).json(body);
+}
+
+function notFound(req, res) {
+  res.status(404).send(`
+    <h1>404 - Page Not Found</h1>
+    <p>Path: ${req.path}</p>
+    <p><a href="/">Go to Main App</a></p>
+    <p><a href="/dashboard">Go to Dashboard</a></p>
+  `);
+}
+
+module.exports = {
+  ANONYMOUS_USER,
+  requestLogger,
+  identifyUser,
+  enforceQuota,
+  requireAdmin,
+  validateBody,
+  withDocument,
+  sendError,
+  notFound,
+};
@@ -0,0 +1,25 @@
+/**
+ * POST /api/narrative - lore, NPC hooks and encounters for a blueprint.
+ */
+
+const express = require('express');
+const { validateBody, enforceQuota, sendError } = require('./middleware');
+
+function createNarrativeRouter({ services, usageLedger, llmClient }) {
+  const router = express.Router();
+  const narrative = services.narrative;
+
+  router.post('/api/narrative', enforceQuota(usageLedger, 'narrative'), validateBody((body) => narrative.validate(body)), async (req, res) => {
+    try {
+      const result = await narrative.generate(req.body);
+      await usageLedger.recordResult({ userId: req.userId, ip: req.clientIp, endpoint: '/api/narrative', model: llmClient.model }, result);
+      return res.json(result);
+    } catch (error) {
+      return sendError(res, error, 'narrative');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createNarrativeRouter;
@@ -0,0 +1,29 @@
+/**
+ * Prompt templates: the versions each endpoint can be asked for with `promptVersion`.
+ */
+
+const express = require('express');
+
+function createPromptsRouter({ prompts }) {
+  const router = express.Router();
+
+  router.get('/api/prompts', (_req, res) => {
+    res.json({ success: true, prompts: prompts.list() });
+  });
+
+  /**
+   * GET /api/prompts/:id/:version
+   * The template itself (messages with `{{variable}}` placeholders), e.g. to diff two versions.
+   */
+  router.get('/api/prompts/:id/:version', (req, res) => {
+    const invalid = prompts.validateVersion(req.params.id, req.params.version);
+    if (invalid) {
+      return res.status(404).json({ error: invalid, code: 'PROMPT_NOT_FOUND' });
+    }
+    return res.json({ success: true, template: prompts.get(req.params.id, req.params.version) });
+  });
+
+  return router;
+}
+
+module.exports = createPromptsRouter;
@@ -0,0 +1,34 @@
+/**
+ * Semantic search over the concepts of saved graphs.
+ */
+
+const express = require('express');
+const { sendError } = require('./middleware');
+
+function createSearchRouter({ conceptIndex }) {
+  const router = express.Router();
+
+  /**
+   * GET /api/search?q=&limit=&minScore=
+   * Concepts nearest to `q` across all saved graphs (default 10, at most 50), each with its
+   * graph, type, difficulty and similarity score. Concepts scoring below `minScore` (default
+   * SEARCH_MIN_SCORE, else 0.2) are left out.
+   */
+  router.get('/api/search', async (req, res) => {
+    const invalid = conceptIndex.validateQuery(req.query);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    try {
+      const { q, limit, minScore } = req.query;
+      return res.json({ success: true, ...(await conceptIndex.search(q, { limit, minScore })) });
+    } catch (error) {
+      return sendError(res, error, 'search');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSearchRouter;
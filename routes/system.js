@@ -0,0 +1,59 @@
+/**
+ * Health check and the HTML entry pages.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+function createSystemRouter({ llmClient, embeddingsManager, ocrPool }) {
+  const router = express.Router();
+
+  router.get('/api/health', (_req, res) => {
+    res.json({
+      status: 'ok',
+      timestamp: Date.now(),
+      features: ['process', 'narrative', 'concept-graphs', 'topic-graphs', 'embeddings', 'clustering', 'jobs'],
+      embeddingsMode: embeddingsManager.method,
+      embeddingsCache: embeddingsManager.cacheStats(),
+      llmProvider: llmClient.provider.name,
+      llmModel: llmClient.model,
+      ocrEngine: ocrPool.engine ? ocrPool.engine.name : null,
+    });
+  });
+
+  router.get('/', (req, res) => {
+    const indexPath = path.join(PUBLIC_DIR, 'index.html');
+    console.log('Serving index.html from:', indexPath);
+
+    if (fs.existsSync(indexPath)) {
+      res.sendFile(indexPath);
+    } else {
+      res.status(404).send('index.html not found at: ' + indexPath);
+    }
+  });
+
+  // Dashboard route
+  router.get('/dashboard', (req, res) => {
+    const dashboardPath = path.join(PUBLIC_DIR, 'dashboard.html');
+    console.log('Serving dashboard.html from:', dashboardPath);
+    console.log('File exists?', fs.existsSync(dashboardPath));
+
+    if (fs.existsSync(dashboardPath)) {
+      res.sendFile(dashboardPath);
+    } else {
+      res.status(404).send(`
+        <h1>Dashboard Not Found</h1>
+        <p>Looking for: ${dashboardPath}</p>
+        <p>Please ensure dashboard.html exists in the public folder.</p>
+        <p><a href="/">Return to Main App</a></p>
+      `);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSystemRouter;
@@ -0,0 +1,41 @@
+/**
+ * Token usage: the caller's own quota status, and ledger summaries for admins.
+ */
+
+const express = require('express');
+const { requireAdmin, sendError } = require('./middleware');
+
+function createUsageRouter({ usageLedger, config }) {
+  const router = express.Router();
+
+  /**
+   * GET /api/usage/me
+   * Today's tokens, requests and remaining quota for the caller (see `identifyUser`).
+   */
+  router.get('/api/usage/me', (req, res) => {
+    res.json({ success: true, usage: usageLedger.status(req.userId) });
+  });
+
+  /**
+   * GET /api/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&userId=
+   * Totals for the period (default the last 7 days) by user, endpoint, model and day.
+   * Requires the ADMIN_TOKEN.
+   */
+  router.get('/api/usage', requireAdmin(config), async (req, res) => {
+    const { from, to, userId } = req.query;
+    const invalid = usageLedger.validateRange({ from, to });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    try {
+      return res.json({ success: true, usage: await usageLedger.summarize({ from, to, userId }) });
+    } catch (error) {
+      return sendError(res, error, 'usage');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createUsageRouter;
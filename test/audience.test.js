@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAudience, resolveAudience, describeAudience } = require('../lib/audience');
+
+test('validateAudience accepts known bands and proficiencies', () => {
+  assert.equal(validateAudience(undefined), null);
+  assert.equal(validateAudience({ gradeBand: 'middle', proficiency: 'beginner' }), null);
+});
+
+test('validateAudience rejects inherited object keys', () => {
+  ['toString', 'constructor', '__proto__', 'hasOwnProperty'].forEach((key) => {
+    assert.match(validateAudience({ gradeBand: key }), /gradeBand must be one of/);
+    assert.match(validateAudience({ proficiency: key }), /proficiency must be one of/);
+  });
+});
+
+test('resolveAudience lowers the reading level for English learners', () => {
+  const native = resolveAudience({ gradeBand: 'middle' });
+  const learner = resolveAudience({ gradeBand: 'middle', proficiency: 'beginner' });
+
+  assert.ok(learner.readingLevel < native.readingLevel);
+  assert.match(describeAudience(learner), /reading level/);
+});
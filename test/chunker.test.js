@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TextChunker = require('../lib/chunker');
+const BlueprintMerger = require('../lib/blueprintMerger');
+
+const paragraph = (word, count) => Array(count).fill(`${word} cells divide and grow.`).join(' ');
+
+test('TextChunker.split keeps chunks within maxChars and their offsets point into the text', () => {
+  const text = [paragraph('Plant', 20), paragraph('Animal', 20), paragraph('Fungal', 20)].join('\n\n');
+  const chunks = TextChunker.split(text, { maxChars: 600 });
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach((chunk, index) => {
+    assert.equal(chunk.index, index);
+    assert.ok(chunk.end - chunk.start <= 600);
+    assert.equal(chunk.text, text.slice(chunk.start, chunk.end));
+  });
+  assert.equal(chunks[0].start, 0);
+  assert.equal(chunks.at(-1).end, text.length);
+  assert.deepEqual(TextChunker.split('  \n\n '), []);
+});
+
+test('TextChunker.split starts a new chunk at a heading and carries it forward', () => {
+  const text = `Chapter 1 Cells\n\n${paragraph('Plant', 12)}\n\nChapter 2 Energy\n\n${paragraph('Animal', 12)}\n\n${paragraph('Fungal', 12)}`;
+  const chunks = TextChunker.split(text, { maxChars: 400 });
+
+  assert.equal(chunks[0].heading, 'Chapter 1 Cells');
+  const energy = chunks.findIndex((chunk) => chunk.text.startsWith('Chapter 2 Energy'));
+  assert.ok(energy > 0);
+  chunks.slice(energy).forEach((chunk) => assert.equal(chunk.heading, 'Chapter 2 Energy'));
+});
+
+test('TextChunker.split treats outline headings as section starts and drops markdown markers', () => {
+  const text = `# Intro\n\n${paragraph('Plant', 10)}\n\nPhotosynthesis basics\n\n${paragraph('Leaf', 10)}`;
+  const chunks = TextChunker.split(text, { maxChars: 300, headings: ['photosynthesis  basics'] });
+
+  assert.equal(chunks[0].heading, 'Intro');
+  assert.ok(chunks.some((chunk) => chunk.heading === 'Photosynthesis basics'));
+  assert.deepEqual(TextChunker.outline('# Cells\ntext\n## Energy ##'), [{ level: 1, text: 'Cells' }, { level: 2, text: 'Energy' }]);
+});
+
+test('BlueprintMerger.merge deduplicates levels, quests and vocabulary across chunks', () => {
+  const span = (start) => ({ start, end: start + 5, snippet: 'x', match: 'exact' });
+  const merged = BlueprintMerger.merge([
+    {
+      chunk: { index: 0, start: 0, end: 100 },
+      structured: {
+        levels: [{ name: 'Cells', quests: [{ title: 'Find the nucleus', items: ['Lens'], sources: [span(10)] }] }],
+        vocabulary: [{ term: 'Nucleus', sources: [span(10)] }],
+      },
+    },
+    {
+      chunk: { index: 1, start: 100, end: 200 },
+      structured: {
+        levels: [
+          { name: ' cells ', overview: 'Units of life', quests: [{ title: 'find the  nucleus', items: ['lens', 'Stain'], description: 'Look closely' }] },
+          { name: 'Energy', quests: [{ title: 'Make ATP' }] },
+        ],
+        vocabulary: [{ term: 'nucleus', sources: [span(10), span(150)] }, { term: 'ATP' }],
+      },
+    },
+  ]);
+
+  assert.deepEqual(merged.levels.map((level) => level.name), ['Cells', 'Energy']);
+  const [cells] = merged.levels;
+  assert.equal(cells.overview, 'Units of life');
+  assert.deepEqual(cells.sourceRanges, [{ chunk: 0, start: 0, end: 100 }, { chunk: 1, start: 100, end: 200 }]);
+  assert.equal(cells.quests.length, 1);
+  assert.deepEqual(cells.quests[0].items, ['Lens', 'Stain']);
+  assert.equal(cells.quests[0].description, 'Look closely');
+
+  assert.deepEqual(merged.vocabulary.map((entry) => entry.term), ['Nucleus', 'ATP']);
+  assert.deepEqual(merged.vocabulary[0].sources.map((source) => source.start), [10, 150]);
+});
+
+test('BlueprintMerger.merge skips parts without a blueprint', () => {
+  assert.deepEqual(BlueprintMerger.merge([{ structured: null }, { structured: 'oops' }]), { levels: [], vocabulary: [], assessments: [] });
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SourceLocator = require('../lib/citations');
+
+const TEXT = [
+  '--- Page 1 ---',
+  'Cells are the basic units of life. The nucleus stores the DNA of the cell.',
+  '--- Page 2 ---',
+  'Mitochondria produce ATP, the energy currency of the cell. Ribosomes build proteins from amino acids.',
+].join('\n');
+
+test('SourceLocator finds an exact quote regardless of case and punctuation', () => {
+  const locator = new SourceLocator(TEXT);
+  const span = locator.locate('the NUCLEUS stores the DNA of the cell', 'Nucleus', { start: 0, end: TEXT.length });
+
+  assert.equal(span.match, 'exact');
+  assert.equal(span.page, 1);
+  assert.equal(TEXT.slice(span.start, span.end), 'The nucleus stores the DNA of the cell');
+});
+
+test('SourceLocator cites the surrounding sentence for a partial quote or a bare term', () => {
+  const locator = new SourceLocator(TEXT);
+  const range = { start: 0, end: TEXT.length };
+
+  const partial = locator.locate('Mitochondria produce ATP, the energy currency of every living thing', 'Mitochondria', range);
+  assert.equal(partial.match, 'partial');
+  assert.equal(partial.page, 2);
+  assert.equal(partial.snippet, 'Mitochondria produce ATP, the energy currency of the cell.');
+
+  const term = locator.locate('', 'Ribosomes', range);
+  assert.equal(term.match, 'term');
+  assert.equal(term.snippet, 'Ribosomes build proteins from amino acids.');
+
+  assert.equal(locator.locate('Photosynthesis happens in chloroplasts', 'Chloroplast', range), null);
+});
+
+test('SourceLocator.cite replaces source quotes with spans and summarize counts them', () => {
+  const locator = new SourceLocator(TEXT);
+  const structured = {
+    levels: [{ name: 'Cells', quests: [{ title: 'Find the nucleus', source: 'The nucleus stores the DNA of the cell.' }] }],
+    vocabulary: [{ term: 'Ribosomes' }, { term: 'Chloroplast', source: 'made up' }],
+    assessments: [],
+  };
+
+  locator.cite(structured);
+  const [quest] = structured.levels[0].quests;
+  assert.equal(quest.source, undefined);
+  assert.equal(quest.sources[0].match, 'exact');
+  assert.deepEqual(structured.vocabulary[1].sources, []);
+  assert.deepEqual(locator.summarize(structured), { total: 3, exact: 1, partial: 0, term: 1, missing: 1 });
+});
+
+test('SourceLocator prefers a match inside the chunk range', () => {
+  const text = 'The cell divides. Filler text here. The cell divides.';
+  const locator = new SourceLocator(text);
+  const second = text.lastIndexOf('The cell');
+  const span = locator.locate('', 'cell', { start: second, end: text.length });
+
+  assert.equal(span.start, second);
+});
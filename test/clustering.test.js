@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TopicClusterer = require('../lib/clustering');
+
+// Three well separated groups of four points.
+const GROUPS = [[0, 0], [10, 0], [0, 10]].flatMap(([x, y]) => [[x, y], [x + 0.5, y], [x, y + 0.5], [x + 0.5, y + 0.5]]);
+
+test('TopicClusterer.cluster picks k by silhouette and separates clear groups', () => {
+  const result = TopicClusterer.cluster(GROUPS);
+
+  assert.equal(result.k, 3);
+  assert.equal(result.clusters.length, 3);
+  result.clusters.forEach((cluster) => {
+    const group = Math.floor(cluster[0] / 4);
+    assert.deepEqual(cluster, [0, 1, 2, 3].map((offset) => group * 4 + offset));
+  });
+  assert.ok(result.silhouette.mean > 0.9);
+  assert.deepEqual(result.candidates.map((candidate) => candidate.requested), [2, 3, 4, 5, 6]);
+});
+
+test('TopicClusterer.cluster is reproducible for a seed', () => {
+  const points = Array.from({ length: 24 }, (_, i) => [Math.sin(i * 1.7), Math.cos(i * 0.9), (i * 7) % 5]);
+  const first = TopicClusterer.cluster(points, { seed: 7, restarts: 3 });
+  const second = TopicClusterer.cluster(points, { seed: 7, restarts: 3 });
+
+  assert.deepEqual(second.assignments, first.assignments);
+  assert.deepEqual(second.candidates, first.candidates);
+  assert.equal(first.seed, 7);
+});
+
+test('TopicClusterer.cluster reports k as the number of non-empty clusters', () => {
+  const duplicates = [[1, 0], [1, 0], [1, 0], [1, 0], [0, 1], [0, 1], [0, 1], [0, 1]];
+  const result = TopicClusterer.cluster(duplicates);
+
+  assert.equal(result.k, result.clusters.length);
+  result.candidates.forEach((candidate) => assert.ok(candidate.k <= candidate.requested));
+  assert.ok(result.candidates.some((candidate) => candidate.k < candidate.requested));
+
+  const pair = TopicClusterer.cluster([[1, 0], [1, 0]]);
+  assert.equal(pair.k, pair.clusters.length);
+  assert.equal(pair.silhouette, null);
+});
+
+test('TopicClusterer.cluster scores a sample and stops iterating once its work budget is spent', () => {
+  const points = Array.from({ length: 60 }, (_, i) => [Math.sin(i * 1.3) * 5, Math.cos(i * 0.7) * 5, i % 7]);
+  const options = { silhouetteSample: 20, maxWork: 20000 };
+  const result = TopicClusterer.cluster(points, options);
+
+  assert.deepEqual(result.candidates.map((candidate) => candidate.requested), [2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.equal(result.silhouette.perCluster.length, result.clusters.length);
+  assert.ok(Number.isFinite(result.silhouette.mean));
+  assert.deepEqual(TopicClusterer.cluster(points, options).assignments, result.assignments);
+
+  // Enough for the k-means++ seeding and one iteration of the first run only.
+  const limited = TopicClusterer.kmeans(points, 3, { restarts: 5, budget: { remaining: 60 * 3 * 3 + 1 } });
+  assert.deepEqual(limited, TopicClusterer.kmeans(points, 3, { restarts: 1, maxIterations: 1 }));
+});
+
+test('TopicClusterer.kmeans handles empty input and k above the number of points', () => {
+  assert.deepEqual(TopicClusterer.kmeans([], 3), { clusters: [], assignments: [], centroids: [], inertia: 0 });
+
+  const result = TopicClusterer.kmeans([[0, 0], [5, 5]], 5);
+  assert.equal(result.clusters.length, 2);
+  assert.equal(result.inertia, 0);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const DocumentLibrary = require('../lib/documentLibrary');
+
+async function tempLibrary(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'documents-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return new DocumentLibrary(dir);
+}
+
+const UPLOAD = 'a'.repeat(64);
+
+test('DocumentLibrary saves an upload once, however often it is saved', async (t) => {
+  const library = await tempLibrary(t);
+  const fields = { text: 'Cells are small.', title: 'Cells', source: { kind: 'upload', format: 'text' } };
+
+  const results = await Promise.all([library.saveUpload(UPLOAD, fields), library.saveUpload(UPLOAD, fields)]);
+  assert.deepEqual(results.map(({ created }) => created).sort(), [false, true]);
+  assert.equal(results[0].document.id, results[1].document.id);
+  assert.equal(results[0].document.source.uploadId, UPLOAD);
+
+  assert.equal((await library.findUpload(UPLOAD)).id, results[0].document.id);
+  assert.equal((await library.list()).length, 1);
+  assert.equal(await library.findUpload('b'.repeat(64)), null);
+});
+
+test('DocumentLibrary gives pasted texts their own ids and upload ids a valid document id', async (t) => {
+  const library = await tempLibrary(t);
+  const first = await library.create({ text: 'Same text' });
+  const second = await library.create({ text: 'Same text' });
+
+  assert.notEqual(first.id, second.id);
+  assert.ok(library.isValidId(DocumentLibrary.idForUpload(UPLOAD)));
+  assert.equal(DocumentLibrary.idForUpload(UPLOAD), DocumentLibrary.idForUpload(UPLOAD));
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const EmbeddingCache = require('../lib/embeddingCache');
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'embedding-cache-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('EmbeddingCache returns stored vectors per model and counts misses', async (t) => {
+  const cache = new EmbeddingCache(await tempDir(t));
+  await cache.setMany('m1', new Map([['cell', [1, 2]]]));
+
+  const found = await cache.getMany('m1', ['cell', 'atom']);
+  assert.deepEqual(found.get('cell'), [1, 2]);
+  assert.equal(found.has('atom'), false);
+  assert.equal((await cache.getMany('m2', ['cell'])).size, 0);
+
+  const stats = cache.stats();
+  assert.equal(stats.entries, 1);
+  assert.equal(stats.memoryHits, 1);
+  assert.equal(stats.misses, 2);
+});
+
+test('EmbeddingCache evicts the least recently used entries beyond maxEntries', async (t) => {
+  const dir = await tempDir(t);
+  const cache = new EmbeddingCache(dir, { maxEntries: 2 });
+  await cache.setMany('m', new Map([['a', [1]], ['b', [2]]]));
+  await cache.getMany('m', ['a']);
+  await cache.setMany('m', new Map([['c', [3]]]));
+
+  const found = await cache.getMany('m', ['a', 'b', 'c']);
+  assert.deepEqual(Array.from(found.keys()), ['a', 'c']);
+  assert.equal(cache.stats().evictions, 1);
+  assert.equal((await fs.readdir(dir)).length, 2);
+});
+
+test('EmbeddingCache keeps only maxMemoryEntries in memory and reads the rest from disk', async (t) => {
+  const dir = await tempDir(t);
+  const cache = new EmbeddingCache(dir, { maxMemoryEntries: 1 });
+  await cache.setMany('m', new Map([['a', [1]], ['b', [2]]]));
+  assert.equal(cache.stats().inMemory, 1);
+
+  const found = await cache.getMany('m', ['a']);
+  assert.deepEqual(found.get('a'), [1]);
+  assert.equal(cache.stats().diskHits, 1);
+
+  const reopened = new EmbeddingCache(dir);
+  assert.deepEqual((await reopened.getMany('m', ['b'])).get('b'), [2]);
+  assert.equal(reopened.stats().entries, 2);
+});
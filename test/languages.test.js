@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateLanguage, resolveLanguage, describeBlueprintLanguage } = require('../lib/languages');
+
+test('validateLanguage accepts supported language codes', () => {
+  assert.equal(validateLanguage({}), null);
+  assert.equal(validateLanguage({ language: 'es', sourceLanguage: 'en', bilingualVocabulary: true }), null);
+});
+
+test('validateLanguage rejects unknown codes and inherited object keys', () => {
+  ['xx', 'constructor', 'toString', '__proto__'].forEach((code) => {
+    assert.match(validateLanguage({ language: code }), /language must be one of/);
+    assert.match(validateLanguage({ sourceLanguage: code }), /sourceLanguage must be one of/);
+  });
+  assert.match(validateLanguage({ bilingualVocabulary: 'yes' }), /must be a boolean/);
+});
+
+test('resolveLanguage only keeps bilingual vocabulary across two languages', () => {
+  assert.equal(resolveLanguage({ language: 'en', bilingualVocabulary: true }).bilingualVocabulary, false);
+
+  const settings = resolveLanguage({ language: 'es', bilingualVocabulary: true });
+  assert.equal(settings.bilingualVocabulary, true);
+  assert.match(describeBlueprintLanguage(settings), /Spanish/);
+});
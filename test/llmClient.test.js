@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LLMClient = require('../lib/llm/client');
+const { ResponseCache } = require('../lib/llm/responseCache');
+
+async function tempCache(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-cache-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return new ResponseCache({ dir });
+}
+
+// A provider answering with the given contents in turn.
+function scripted(...contents) {
+  const provider = {
+    name: 'test',
+    model: 'test-model',
+    calls: 0,
+    async chat() {
+      const content = contents[Math.min(provider.calls++, contents.length - 1)];
+      return { content, usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 }, model: 'test-model' };
+    },
+  };
+  return provider;
+}
+
+const messages = [{ role: 'user', content: 'Summarize the excerpt.' }];
+
+test('LLMClient caches responses and answers repeats from the cache', async (t) => {
+  const provider = scripted('{"levels":[]}');
+  const client = new LLMClient(provider, { cache: await tempCache(t) });
+
+  assert.equal((await client.complete(messages, { responseFormat: 'json_object' })).cached, false);
+  const repeat = await client.complete(messages, { responseFormat: 'json_object' });
+  assert.equal(repeat.cached, true);
+  assert.equal(repeat.content, '{"levels":[]}');
+  assert.equal(provider.calls, 1);
+});
+
+test('LLMClient does not cache JSON-mode responses that fail to parse', async (t) => {
+  const provider = scripted('{"levels": [', '{"levels":[]}');
+  const cache = await tempCache(t);
+  const client = new LLMClient(provider, { cache });
+
+  assert.equal((await client.complete(messages, { responseFormat: 'json_object' })).content, '{"levels": [');
+  const retry = await client.complete(messages, { responseFormat: 'json_object' });
+  assert.equal(retry.cached, false);
+  assert.equal(retry.content, '{"levels":[]}');
+  assert.equal(provider.calls, 2);
+  assert.equal((await client.complete(messages, { responseFormat: 'json_object' })).cached, true);
+});
+
+test('LLMClient evicts malformed JSON-mode entries stored earlier', async (t) => {
+  const provider = scripted('{"levels":[]}');
+  const cache = await tempCache(t);
+  const client = new LLMClient(provider, { cache });
+  const key = ResponseCache.keyFor('test-model', { messages, temperature: 0.4, response_format: { type: 'json_object' } });
+  await cache.set(key, { content: 'not json', usage: null, model: 'test-model' });
+
+  const result = await client.complete(messages, { responseFormat: 'json_object' });
+  assert.equal(result.cached, false);
+  assert.equal(result.content, '{"levels":[]}');
+  assert.equal((await cache.get(key)).content, '{"levels":[]}');
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePromptVersions } = require('../lib/promptRegistry');
+
+test('parsePromptVersions reads id=version pairs', () => {
+  assert.deepEqual(parsePromptVersions('blueprint=1, narrative = 2'), { blueprint: '1', narrative: '2' });
+});
+
+test('parsePromptVersions treats an unset value as no overrides', () => {
+  assert.deepEqual(parsePromptVersions(undefined), {});
+  assert.deepEqual(parsePromptVersions(' , '), {});
+});
+
+test('parsePromptVersions rejects malformed entries', () => {
+  assert.throws(() => parsePromptVersions('blueprint'), /id=version/);
+  assert.throws(() => parsePromptVersions('=2'), /id=version/);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { UsageLedger, QuotaExceededError, parseUserLimits } = require('../lib/usageLedger');
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'usage-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const usage = (total) => ({ prompt_tokens: total - 1, completion_tokens: 1, total_tokens: total });
+
+test('UsageLedger enforces per-user limits and overrides', async (t) => {
+  const ledger = new UsageLedger(await tempDir(t), { dailyTokenLimit: 100, userLimits: { teacher: 1000 } });
+  await ledger.initialize();
+
+  await ledger.record({ userId: 'alice', endpoint: '/api/process', model: 'm', usage: usage(100) });
+  await ledger.record({ userId: 'teacher', endpoint: '/api/process', model: 'm', usage: usage(100) });
+
+  assert.throws(() => ledger.assertWithinQuota('alice'), (error) => {
+    assert.ok(error instanceof QuotaExceededError);
+    assert.equal(error.scope, 'user');
+    assert.equal(error.limit, 100);
+    assert.equal(error.used, 100);
+    return true;
+  });
+  assert.doesNotThrow(() => ledger.assertWithinQuota('teacher'));
+  assert.equal(ledger.status('teacher').remaining, 900);
+});
+
+test('UsageLedger limits all users of one address together', async (t) => {
+  const ledger = new UsageLedger(await tempDir(t), { ipDailyTokenLimit: 50 });
+  await ledger.initialize();
+
+  await ledger.record({ userId: 'a', ip: '10.0.0.1', endpoint: '/api/process', model: 'm', usage: usage(30) });
+  await ledger.record({ userId: 'b', ip: '10.0.0.1', endpoint: '/api/process', model: 'm', usage: usage(30) });
+
+  assert.throws(() => ledger.assertWithinQuota('c', '10.0.0.1'), (error) => error.scope === 'address' && error.used === 60);
+  assert.doesNotThrow(() => ledger.assertWithinQuota('c', '10.0.0.2'));
+});
+
+test('UsageLedger.guard stops a running request before its next call would pass the quota', async (t) => {
+  const ledger = new UsageLedger(await tempDir(t), { dailyTokenLimit: 100, ipDailyTokenLimit: 1000 });
+  await ledger.initialize();
+  await ledger.record({ userId: 'alice', ip: '10.0.0.1', endpoint: '/api/process', model: 'm', usage: usage(40) });
+  const check = ledger.guard('alice', '10.0.0.1');
+
+  assert.doesNotThrow(() => check(usage(30), 30));
+  assert.throws(() => check(usage(45), 45), (error) => {
+    assert.ok(error instanceof QuotaExceededError);
+    assert.equal(error.used, 85);
+    assert.equal(error.usage.total_tokens, 45);
+    return true;
+  });
+  assert.throws(() => check(usage(60)), (error) => error.used === 100);
+  assert.doesNotThrow(() => ledger.guard('bob', '10.0.0.1')(usage(30), 30));
+});
+
+test('UsageLedger rebuilds today\'s totals from disk and summarizes the ledger', async (t) => {
+  const dir = await tempDir(t);
+  const first = new UsageLedger(dir);
+  await first.initialize();
+  await first.record({ userId: 'alice', ip: '10.0.0.1', endpoint: '/api/process', model: 'm1', usage: usage(40) });
+  await first.record({ userId: 'bob', endpoint: '/api/narrative', model: 'm2', usage: usage(10) });
+
+  const second = new UsageLedger(dir, { ipDailyTokenLimit: 40 });
+  assert.equal(await second.initialize(), 2);
+  assert.equal(second.status('alice').used, 40);
+  assert.throws(() => second.assertWithinQuota('carol', '10.0.0.1'), QuotaExceededError);
+
+  const summary = await second.summarize();
+  assert.equal(summary.totals.requests, 2);
+  assert.equal(summary.totals.total_tokens, 50);
+  assert.equal(summary.byUser.alice.total_tokens, 40);
+  assert.equal(summary.byEndpoint['/api/narrative'].requests, 1);
+  assert.deepEqual(Object.keys(summary.byModel).sort(), ['m1', 'm2']);
+});
+
+test('UsageLedger.validateRange rejects malformed and oversized ranges', () => {
+  const ledger = new UsageLedger(os.tmpdir());
+  assert.equal(ledger.validateRange({ from: '2024-01-01', to: '2024-01-07' }), null);
+  assert.match(ledger.validateRange({ from: '2024-1-1' }), /from must be a date/);
+  assert.match(ledger.validateRange({ from: '2024-02-01', to: '2024-01-01' }), /must not be after/);
+  assert.match(ledger.validateRange({ from: '2020-01-01', to: '2024-01-01' }), /at most/);
+});
+
+test('parseUserLimits reads user=tokens pairs', () => {
+  assert.deepEqual(parseUserLimits(' teacher1=500000, demo=20000 '), { teacher1: 500000, demo: 20000 });
+  assert.deepEqual(parseUserLimits(undefined), {});
+  assert.throws(() => parseUserLimits('teacher1=lots'), /user=tokens/);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { loadZip, readEntry } = require('../lib/extractors/zip');
+const { ExtractionError } = require('../lib/extractors/errors');
+
+const build = (files) => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+// Rewrite the uncompressed size in every local and central directory header, as a forged
+// archive would.
+const forgeSizes = (buffer, size) => {
+  for (let offset = 0; offset < buffer.length - 4; offset++) {
+    const signature = buffer.readUInt32LE(offset);
+    if (signature === 0x04034b50) buffer.writeUInt32LE(size, offset + 22);
+    if (signature === 0x02014b50) buffer.writeUInt32LE(size, offset + 24);
+  }
+  return buffer;
+};
+
+const rejectsAsTooLarge = (promise) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof ExtractionError);
+  assert.equal(error.code, 'ARCHIVE_TOO_LARGE');
+  assert.equal(error.status, 413);
+  return true;
+});
+
+test('readEntry returns entry text and null for missing entries', async () => {
+  const zip = await loadZip(await build({ 'word/document.xml': '<w:document>héllo</w:document>' }));
+
+  assert.equal(await readEntry(zip, 'word/document.xml'), '<w:document>héllo</w:document>');
+  assert.equal(await readEntry(zip, 'missing.xml'), null);
+});
+
+test('loadZip rejects archives with too many entries', async () => {
+  const files = Object.fromEntries(Array.from({ length: 11 }, (_, i) => [`f${i}.txt`, 'x']));
+  await rejectsAsTooLarge(loadZip(await build(files), { maxEntries: 10 }));
+});
+
+test('loadZip rejects archives whose entries declare too much data', async () => {
+  await rejectsAsTooLarge(loadZip(await build({ 'bomb.xml': Buffer.alloc(64 * 1024) }), { maxBytes: 32 * 1024 }));
+});
+
+test('readEntry stops inflating once the archive exceeds its budget despite forged sizes', async () => {
+  const buffer = forgeSizes(await build({ 'bomb.xml': Buffer.alloc(1024 * 1024) }), 10);
+  const zip = await loadZip(buffer, { maxBytes: 64 * 1024 });
+
+  await rejectsAsTooLarge(readEntry(zip, 'bomb.xml'));
+});